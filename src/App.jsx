@@ -1,91 +1,419 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useLocation, useMatch, useNavigate } from 'react-router-dom';
 import ContactList from './components/ContactList';
+import ContactMap from './components/ContactMap';
+import ViewToggle from './components/ViewToggle';
 import SearchBar from './components/SearchBar';
-import AddContactForm from './components/AddContactForm';
-import EditContactForm from './components/EditContactForm';
+import ContactForm from './components/ContactForm';
 import ContactInsights from './components/ContactInsights';
-import contactsData from './data/contacts.json';
+import DuplicatesDialog from './components/DuplicatesDialog';
+import ImportExportMenu from './components/ImportExportMenu';
+import VCardImportDialog from './components/VCardImportDialog';
+import CsvImportDialog from './components/CsvImportDialog';
+import TagFilterBar from './components/TagFilterBar';
+import TagEditor from './components/TagEditor';
+import TagChip from './components/TagChip';
+import BulkActionBar from './components/BulkActionBar';
+import BulkTagEditor from './components/BulkTagEditor';
+import HistoryPanel from './components/HistoryPanel';
+import CommandPalette from './components/CommandPalette';
+import CustomFieldsEditor from './components/CustomFieldsEditor';
+import Avatar from './components/Avatar';
+import Dialog from './components/Dialog';
+import Toast from './components/Toast';
+import SortControls from './components/SortControls';
+import dataSource from './services/dataSource';
+import { loadCustomFields, saveCustomFields } from './services/customFieldStorage';
+import { parseSearchQuery, isEmptyQuery, createQueryMatcher, createSearchIndex, getHighlightTerms } from './utils/contactSearch';
+import { createContactScorer } from './utils/fuzzyMatch';
+import { contactsToVCards } from './utils/vcard';
+import { contactsToCsv } from './utils/csv';
+import { contactsToICalendar, countBirthdays } from './utils/ical';
+import { getContactEmails, getContactPhones } from './utils/labeledValues';
+import { formatAddress, getContactAddresses } from './utils/address';
+import { formatCustomValue, getCustomFieldEntries, getCustomValues, toHref } from './utils/customFields';
+import { getContactTags, getTagCounts, matchesTags, normalizeTags, tagKey } from './utils/tags';
+import { downloadFile } from './utils/download';
+import { shrinkPhoto } from './utils/photo';
+import { groupContacts, sortContacts } from './utils/contactSort';
+import { parseListState, serializeListState } from './utils/urlState';
+import { formatBirthday, getAgeTurning, getDaysUntilBirthday, wantsBirthdayReminder } from './utils/birthdays';
+import {
+  getMsUntilMidnight,
+  getNotificationPermission,
+  notifyTodaysBirthdays,
+  requestNotificationPermission
+} from './services/birthdayReminders';
+import {
+  applyChanges,
+  createHistoryEntry,
+  describeChange,
+  dropHistoryChanges,
+  dropHistoryEntry,
+  pushHistory,
+  replaceContactId,
+  splitChanges
+} from './utils/history';
+
+// Wait this long after the last keystroke before filtering
+const SEARCH_DEBOUNCE_MS = 150;
+
+// How long a toast stays up; delete toasts stay longer to leave time for Undo
+const TOAST_DURATION_MS = 5000;
+const DELETE_TOAST_DURATION_MS = 10000;
 
 /**
  * Main App Component
  * 
  * Manages the entire contact list application:
- * - Fetches contacts from JSON file (simulated async with delay)
- * - Handles search functionality (case-insensitive, real-time filtering)
+ * - Routes: / (list), /contacts/:id (info), /contacts/:id/edit (edit form), /new (add form),
+ *   with the search, tag filter, sort and grid/map view kept in the query string
+ * - Loads contacts from the configured data source (REST API or local storage)
+ * - Persists every add, edit, delete and favorite change, rolling back on failure
+ * - Handles search functionality (all fields, field:value filters, exact or fuzzy ranked matching)
  * - Manages adding new contacts
  * - Handles favorite/starred contacts (sorted first)
- * - Delete with undo functionality
- * - Displays contact insights and analytics
+ * - Sorts by name, recency, upcoming birthday or location, optionally grouped with an A–Z index
+ * - Map view of contacts by city (offline gazetteer), with clusters that filter the list on click
+ * - Multi-level undo/redo of every change (Ctrl+Z / Ctrl+Shift+Z) with a history panel
+ * - Keyboard shortcuts (/ search, N new contact, Escape closes dialogs) and a Ctrl+K command palette
+ * - Finds and merges duplicate contacts
+ * - Imports and exports vCard (.vcf) and CSV files
+ * - Exports birthdays as a yearly recurring iCalendar (.ics) file
+ * - Tags contacts and filters by tags (any or all selected)
+ * - User-defined custom fields (text, number, date, URL, choice, multi-line), set up in Fields
+ * - Selects several contacts to favorite, tag, export or delete them together
+ * - Displays contact insights and analytics (charts by city, country, email domain,
+ *   birthday month, missing details and week added, each filtering the list on click)
+ * - Sends browser notifications on contacts' birthdays (per-contact opt-out)
  * - Displays toast notifications
  */
 function App() {
+  // Routing
+  const location = useLocation();
+  const navigate = useNavigate();
+  const infoMatch = useMatch('/contacts/:contactId');
+  const editMatch = useMatch('/contacts/:contactId/edit');
+  const addMatch = useMatch('/new');
+  const [initialListState] = useState(() => parseListState(location.search));
+
   // State Management
   const [contacts, setContacts] = useState([]);
-  const [filteredContacts, setFilteredContacts] = useState([]);
-  const [searchQuery, setSearchQuery] = useState('');
+  const [searchQuery, setSearchQuery] = useState(initialListState.query);
+  const [debouncedQuery, setDebouncedQuery] = useState(initialListState.query);
+  const [searchMode, setSearchMode] = useState(initialListState.searchMode);
+  const [selectedTags, setSelectedTags] = useState(initialListState.selectedTags);
+  const [tagMatchMode, setTagMatchMode] = useState(initialListState.tagMatchMode);
+  const [sort, setSort] = useState(initialListState.sort);
+  const [view, setView] = useState(initialListState.view);
   const [loading, setLoading] = useState(true);
-  const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
-  const [deletedContact, setDeletedContact] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [toast, setToast] = useState({ show: false, message: '', type: 'success', entryId: null });
+  // Timer hiding the current toast
+  const toastTimer = useRef(null);
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [showHistory, setShowHistory] = useState(false);
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
-  const [contactToDelete, setContactToDelete] = useState(null);
-  const [showInfoDialog, setShowInfoDialog] = useState(false);
-  const [contactToShow, setContactToShow] = useState(null);
-  const [showAddForm, setShowAddForm] = useState(false);
-  const [showEditForm, setShowEditForm] = useState(false);
-  const [contactToEdit, setContactToEdit] = useState(null);
+  const [contactsToDelete, setContactsToDelete] = useState([]);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [showVCardImport, setShowVCardImport] = useState(false);
+  const [showCsvImport, setShowCsvImport] = useState(false);
+  const [contactToTag, setContactToTag] = useState(null);
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [showBulkTag, setShowBulkTag] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [customFields, setCustomFields] = useState(loadCustomFields);
+  const [showFieldSettings, setShowFieldSettings] = useState(false);
+  const [today, setToday] = useState(() => new Date());
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+
+  // Tags in use, with counts, for the filter bar and tag suggestions
+  const tagCounts = useMemo(() => getTagCounts(contacts), [contacts]);
+
+  // Contact named by the info or edit route (ids in the URL are strings)
+  const routeMatch = infoMatch || editMatch;
+  const routeContact = routeMatch
+    ? contacts.find(c => String(c.id) === routeMatch.params.contactId) || null
+    : null;
+  const contactToShow = infoMatch ? routeContact : null;
+  const contactToEdit = editMatch ? routeContact : null;
+
+  /**
+   * Fetch contacts from the data source
+   * Sets loadError instead of contacts when the request fails
+   */
+  const fetchContacts = useCallback(async () => {
+    setLoading(true);
+    setLoadError(null);
+    try {
+      const loadedContacts = await dataSource.list();
+      setContacts(loadedContacts);
+    } catch (error) {
+      console.error('Failed to load contacts:', error);
+      setLoadError(error.message || 'Unable to load contacts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
   /**
-   * Simulate async API fetch of contacts on component mount
-   * Uses setTimeout to mimic network delay
-   * Adds isFavorite property to each contact
+   * Load contacts on component mount
    */
   useEffect(() => {
-    const fetchContacts = async () => {
-      setLoading(true);
-      
-      // Simulate API call with 1.5 second delay
-      setTimeout(() => {
-        // Add isFavorite property to each contact (default false)
-        const contactsWithFavorites = contactsData.map(contact => ({
-          ...contact,
-          isFavorite: false
-        }));
-        setContacts(contactsWithFavorites);
-        setFilteredContacts(contactsWithFavorites);
-        setLoading(false);
-      }, 1500);
+    fetchContacts();
+  }, [fetchContacts]);
+
+  /**
+   * Move to the next day at midnight, so birthdays stay current in a tab left open
+   */
+  useEffect(() => {
+    const timer = setTimeout(() => setToday(new Date()), getMsUntilMidnight(today) + 1000);
+    return () => clearTimeout(timer);
+  }, [today]);
+
+  /**
+   * Notify about today's birthdays once contacts are loaded and notifications are allowed
+   */
+  useEffect(() => {
+    if (!loading && notificationPermission === 'granted') {
+      notifyTodaysBirthdays(contacts, today);
+    }
+  }, [contacts, loading, notificationPermission, today]);
+
+  /**
+   * Send a change to the data source
+   * Rolls back the optimistic state update and shows an error toast if it fails
+   * @param {function} request - Returns the data source promise
+   * @param {function} rollback - Restores state to before the change; gets the error
+   * @param {string} errorMessage - Toast message on failure
+   * @returns {Promise<*>} Data source result, or undefined on failure
+   */
+  const syncChange = async (request, rollback, errorMessage) => {
+    try {
+      return await request();
+    } catch (error) {
+      console.error(errorMessage, error);
+      rollback(error);
+      showToast(error.quotaExceeded ? `${errorMessage}: browser storage is full` : errorMessage, 'error');
+      return undefined;
+    }
+  };
+
+  /**
+   * Use and store custom field definitions
+   * @param {Array} definitions - Definitions in display order
+   */
+  const applyCustomFields = (definitions) => {
+    setCustomFields(definitions);
+    saveCustomFields(definitions);
+  };
+
+  /**
+   * Apply one side of a history entry to state and persist it
+   * On failure the state is reverted and the entry dropped from history; when
+   * the data source saved some contacts, only the others are reverted and
+   * dropped from the entry
+   * @param {Object} entry - History entry
+   * @param {string} side - 'after' to apply or redo, 'before' to undo
+   * @param {string} errorMessage - Toast message on failure
+   */
+  const persistEntry = (entry, side, errorMessage) => {
+    const { created, updated, removedIds } = splitChanges(entry.changes, side);
+    const revertSide = side === 'after' ? 'before' : 'after';
+    const batchIds = [created.map(c => c.id), updated.map(c => c.id), removedIds];
+
+    /**
+     * Point state and history at the ids the server gave created contacts
+     * @param {Array} savedContacts - Created contacts as saved (null where saving failed)
+     */
+    const applySavedIds = (savedContacts) => {
+      savedContacts.forEach((savedContact, index) => {
+        const oldId = created[index].id;
+        if (savedContact && savedContact.id !== oldId) {
+          setContacts((prevContacts) =>
+            prevContacts.map(c => (c.id === oldId ? savedContact : c))
+          );
+          setHistory((prevHistory) => replaceContactId(prevHistory, oldId, savedContact));
+        }
+      });
     };
 
-    fetchContacts();
-  }, []);
+    setContacts((prevContacts) => applyChanges(prevContacts, entry.changes, side));
+    if (entry.fields) applyCustomFields(entry.fields[side]);
+    syncChange(
+      async () => {
+        // Wait for every batch, so one failing doesn't hide what the others saved
+        const outcomes = await Promise.allSettled([
+          created.length > 0 ? dataSource.createMany(created) : [],
+          updated.length > 0 ? dataSource.updateMany(updated) : [],
+          removedIds.length > 0 ? dataSource.removeMany(removedIds) : []
+        ]);
+        const failures = outcomes.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+        if (failures.length === 0) return outcomes.map(outcome => outcome.value);
+
+        // A batch without failedIds saved nothing
+        const error = failures[0];
+        error.failedIds = outcomes.flatMap((outcome, index) => (
+          outcome.status === 'rejected' ? outcome.reason.failedIds || batchIds[index] : []
+        ));
+        error.savedContacts = outcomes[0].status === 'fulfilled' ? outcomes[0].value : outcomes[0].reason.results || [];
+        throw error;
+      },
+      (error) => {
+        const failedIds = error.failedIds ? new Set(error.failedIds) : null;
+        const failedChanges = failedIds ? entry.changes.filter(change => failedIds.has(change.id)) : entry.changes;
+        setContacts((prevContacts) => applyChanges(prevContacts, failedChanges, revertSide));
+
+        if (failedChanges.length < entry.changes.length) {
+          // The rest was saved, so it stays, along with the entry to undo it
+          setHistory((prevHistory) => dropHistoryChanges(
+            prevHistory,
+            entry.id,
+            [...failedIds],
+            `${entry.label} (${failedChanges.length} not saved)`
+          ));
+          applySavedIds(error.savedContacts);
+          return;
+        }
+        if (entry.fields) applyCustomFields(entry.fields[revertSide]);
+        setHistory((prevHistory) => dropHistoryEntry(prevHistory, entry.id));
+      },
+      errorMessage
+    ).then((results) => {
+      if (results) applySavedIds(results[0]);
+    });
+  };
+
+  /**
+   * Make a change to one or more contacts and record it for undo
+   * @param {string} label - Description for the history panel
+   * @param {Array} changes - [{ id, before, after }] from describeChange
+   * @param {string} errorMessage - Toast message if saving fails
+   * @param {Object} fields - Custom field definitions { before, after }, when the change edits them too
+   * @returns {Object} The history entry
+   */
+  const recordChange = (label, changes, errorMessage, fields = null) => {
+    const entry = createHistoryEntry(label, changes, fields);
+    setHistory((prevHistory) => pushHistory(prevHistory, entry));
+    persistEntry(entry, 'after', errorMessage);
+    return entry;
+  };
 
   /**
-   * Filter contacts based on search query and sort by favorites
-   * Triggered whenever searchQuery or contacts array changes
-   * Case-insensitive search on contact names
-   * Favorites are always displayed first
+   * Let the search input settle before filtering; clearing applies at once
    */
   useEffect(() => {
-    let filtered;
-    if (searchQuery.trim() === '') {
-      filtered = [...contacts];
-    } else {
-      filtered = contacts.filter((contact) =>
-        contact.name.toLowerCase().includes(searchQuery.toLowerCase())
-      );
+    if (!searchQuery.trim()) {
+      setDebouncedQuery(searchQuery);
+      return undefined;
+    }
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // List state as a query string, and the last one synced with the URL
+  const listSearch = serializeListState({ query: debouncedQuery, searchMode, selectedTags, tagMatchMode, sort, view });
+  const syncedSearch = useRef(location.search);
+  const lastListSearch = useRef(null);
+  const locationRef = useRef(location);
+  locationRef.current = location;
+
+  /**
+   * Apply the query string when it changes from outside (back/forward, an edited or pasted URL)
+   */
+  useEffect(() => {
+    if (location.search === syncedSearch.current) return;
+    syncedSearch.current = location.search;
+    const state = parseListState(location.search);
+    setSearchQuery(state.query);
+    setDebouncedQuery(state.query);
+    setSearchMode(state.searchMode);
+    setSelectedTags(state.selectedTags);
+    setTagMatchMode(state.tagMatchMode);
+    setSort(state.sort);
+    setView(state.view);
+  }, [location.search]);
+
+  /**
+   * Mirror list state changes into the query string without adding history entries
+   */
+  useEffect(() => {
+    if (listSearch === lastListSearch.current) return;
+    lastListSearch.current = listSearch;
+    const { pathname, search, state } = locationRef.current;
+    if (listSearch !== search) {
+      syncedSearch.current = listSearch;
+      navigate({ pathname, search: listSearch }, { replace: true, state });
     }
-    
-    // Sort: Favorites first, then alphabetically
-    const sorted = filtered.sort((a, b) => {
-      // Favorites come first
-      if (a.isFavorite && !b.isFavorite) return -1;
-      if (!a.isFavorite && b.isFavorite) return 1;
-      // Within same favorite status, sort alphabetically
-      return a.name.localeCompare(b.name);
+  }, [listSearch, navigate]);
+
+  const parsedQuery = useMemo(() => parseSearchQuery(debouncedQuery, customFields), [debouncedQuery, customFields]);
+
+  // Searchable values of every contact, prepared when the contacts change
+  // rather than on each keystroke
+  const searchIndex = useMemo(() => createSearchIndex(contacts), [contacts]);
+
+  // Chosen order, sorted again when the contacts or the sort change, and at
+  // midnight so the upcoming-birthday order moves on with the day
+  const sortedContacts = useMemo(() => sortContacts(contacts, sort, today), [contacts, sort, today]);
+
+  /**
+   * Contacts carrying the selected tags (any or all), in the chosen order
+   * Selected tags that no contact carries any more are ignored
+   */
+  const tagFilteredContacts = useMemo(() => {
+    const usedTags = new Set(tagCounts.map(({ name }) => tagKey(name)));
+    const activeTags = selectedTags.filter(tag => usedTags.has(tagKey(tag)));
+    if (activeTags.length === 0) return sortedContacts;
+    return sortedContacts.filter((contact) => matchesTags(contact, activeTags, tagMatchMode));
+  }, [sortedContacts, selectedTags, tagMatchMode, tagCounts]);
+
+  /**
+   * Contacts matching the search, recomputed only when the (debounced) query,
+   * search mode or tag-filtered list changes
+   * Case-insensitive search across all fields plus field:value filters
+   * - Exact mode: substring matches in the chosen order
+   * - Fuzzy mode: spelling-tolerant name matches ranked by relevance score
+   */
+  const filteredContacts = useMemo(() => {
+    if (isEmptyQuery(parsedQuery)) return tagFilteredContacts;
+
+    if (searchMode === 'fuzzy') {
+      // Rank by relevance; the sort is stable, so equal scores keep the chosen order
+      const score = createContactScorer(parsedQuery, searchIndex);
+      return tagFilteredContacts
+        .map((contact) => ({ contact, score: score(contact) }))
+        .filter(({ score: value }) => value > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ contact }) => contact);
+    }
+
+    return tagFilteredContacts.filter(createQueryMatcher(parsedQuery, searchIndex));
+  }, [parsedQuery, searchMode, tagFilteredContacts, searchIndex]);
+
+  // Fuzzy results are ranked by relevance, which overrides the chosen sort and grouping
+  const rankedByRelevance = searchMode === 'fuzzy' && !isEmptyQuery(parsedQuery);
+
+  /**
+   * Section headers for the grid, or null when not grouping
+   */
+  const sections = useMemo(
+    () => (rankedByRelevance ? null : groupContacts(filteredContacts, sort)),
+    [rankedByRelevance, filteredContacts, sort]
+  );
+
+  /**
+   * Drop selected ids whose contacts no longer exist
+   */
+  useEffect(() => {
+    setSelectedIds((prevIds) => {
+      const existingIds = new Set(contacts.map(c => c.id));
+      const keptIds = [...prevIds].filter(id => existingIds.has(id));
+      return keptIds.length === prevIds.size ? prevIds : new Set(keptIds);
     });
-    
-    setFilteredContacts(sorted);
-  }, [searchQuery, contacts]);
+  }, [contacts]);
 
   /**
    * Handle search input changes
@@ -95,13 +423,56 @@ function App() {
     setSearchQuery(query);
   };
 
+  /**
+   * Apply a filter picked from an Insights chart, or clear it when it is already applied
+   * @param {string} filter - Search filter such as "country:india"
+   */
+  const handleInsightFilter = (filter) => {
+    setSearchQuery(current => (current.trim().toLowerCase() === filter.toLowerCase() ? '' : filter));
+  };
+
+  /**
+   * Show the contacts of a map city (or unresolved location) in the grid
+   * The filter replaces any earlier place: filter and keeps the rest of the search
+   * @param {string} filter - Search filter such as 'place:"Mumbai, India"'
+   */
+  const handleMapFilter = (filter) => {
+    setSearchQuery(current => [current.replace(/\bplace:("[^"]*"|\S+)/g, '').trim(), filter].filter(Boolean).join(' '));
+    setView('grid');
+  };
+
+  /**
+   * Add a tag to the tag filter, or remove it when it is already selected
+   * @param {string} tag
+   */
+  const handleToggleTagFilter = (tag) => {
+    setSelectedTags(current => (
+      current.some(selected => tagKey(selected) === tagKey(tag))
+        ? current.filter(selected => tagKey(selected) !== tagKey(tag))
+        : [...current, tag]
+    ));
+  };
+
+  /**
+   * Change part of the sort settings
+   * @param {Object} changes - Any of { sortBy, direction, groupBy, favoritesFirst }
+   */
+  const handleSortChange = (changes) => {
+    setSort(prevSort => ({ ...prevSort, ...changes }));
+  };
+
   /**
    * Add new contact to the contacts list
    * @param {Object} newContact - New contact object to add
    */
   const handleAddContact = (newContact) => {
-    const contactWithFavorite = { ...newContact, isFavorite: false };
-    setContacts((prevContacts) => [contactWithFavorite, ...prevContacts]);
+    const now = Date.now();
+    const contactWithTimestamps = { ...newContact, createdAt: now, updatedAt: now };
+    recordChange(
+      `Added ${newContact.name}`,
+      [describeChange(null, contactWithTimestamps)],
+      `Could not save ${newContact.name}`
+    );
     showToast(`✓ ${newContact.name} added successfully!`, 'success');
   };
 
@@ -110,17 +481,14 @@ function App() {
    * @param {number} contactId - ID of contact to toggle
    */
   const handleToggleFavorite = (contactId) => {
-    setContacts((prevContacts) =>
-      prevContacts.map((contact) =>
-        contact.id === contactId
-          ? { ...contact, isFavorite: !contact.isFavorite }
-          : contact
-      )
-    );
-    
     const contact = contacts.find(c => c.id === contactId);
     if (contact) {
       const action = contact.isFavorite ? 'removed from' : 'added to';
+      recordChange(
+        `${contact.name} ${action} favorites`,
+        [describeChange(contact, { ...contact, isFavorite: !contact.isFavorite })],
+        `Could not update ${contact.name}`
+      );
       showToast(`${contact.name} ${action} favorites`, 'success');
     }
   };
@@ -132,21 +500,26 @@ function App() {
   const handleDeleteContact = (contactId) => {
     const contact = contacts.find(c => c.id === contactId);
     if (contact) {
-      setContactToDelete(contact);
+      setContactsToDelete([contact]);
       setShowConfirmDialog(true);
     }
   };
 
   /**
-   * Confirm delete contact
+   * Confirm delete of the contact(s) in contactsToDelete
+   * The whole batch is one history entry, so one undo restores all of them
    */
   const handleConfirmDelete = () => {
-    if (contactToDelete) {
-      setDeletedContact(contactToDelete);
-      setContacts((prevContacts) => prevContacts.filter(c => c.id !== contactToDelete.id));
-      showToast(`${contactToDelete.name} deleted — Undo?`, 'delete');
+    if (contactsToDelete.length > 0) {
+      const label = contactsToDelete.length === 1 ? contactsToDelete[0].name : `${contactsToDelete.length} contacts`;
+      const entry = recordChange(
+        `Deleted ${label}`,
+        contactsToDelete.map(c => describeChange(c, null)),
+        `Could not delete ${label}`
+      );
+      showToast(`${label} deleted — Undo?`, 'delete', entry.id);
       setShowConfirmDialog(false);
-      setContactToDelete(null);
+      setContactsToDelete([]);
     }
   };
 
@@ -155,41 +528,94 @@ function App() {
    */
   const handleCancelDelete = () => {
     setShowConfirmDialog(false);
-    setContactToDelete(null);
+    setContactsToDelete([]);
   };
 
   /**
-   * Show contact info dialog
-   * @param {number} contactId - ID of contact to show info for
+   * Ask for permission to show birthday notifications
    */
-  const handleShowInfo = (contactId) => {
+  const handleEnableReminders = async () => {
+    const permission = await requestNotificationPermission();
+    setNotificationPermission(permission);
+    if (permission === 'granted') {
+      showToast('✓ Birthday reminders enabled', 'success');
+    } else if (permission === 'denied') {
+      showToast('Notifications are blocked for this site', 'error');
+    }
+  };
+
+  /**
+   * Turn a contact's birthday reminder on or off
+   * @param {number} contactId - ID of contact to toggle
+   */
+  const handleToggleBirthdayReminder = (contactId) => {
     const contact = contacts.find(c => c.id === contactId);
     if (contact) {
-      setContactToShow(contact);
-      setShowInfoDialog(true);
+      const birthdayReminders = !wantsBirthdayReminder(contact);
+      const message = `Birthday reminders ${birthdayReminders ? 'on' : 'off'} for ${contact.name}`;
+      recordChange(
+        message,
+        [describeChange(contact, { ...contact, birthdayReminders })],
+        `Could not update ${contact.name}`
+      );
+      showToast(message, 'success');
     }
   };
 
   /**
-   * Close contact info dialog
+   * Open a dialog route, keeping the list's query string
+   * Marks the history entry so closing the dialog can step back to where it was opened
+   * @param {string} pathname - Route of the dialog
    */
-  const handleCloseInfo = () => {
-    setShowInfoDialog(false);
-    setContactToShow(null);
+  const openRoute = (pathname) => {
+    navigate({ pathname, search: location.search }, { state: { fromApp: true } });
   };
 
+  /**
+   * Close the current dialog route
+   * Goes back when the dialog was opened from the app, so Back and Forward
+   * retrace the dialogs; after a deep link, replaces it with the list instead
+   */
+  const closeRoute = () => {
+    if (location.state && location.state.fromApp) {
+      navigate(-1);
+    } else {
+      navigate({ pathname: '/', search: location.search }, { replace: true });
+    }
+  };
+
+  /**
+   * Show contact info dialog
+   * @param {number} contactId - ID of contact to show info for
+   */
+  const handleShowInfo = (contactId) => {
+    openRoute(`/contacts/${encodeURIComponent(contactId)}`);
+  };
+
+  /**
+   * Close contact info dialog
+   */
+  const handleCloseInfo = closeRoute;
+
   /**
    * Show add contact form
    */
   const handleShowAddForm = () => {
-    setShowAddForm(true);
+    openRoute('/new');
   };
 
   /**
    * Close add contact form
    */
-  const handleCloseAddForm = () => {
-    setShowAddForm(false);
+  const handleCloseAddForm = closeRoute;
+
+  /**
+   * Save the add form and close it
+   * @param {Object} newContact - New contact object
+   */
+  const handleSaveNew = (newContact) => {
+    handleAddContact(newContact);
+    handleCloseAddForm();
   };
 
   /**
@@ -197,66 +623,534 @@ function App() {
    * @param {number} contactId - ID of contact to edit
    */
   const handleShowEditForm = (contactId) => {
-    const contact = contacts.find(c => c.id === contactId);
-    if (contact) {
-      setContactToEdit(contact);
-      setShowEditForm(true);
-    }
+    openRoute(`/contacts/${encodeURIComponent(contactId)}/edit`);
   };
 
   /**
    * Close edit contact form
    */
-  const handleCloseEditForm = () => {
-    setShowEditForm(false);
-    setContactToEdit(null);
-  };
+  const handleCloseEditForm = closeRoute;
 
   /**
    * Update existing contact
    * @param {Object} updatedContact - Updated contact object
    */
   const handleUpdateContact = (updatedContact) => {
-    setContacts((prevContacts) =>
-      prevContacts.map((contact) =>
-        contact.id === updatedContact.id ? updatedContact : contact
-      )
+    const previousContact = contacts.find(c => c.id === updatedContact.id);
+    recordChange(
+      `Edited ${updatedContact.name}`,
+      [describeChange(previousContact, { ...updatedContact, updatedAt: Date.now() })],
+      `Could not update ${updatedContact.name}`
     );
     showToast(`✓ ${updatedContact.name} updated successfully!`, 'success');
+  };
+
+  /**
+   * Save the edit form and close it
+   * @param {Object} updatedContact - Updated contact object
+   */
+  const handleSaveEdit = (updatedContact) => {
+    handleUpdateContact(updatedContact);
     handleCloseEditForm();
   };
 
   /**
-   * Undo the last delete action
+   * Save tags chosen in the tag editor
+   * @param {Array} tags - New tag names for contactToTag
+   */
+  const handleSaveTags = (tags) => {
+    handleUpdateContact({ ...contactToTag, tags });
+    setContactToTag(null);
+  };
+
+  /**
+   * Merge a cluster of duplicates into one contact
+   * @param {Object} mergedContact - Combined contact (keeps the first contact's id)
+   * @param {Array} removedIds - IDs of the other contacts in the cluster
+   */
+  const handleMergeContacts = (mergedContact, removedIds) => {
+    const previousContact = contacts.find(c => c.id === mergedContact.id);
+    const removedContacts = contacts.filter(c => removedIds.includes(c.id));
+
+    recordChange(
+      `Merged ${removedIds.length + 1} contacts into ${mergedContact.name}`,
+      [
+        describeChange(previousContact, { ...mergedContact, updatedAt: Date.now() }),
+        ...removedContacts.map(c => describeChange(c, null))
+      ],
+      `Could not merge into ${mergedContact.name}`
+    );
+    showToast(`✓ Merged ${removedIds.length + 1} contacts into ${mergedContact.name}`, 'success');
+  };
+
+  /**
+   * Add a batch of imported contacts
+   * Large photos from the file are shrunk first so they fit in storage
+   * @param {Array} importedContacts - New contacts from an import file
+   */
+  const handleImportContacts = async (importedContacts) => {
+    if (importedContacts.length === 0) return;
+    const count = `${importedContacts.length} contact${importedContacts.length === 1 ? '' : 's'}`;
+    const withPhotos = await Promise.all(importedContacts.map(async contact => (
+      contact.photo ? { ...contact, photo: await shrinkPhoto(contact.photo) } : contact
+    )));
+    const now = Date.now();
+
+    recordChange(
+      `Imported ${count}`,
+      withPhotos.map(c => describeChange(null, { ...c, createdAt: now, updatedAt: now })),
+      'Could not save imported contacts'
+    );
+    showToast(`✓ Imported ${count}`, 'success');
+  };
+
+  /**
+   * Download contacts as a .vcf file
+   * @param {Array} contactsToExport - Contacts to include
+   * @param {string} filename - File name for the download
+   */
+  const handleExportVCard = (contactsToExport, filename) => {
+    downloadFile(filename, contactsToVCards(contactsToExport), 'text/vcard;charset=utf-8');
+    showToast(`✓ Exported ${contactsToExport.length} contact${contactsToExport.length === 1 ? '' : 's'}`, 'success');
+  };
+
+  /**
+   * Download contacts as a .csv file
+   * @param {Array} contactsToExport - Contacts to include
+   * @param {string} filename - File name for the download
+   */
+  const handleExportCsv = (contactsToExport, filename) => {
+    downloadFile(filename, contactsToCsv(contactsToExport, customFields), 'text/csv;charset=utf-8');
+    showToast(`✓ Exported ${contactsToExport.length} contact${contactsToExport.length === 1 ? '' : 's'} to CSV`, 'success');
+  };
+
+  /**
+   * Download the birthdays of contacts as an .ics calendar
+   * @param {Array} contactsToExport - Contacts to include (those without a birthday are skipped)
+   * @param {string} filename - File name for the download
+   */
+  const handleExportICalendar = (contactsToExport, filename) => {
+    const count = countBirthdays(contactsToExport);
+    downloadFile(filename, contactsToICalendar(contactsToExport), 'text/calendar;charset=utf-8');
+    showToast(`✓ Exported ${count} birthday${count === 1 ? '' : 's'} to calendar`, 'success');
+  };
+
+  /**
+   * Export a single contact from its card menu
+   * @param {number} contactId - ID of contact to export
+   */
+  const handleExportContact = (contactId) => {
+    const contact = contacts.find(c => c.id === contactId);
+    if (contact) {
+      const slug = contact.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      handleExportVCard([contact], `${slug || 'contact'}.vcf`);
+    }
+  };
+
+  /**
+   * Undo the latest change
+   */
+  const handleUndo = () => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+    setHistory({ past: history.past.slice(0, -1), future: [entry, ...history.future] });
+    persistEntry(entry, 'before', `Could not undo: ${entry.label}`);
+    showToast(`↶ Undone: ${entry.label}`, 'success');
+  };
+
+  /**
+   * Redo the latest undone change
+   */
+  const handleRedo = () => {
+    const entry = history.future[0];
+    if (!entry) return;
+    setHistory({ past: [...history.past, entry], future: history.future.slice(1) });
+    persistEntry(entry, 'after', `Could not redo: ${entry.label}`);
+    showToast(`↷ Redone: ${entry.label}`, 'success');
+  };
+
+  // Latest undo/redo handlers for the keyboard shortcut listener
+  const historyActions = useRef({});
+  historyActions.current = { undo: handleUndo, redo: handleRedo };
+
+  /**
+   * Ctrl+Z / Cmd+Z undoes, Ctrl+Shift+Z / Ctrl+Y redoes
+   * Text fields keep the browser's own undo
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) {
+        historyActions.current.redo();
+      } else {
+        historyActions.current.undo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const searchInputRef = useRef(null);
+  const contactListRef = useRef(null);
+
+  /**
+   * Move focus to the search input
    */
-  const handleUndoDelete = () => {
-    if (deletedContact) {
-      setContacts((prevContacts) => [...prevContacts, deletedContact]);
-      showToast(`${deletedContact.name} restored!`, 'success');
-      setDeletedContact(null);
+  const focusSearch = () => {
+    if (searchInputRef.current) searchInputRef.current.focus();
+  };
+
+  // Whether any dialog is open (single-key shortcuts pause while one is)
+  const dialogOpen = Boolean(
+    showPalette || showConfirmDialog || contactToTag || showBulkTag || showHistory || showFieldSettings ||
+    showDuplicates || showVCardImport || showCsvImport || routeMatch || addMatch
+  );
+
+  /**
+   * Close the topmost open dialog
+   * @returns {boolean} Whether a dialog was closed
+   */
+  const closeTopDialog = () => {
+    const dialogs = [
+      [showPalette, () => setShowPalette(false)],
+      [showConfirmDialog, handleCancelDelete],
+      [contactToTag, () => setContactToTag(null)],
+      [showBulkTag, () => setShowBulkTag(false)],
+      [showHistory, () => setShowHistory(false)],
+      [showFieldSettings, () => setShowFieldSettings(false)],
+      [showDuplicates, () => setShowDuplicates(false)],
+      [showVCardImport, () => setShowVCardImport(false)],
+      [showCsvImport, () => setShowCsvImport(false)],
+      [routeMatch || addMatch, closeRoute]
+    ];
+    const open = dialogs.find(([isOpen]) => isOpen);
+    if (!open) return false;
+    open[1]();
+    return true;
+  };
+
+  const keyboardActions = useRef({});
+  keyboardActions.current = {
+    dialogOpen,
+    closeTopDialog,
+    focusSearch,
+    newContact: handleShowAddForm,
+    togglePalette: () => setShowPalette(open => !open)
+  };
+
+  /**
+   * App-wide shortcuts
+   * - Ctrl+K / Cmd+K toggles the command palette
+   * - Escape closes the topmost dialog (unless something inside already handled it)
+   * - / focuses the search and N opens the add form, outside text fields and dialogs
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const actions = keyboardActions.current;
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        actions.togglePalette();
+        return;
+      }
+      if (e.key === 'Escape') {
+        if (!e.defaultPrevented && actions.closeTopDialog()) e.preventDefault();
+        return;
+      }
+
+      if (e.ctrlKey || e.metaKey || e.altKey || actions.dialogOpen) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      if (e.key === '/') {
+        e.preventDefault();
+        actions.focusSearch();
+      } else if (e.key.toLowerCase() === 'n') {
+        e.preventDefault();
+        actions.newContact();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  /**
+   * Leave selection mode and clear the selection
+   */
+  const handleExitSelection = () => {
+    setSelectionMode(false);
+    setSelectedIds(new Set());
+    setSelectionAnchor(null);
+  };
+
+  /**
+   * Toggle a card's selection
+   * With shift held, selects every shown contact between the last clicked card and this one
+   * @param {number} contactId - ID of the clicked contact
+   * @param {boolean} shiftKey - Whether shift was held
+   */
+  const handleSelectContact = (contactId, shiftKey) => {
+    const anchorIndex = filteredContacts.findIndex(c => c.id === selectionAnchor);
+    const index = filteredContacts.findIndex(c => c.id === contactId);
+
+    if (shiftKey && anchorIndex !== -1 && index !== -1) {
+      const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      setSelectedIds((prevIds) => {
+        const nextIds = new Set(prevIds);
+        filteredContacts.slice(start, end + 1).forEach(c => nextIds.add(c.id));
+        return nextIds;
+      });
+    } else {
+      setSelectedIds((prevIds) => {
+        const nextIds = new Set(prevIds);
+        if (nextIds.has(contactId)) {
+          nextIds.delete(contactId);
+        } else {
+          nextIds.add(contactId);
+        }
+        return nextIds;
+      });
+    }
+    setSelectionAnchor(contactId);
+  };
+
+  /**
+   * Apply a change to several contacts as one undoable step
+   * @param {Array} changedContacts - Updated contacts (same ids as existing ones)
+   * @param {string} label - Description for the history panel and toast
+   */
+  const handleUpdateContacts = (changedContacts, label) => {
+    if (changedContacts.length === 0) return;
+    const changedIds = new Set(changedContacts.map(c => c.id));
+    const previousContacts = contacts.filter(c => changedIds.has(c.id));
+    const changedById = new Map(changedContacts.map(c => [c.id, c]));
+
+    recordChange(
+      label,
+      previousContacts.map(c => describeChange(c, changedById.get(c.id))),
+      `Could not update ${changedContacts.length} contact${changedContacts.length === 1 ? '' : 's'}`
+    );
+    showToast(`✓ ${label}`, 'success');
+  };
+
+  /**
+   * Save the custom field definitions
+   * When deleted fields had values, removing them and the new definitions are
+   * one undoable change, so undo brings back the fields with their values
+   * @param {Array} definitions - New definitions in display order
+   */
+  const handleSaveCustomFields = (definitions) => {
+    const keptKeys = new Set(definitions.map(definition => definition.key));
+    const now = Date.now();
+    const changes = contacts
+      .filter(contact => Object.keys(getCustomValues(contact)).some(key => !keptKeys.has(key)))
+      .map(contact => describeChange(contact, {
+        ...contact,
+        customFields: Object.fromEntries(Object.entries(getCustomValues(contact)).filter(([key]) => keptKeys.has(key))),
+        updatedAt: now
+      }));
+
+    setShowFieldSettings(false);
+    if (changes.length === 0) {
+      applyCustomFields(definitions);
+      showToast('✓ Custom fields saved', 'success');
+      return;
+    }
+
+    const count = `${changes.length} contact${changes.length === 1 ? '' : 's'}`;
+    const label = `Removed deleted fields from ${count}`;
+    recordChange(label, changes, `Could not update ${count}`, { before: customFields, after: definitions });
+    showToast(`✓ ${label}`, 'success');
+  };
+
+  // Days until the birthday of the contact in the info dialog
+  const daysUntilShownBirthday = contactToShow ? getDaysUntilBirthday(contactToShow.birthday, today) : null;
+  // Addresses of the contact in the info dialog
+  const shownAddresses = contactToShow ? getContactAddresses(contactToShow) : [];
+  // Filled-in custom fields of the contact in the info dialog
+  const shownCustomFields = contactToShow ? getCustomFieldEntries(contactToShow, customFields) : [];
+
+  // Selected contacts, including any the current filter hides
+  const selectedContacts = contacts.filter(c => selectedIds.has(c.id));
+
+  /**
+   * Favorite or unfavorite every selected contact
+   * @param {boolean} isFavorite - New favorite status
+   */
+  const handleBulkFavorite = (isFavorite) => {
+    const changed = selectedContacts
+      .filter(c => Boolean(c.isFavorite) !== isFavorite)
+      .map(c => ({ ...c, isFavorite }));
+    if (changed.length === 0) {
+      showToast(`Selected contacts are already ${isFavorite ? 'favorites' : 'not favorites'}`, 'success');
+      return;
+    }
+    const action = isFavorite ? 'added to' : 'removed from';
+    handleUpdateContacts(changed, `${changed.length} contact${changed.length === 1 ? '' : 's'} ${action} favorites`);
+  };
+
+  /**
+   * Add and remove tags on every selected contact
+   * @param {Array} tagsToAdd - Tag names to add
+   * @param {Array} tagsToRemove - Tag names to remove
+   */
+  const handleBulkTag = (tagsToAdd, tagsToRemove) => {
+    const now = Date.now();
+    const removeKeys = new Set(tagsToRemove.map(tagKey));
+    const changed = selectedContacts
+      .map((contact) => {
+        const tags = getContactTags(contact);
+        const nextTags = normalizeTags([...tags.filter(tag => !removeKeys.has(tagKey(tag))), ...tagsToAdd]);
+        const same = nextTags.length === tags.length && nextTags.every((tag, i) => tag === tags[i]);
+        return same ? null : { ...contact, tags: nextTags, updatedAt: now };
+      })
+      .filter(Boolean);
+
+    setShowBulkTag(false);
+    if (changed.length === 0) {
+      showToast('Tags already up to date', 'success');
+      return;
+    }
+    handleUpdateContacts(changed, `Updated tags on ${changed.length} contact${changed.length === 1 ? '' : 's'}`);
+  };
+
+  /**
+   * Ask to delete every selected contact
+   */
+  const handleBulkDelete = () => {
+    if (selectedContacts.length > 0) {
+      setContactsToDelete(selectedContacts);
+      setShowConfirmDialog(true);
     }
   };
 
   /**
    * Display toast notification
    * @param {string} message - Toast message to display
-   * @param {string} type - Type of toast (success or delete)
-   */
-  const showToast = (message, type = 'success') => {
-    setToast({ show: true, message, type });
-    
-    // Auto-hide toast after 5 seconds (longer for delete to allow undo)
-    setTimeout(() => {
-      setToast({ show: false, message: '', type: 'success' });
-      // Clear deleted contact after toast disappears
-      if (type === 'delete') {
-        setDeletedContact(null);
-      }
-    }, 5000);
+   * @param {string} type - Type of toast (success, delete or error)
+   * @param {number} entryId - History entry the toast's Undo button reverts (delete toasts)
+   */
+  const showToast = (message, type = 'success', entryId = null) => {
+    setToast({ show: true, message, type, entryId });
+
+    // A new toast restarts the timer, so an earlier one can't hide it early
+    clearTimeout(toastTimer.current);
+    toastTimer.current = setTimeout(() => {
+      setToast({ show: false, message: '', type: 'success', entryId: null });
+    }, type === 'delete' ? DELETE_TOAST_DURATION_MS : TOAST_DURATION_MS);
   };
 
+  // Stop the toast timer when the app unmounts
+  useEffect(() => () => clearTimeout(toastTimer.current), []);
+
+  // Search terms to highlight on each card
+  const highlightTerms = useMemo(() => getHighlightTerms(parsedQuery), [parsedQuery]);
+
   // Calculate favorite count for insights
-  const favoriteCount = contacts.filter(c => c.isFavorite).length;
+  const favoriteContacts = contacts.filter(c => c.isFavorite);
+  const favoriteCount = favoriteContacts.length;
+
+  // Contacts with a birthday, for the calendar exports
+  const birthdayCounts = {
+    all: countBirthdays(contacts),
+    favorites: countBirthdays(favoriteContacts),
+    filtered: countBirthdays(filteredContacts)
+  };
+
+  // Import and export actions, shared by the Import / Export menu and the command palette
+  const importOptions = [
+    { label: 'Import vCard (.vcf)…', onClick: () => setShowVCardImport(true) },
+    { label: 'Import CSV (.csv)…', onClick: () => setShowCsvImport(true) }
+  ];
+  const exportOptions = [
+    {
+      label: `Export all to vCard (${contacts.length})`,
+      onClick: () => handleExportVCard(contacts, 'contacts.vcf'),
+      disabled: contacts.length === 0
+    },
+    {
+      label: `Export filtered to vCard (${filteredContacts.length})`,
+      onClick: () => handleExportVCard(filteredContacts, 'contacts-filtered.vcf'),
+      disabled: filteredContacts.length === 0
+    },
+    {
+      label: `Export filtered to CSV (${filteredContacts.length})`,
+      onClick: () => handleExportCsv(filteredContacts, 'contacts.csv'),
+      disabled: filteredContacts.length === 0
+    },
+    {
+      label: `All birthdays to calendar (${birthdayCounts.all})`,
+      onClick: () => handleExportICalendar(contacts, 'birthdays.ics'),
+      disabled: birthdayCounts.all === 0
+    },
+    {
+      label: `Favorite birthdays to calendar (${birthdayCounts.favorites})`,
+      onClick: () => handleExportICalendar(favoriteContacts, 'birthdays-favorites.ics'),
+      disabled: birthdayCounts.favorites === 0
+    },
+    {
+      label: `Filtered birthdays to calendar (${birthdayCounts.filtered})`,
+      onClick: () => handleExportICalendar(filteredContacts, 'birthdays-filtered.ics'),
+      disabled: birthdayCounts.filtered === 0
+    }
+  ];
+
+  // Actions offered by the command palette
+  const paletteActions = [
+    { id: 'new', label: 'New contact', keywords: 'add create', shortcut: 'N', run: handleShowAddForm },
+    { id: 'search', label: 'Search contacts', keywords: 'find filter', shortcut: '/', run: focusSearch },
+    {
+      id: 'clear-filters',
+      label: 'Clear search and tag filters',
+      keywords: 'reset',
+      run: () => {
+        setSearchQuery('');
+        setSelectedTags([]);
+      },
+      disabled: !searchQuery && selectedTags.length === 0
+    },
+    {
+      id: 'view',
+      label: view === 'map' ? 'Show contacts as a grid' : 'Show contacts on a map',
+      keywords: 'view location city',
+      run: () => setView(view === 'map' ? 'grid' : 'map')
+    },
+    {
+      id: 'search-mode',
+      label: searchMode === 'fuzzy' ? 'Switch to exact search' : 'Switch to fuzzy search',
+      keywords: 'match mode',
+      run: () => setSearchMode(searchMode === 'fuzzy' ? 'exact' : 'fuzzy')
+    },
+    { id: 'undo', label: 'Undo', shortcut: 'Ctrl+Z', run: handleUndo, disabled: history.past.length === 0 },
+    { id: 'redo', label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: handleRedo, disabled: history.future.length === 0 },
+    { id: 'history', label: 'Show change history', keywords: 'undo redo', run: () => setShowHistory(true) },
+    { id: 'fields', label: 'Edit custom fields', keywords: 'settings custom fields', run: () => setShowFieldSettings(true) },
+    {
+      id: 'select',
+      label: selectionMode ? 'Cancel selection' : 'Select contacts',
+      keywords: 'bulk batch',
+      run: () => (selectionMode ? handleExitSelection() : setSelectionMode(true)),
+      disabled: loading || Boolean(loadError)
+    },
+    {
+      id: 'duplicates',
+      label: 'Find duplicates',
+      keywords: 'merge',
+      run: () => setShowDuplicates(true),
+      disabled: loading || Boolean(loadError)
+    },
+    ...[...importOptions, ...exportOptions].map(option => ({
+      id: option.label,
+      label: option.label.replace(/…$/, ''),
+      run: option.onClick,
+      disabled: option.disabled || loading || Boolean(loadError)
+    }))
+  ];
 
   return (
     <div className="min-h-screen bg-black relative overflow-hidden">
@@ -287,10 +1181,20 @@ function App() {
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 relative z-10">
         {/* Contact Insights (shown when not loading) */}
-        {!loading && (
+        {!loading && !loadError && (
           <ContactInsights 
             contacts={contacts}
             favoriteCount={favoriteCount}
+            tagCounts={tagCounts}
+            activeFilter={searchQuery}
+            onFilter={handleInsightFilter}
+            selectedTags={selectedTags}
+            onToggleTag={handleToggleTagFilter}
+            today={today}
+            notificationPermission={notificationPermission}
+            onEnableReminders={handleEnableReminders}
+            onToggleReminder={handleToggleBirthdayReminder}
+            onShowInfo={handleShowInfo}
           />
         )}
 
@@ -315,24 +1219,179 @@ function App() {
             </svg>
             Add New Contact
           </button>
+
+          {/* Secondary Tools */}
+          <div className="flex flex-wrap justify-center gap-3 mt-4">
+            <button
+              onClick={() => setShowPalette(true)}
+              title="Ctrl+K"
+              className="flex items-center gap-2 px-4 py-2 bg-gray-800/60 border border-gray-600 text-gray-200 text-sm rounded-lg hover:bg-gray-700 hover:text-white transition-colors backdrop-blur-sm"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 9l3 3-3 3m5 0h3M5 20h14a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+              </svg>
+              Commands
+              <kbd className="px-1.5 py-0.5 text-xs text-gray-400 bg-gray-900 border border-gray-600 rounded">Ctrl K</kbd>
+            </button>
+
+            <button
+              onClick={() => setShowDuplicates(true)}
+              disabled={loading || Boolean(loadError)}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-800/60 border border-gray-600 text-gray-200 text-sm rounded-lg hover:bg-gray-700 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed backdrop-blur-sm"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2" />
+              </svg>
+              Find Duplicates
+            </button>
+
+            <button
+              onClick={() => (selectionMode ? handleExitSelection() : setSelectionMode(true))}
+              disabled={loading || Boolean(loadError)}
+              aria-pressed={selectionMode}
+              className={`flex items-center gap-2 px-4 py-2 border text-sm rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed backdrop-blur-sm ${
+                selectionMode
+                  ? 'bg-cyan-500/20 border-cyan-500/50 text-cyan-200 hover:bg-cyan-500/30'
+                  : 'bg-gray-800/60 border-gray-600 text-gray-200 hover:bg-gray-700 hover:text-white'
+              }`}
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+              </svg>
+              {selectionMode ? 'Cancel Selection' : 'Select'}
+            </button>
+
+            {/* Undo / Redo / History */}
+            <div className="flex rounded-lg border border-gray-600 bg-gray-800/60 backdrop-blur-sm overflow-hidden">
+              <button
+                onClick={handleUndo}
+                disabled={history.past.length === 0}
+                title={history.past.length > 0 ? `Undo: ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                aria-label="Undo"
+                className="px-3 py-2 text-gray-200 text-sm hover:bg-gray-700 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                ↶
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={history.future.length === 0}
+                title={history.future.length > 0 ? `Redo: ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                aria-label="Redo"
+                className="px-3 py-2 border-l border-gray-600 text-gray-200 text-sm hover:bg-gray-700 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                ↷
+              </button>
+              <button
+                onClick={() => setShowHistory(true)}
+                className="flex items-center gap-2 px-3 py-2 border-l border-gray-600 text-gray-200 text-sm hover:bg-gray-700 hover:text-white transition-colors"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                History
+              </button>
+            </div>
+
+            <button
+              onClick={() => setShowFieldSettings(true)}
+              className="flex items-center gap-2 px-3 py-2 bg-gray-800/60 border border-gray-600 text-gray-200 text-sm rounded-lg hover:bg-gray-700 hover:text-white transition-colors backdrop-blur-sm"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
+              </svg>
+              Fields
+            </button>
+
+            <ImportExportMenu
+              disabled={loading || Boolean(loadError)}
+              importOptions={importOptions}
+              exportOptions={exportOptions}
+            />
+          </div>
         </div>
 
         {/* Search Bar */}
         <SearchBar 
+          ref={searchInputRef}
           searchQuery={searchQuery} 
           onSearchChange={handleSearchChange} 
+          searchMode={searchMode}
+          onSearchModeChange={setSearchMode}
+          onFocusResults={() => contactListRef.current && contactListRef.current.focusFirst()}
+          customFields={customFields}
         />
 
 
-        {/* Contact List */}
-        <ContactList 
-          contacts={filteredContacts}
-          loading={loading}
-          searchQuery={searchQuery}
-          onToggleFavorite={handleToggleFavorite}
-          onDelete={handleDeleteContact}
-          onShowInfo={handleShowInfo}
+        {/* Tag Filter */}
+        <TagFilterBar
+          tagCounts={tagCounts}
+          selectedTags={selectedTags}
+          matchMode={tagMatchMode}
+          onSelectedTagsChange={setSelectedTags}
+          onMatchModeChange={setTagMatchMode}
         />
+
+        {/* Grid / Map */}
+        <div className="flex justify-center mb-4">
+          <ViewToggle view={view} onViewChange={setView} />
+        </div>
+
+        {/* Sort & Group (the map has no order) */}
+        {view === 'grid' && (
+          <SortControls
+            sort={sort}
+            onSortChange={handleSortChange}
+            rankedByRelevance={rankedByRelevance}
+          />
+        )}
+
+        {/* Batch Actions */}
+        {selectionMode && (
+          <BulkActionBar
+            selectedCount={selectedIds.size}
+            filteredCount={filteredContacts.length}
+            onSelectAll={() => setSelectedIds(new Set([...selectedIds, ...filteredContacts.map(c => c.id)]))}
+            onClearSelection={() => setSelectedIds(new Set())}
+            onFavorite={handleBulkFavorite}
+            onTag={() => setShowBulkTag(true)}
+            onExportVCard={() => handleExportVCard(selectedContacts, 'contacts-selected.vcf')}
+            onExportCsv={() => handleExportCsv(selectedContacts, 'contacts-selected.csv')}
+            onDelete={handleBulkDelete}
+            onDone={handleExitSelection}
+          />
+        )}
+
+        {/* Contact Map or List */}
+        {view === 'map' && !loading && !loadError ? (
+          <ContactMap
+            ref={contactListRef}
+            contacts={filteredContacts}
+            onFilter={handleMapFilter}
+            onEdit={handleShowEditForm}
+          />
+        ) : (
+          <ContactList
+            ref={contactListRef}
+            contacts={filteredContacts}
+            sections={sections}
+            showIndex={sort.groupBy === 'letter' && Boolean(sections)}
+            loading={loading}
+            error={loadError}
+            onRetry={fetchContacts}
+            searchQuery={searchQuery}
+            selectedTags={selectedTags}
+            highlightTerms={highlightTerms}
+            onToggleFavorite={handleToggleFavorite}
+            onDelete={handleDeleteContact}
+            onShowInfo={handleShowInfo}
+            onEdit={handleShowEditForm}
+            onExport={handleExportContact}
+            onEditTags={(contactId) => setContactToTag(contacts.find(c => c.id === contactId) || null)}
+            selectionMode={selectionMode}
+            selectedIds={selectedIds}
+            onSelect={handleSelectContact}
+          />
+        )}
       </main>
 
       {/* Footer */}
@@ -341,268 +1400,394 @@ function App() {
         <p className="text-sm mt-1">Tria Assignment - Contact List App</p>
       </footer>
 
-      {/* Toast Notification */}
-      {toast.show && (
-        <div className={`fixed bottom-8 right-8 px-6 py-3 rounded-lg shadow-lg animate-slide-up flex items-center gap-3 z-[10000] ${
-          toast.type === 'delete' 
-            ? 'bg-orange-500 text-white' 
-            : 'bg-green-500 text-white'
-        }`}>
-          <span>{toast.message}</span>
-          
-          {/* Undo Button (only for delete toasts) */}
-          {toast.type === 'delete' && deletedContact && (
-            <button
-              onClick={handleUndoDelete}
-              className="ml-2 px-3 py-1 bg-white text-orange-600 rounded font-semibold hover:bg-orange-50 transition-colors"
-            >
-              UNDO
-            </button>
-          )}
-        </div>
-      )}
+      {/* Toast Notification (screen reader live region) */}
+      {/* Undo only while the toast's change is still the latest one */}
+      <Toast
+        toast={toast}
+        onUndo={toast.entryId !== null && history.past[history.past.length - 1]?.id === toast.entryId ? handleUndo : undefined}
+      />
 
       {/* Global Confirmation Dialog */}
-      {showConfirmDialog && contactToDelete && (
-        <div 
-          className="fixed inset-0 bg-black/70 backdrop-blur-lg flex items-center justify-center z-[9999]"
-          onClick={handleCancelDelete}
+      {showConfirmDialog && contactsToDelete.length > 0 && (
+        <Dialog
+          role="alertdialog"
+          labelledBy="confirm-delete-title"
+          describedBy="confirm-delete-message"
+          onClose={handleCancelDelete}
+          className="p-8 max-w-lg"
         >
-          <div 
-            className="bg-gray-900/95 backdrop-blur-xl border border-gray-600/50 rounded-2xl p-8 max-w-lg mx-4 shadow-2xl transform animate-scale-in"
-            onClick={(e) => e.stopPropagation()}
-          >
-            {/* Close button */}
+          <div className="flex items-center mb-6">
+            <div className="w-16 h-16 bg-red-500/20 rounded-full flex items-center justify-center mr-4">
+              <svg className="w-8 h-8 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z" />
+              </svg>
+            </div>
+            <h3 id="confirm-delete-title" className="text-2xl font-bold text-white">
+              {contactsToDelete.length === 1 ? 'Delete Contact' : 'Delete Contacts'}
+            </h3>
+          </div>
+          
+          <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-4 mb-6">
+            <p id="confirm-delete-message" className="text-gray-300 text-lg leading-relaxed">
+              Are you sure you want to delete <span className="font-semibold text-white">
+                {contactsToDelete.length === 1 ? contactsToDelete[0].name : `${contactsToDelete.length} contacts`}
+              </span>?
+            </p>
+          </div>
+          
+          <div className="flex gap-4">
             <button
               onClick={handleCancelDelete}
-              className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors"
+              data-autofocus
+              className="flex-1 px-6 py-3 bg-gray-700 text-gray-200 rounded-xl hover:bg-gray-600 transition-colors font-medium text-lg"
             >
-              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
+              Cancel
             </button>
-
-            <div className="flex items-center mb-6">
-              <div className="w-16 h-16 bg-red-500/20 rounded-full flex items-center justify-center mr-4">
-                <svg className="w-8 h-8 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z" />
-                </svg>
-              </div>
-              <h3 className="text-2xl font-bold text-white">Delete Contact</h3>
-            </div>
-            
-            <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-4 mb-6">
-              <p className="text-gray-300 text-lg leading-relaxed">
-                Are you sure you want to delete <span className="font-semibold text-white">{contactToDelete.name}</span>?
-              </p>
-            </div>
-            
-            <div className="flex gap-4">
-              <button
-                onClick={handleCancelDelete}
-                className="flex-1 px-6 py-3 bg-gray-700 text-gray-200 rounded-xl hover:bg-gray-600 transition-colors font-medium text-lg"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleConfirmDelete}
-                className="flex-1 px-6 py-3 bg-red-600 text-white rounded-xl hover:bg-red-700 transition-colors font-medium text-lg"
-              >
-                Delete
-              </button>
-            </div>
-          </div>
-        </div>
-      )}
-
-      {/* Contact Info Dialog */}
-      {showInfoDialog && contactToShow && (
-        <div 
-          className="fixed inset-0 bg-black/70 backdrop-blur-lg flex items-center justify-center z-[9999]"
-          onClick={handleCloseInfo}
-        >
-          <div 
-            className="bg-gray-900/95 backdrop-blur-xl border border-gray-600/50 rounded-2xl p-8 max-w-4xl mx-4 shadow-2xl transform animate-scale-in w-full max-h-[90vh] overflow-y-auto"
-            onClick={(e) => e.stopPropagation()}
-          >
-            {/* Close button */}
             <button
-              onClick={handleCloseInfo}
-              className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors"
+              onClick={handleConfirmDelete}
+              className="flex-1 px-6 py-3 bg-red-600 text-white rounded-xl hover:bg-red-700 transition-colors font-medium text-lg"
             >
-              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
+              Delete
             </button>
+          </div>
+        </Dialog>
+      )}
 
-            {/* Contact Avatar and Name */}
-            <div className="flex items-center mb-6">
-              <div className="w-16 h-16 bg-gradient-to-br from-cyan-500 to-purple-600 rounded-full flex items-center justify-center mr-4">
-                <span className="text-white font-bold text-2xl">
-                  {contactToShow.name.charAt(0).toUpperCase()}
-                </span>
+      {/* Contact Info Dialog */}
+      {contactToShow && (
+        <Dialog labelledBy="contact-info-title" onClose={handleCloseInfo} className="p-8 max-w-4xl max-h-[90vh] overflow-y-auto">
+          {/* Contact Avatar and Name */}
+          <div className="flex items-center mb-6">
+            <div className="mr-4">
+              <Avatar contact={contactToShow} className="w-16 h-16 text-2xl" />
+            </div>
+            <div className="min-w-0 flex-1">
+              <h3 id="contact-info-title" className="text-2xl font-bold text-white break-words leading-tight">{contactToShow.name}</h3>
+              {contactToShow.isFavorite && (
+                <span className="text-sm text-yellow-400 font-medium">⭐ Favorite</span>
+              )}
+            </div>
+          </div>
+          
+          {/* Contact Details - Individual Info Boxes */}
+          <div className="space-y-4">
+            {/* Email Info Box */}
+            <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
+              <div className="flex items-center mb-3">
+                <svg className="w-6 h-6 text-cyan-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                </svg>
+                <span className="text-gray-300 font-semibold text-lg">Email</span>
               </div>
-              <div className="min-w-0 flex-1">
-                <h3 className="text-2xl font-bold text-white break-words leading-tight">{contactToShow.name}</h3>
-                {contactToShow.isFavorite && (
-                  <span className="text-sm text-yellow-400 font-medium">⭐ Favorite</span>
-                )}
+              <ul className="space-y-2 pl-9">
+                {getContactEmails(contactToShow).map((entry) => (
+                  <li key={entry.value} className="flex flex-wrap items-baseline gap-x-3">
+                    <span className="text-white text-xl break-words leading-relaxed">{entry.value}</span>
+                    <span className="text-sm text-gray-400 capitalize">{entry.label}</span>
+                    {entry.primary && getContactEmails(contactToShow).length > 1 && (
+                      <span className="text-xs text-yellow-400 font-medium">Primary</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {/* Phone Info Box */}
+            <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
+              <div className="flex items-center mb-3">
+                <svg className="w-6 h-6 text-green-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
+                </svg>
+                <span className="text-gray-300 font-semibold text-lg">Phone</span>
               </div>
+              <ul className="space-y-2 pl-9">
+                {getContactPhones(contactToShow).map((entry) => (
+                  <li key={entry.value} className="flex flex-wrap items-baseline gap-x-3">
+                    <span className="text-white text-xl break-words leading-relaxed">{entry.value}</span>
+                    <span className="text-sm text-gray-400 capitalize">{entry.label}</span>
+                    {entry.primary && getContactPhones(contactToShow).length > 1 && (
+                      <span className="text-xs text-yellow-400 font-medium">Primary</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
             </div>
-            
-            {/* Contact Details - Individual Info Boxes */}
-            <div className="space-y-4">
-              {/* Email Info Box */}
+
+            {/* Location Info Box */}
+            {contactToShow.location && (
               <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
                 <div className="flex items-center mb-3">
-                  <svg className="w-6 h-6 text-cyan-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                  <svg className="w-6 h-6 text-blue-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
                   </svg>
-                  <span className="text-gray-300 font-semibold text-lg">Email</span>
+                  <span className="text-gray-300 font-semibold text-lg">Location</span>
                 </div>
-                <p className="text-white text-xl break-words pl-9 leading-relaxed">{contactToShow.email}</p>
+                <p className="text-white text-xl break-words pl-9 leading-relaxed">{contactToShow.location}</p>
               </div>
+            )}
 
-              {/* Phone Info Box */}
+            {/* Address Info Box */}
+            {shownAddresses.length > 0 && (
               <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
                 <div className="flex items-center mb-3">
-                  <svg className="w-6 h-6 text-green-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
+                  <svg className="w-6 h-6 text-orange-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
                   </svg>
-                  <span className="text-gray-300 font-semibold text-lg">Phone</span>
+                  <span className="text-gray-300 font-semibold text-lg">Address</span>
                 </div>
-                <p className="text-white text-xl break-words pl-9 leading-relaxed">{contactToShow.phone}</p>
+                <ul className="space-y-2 pl-9">
+                  {shownAddresses.map((entry, index) => (
+                    <li key={index} className="flex flex-wrap items-baseline gap-x-3">
+                      <span className="text-white text-xl break-words leading-relaxed">{formatAddress(entry)}</span>
+                      <span className="text-sm text-gray-400 capitalize">{entry.label}</span>
+                      {entry.primary && shownAddresses.length > 1 && (
+                        <span className="text-xs text-yellow-400 font-medium">Primary</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
               </div>
+            )}
 
-              {/* Location Info Box */}
-              {contactToShow.location && (
-                <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
-                  <div className="flex items-center mb-3">
-                    <svg className="w-6 h-6 text-blue-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
-                    </svg>
-                    <span className="text-gray-300 font-semibold text-lg">Location</span>
-                  </div>
-                  <p className="text-white text-xl break-words pl-9 leading-relaxed">{contactToShow.location}</p>
+            {/* Birthday Info Box */}
+            {contactToShow.birthday && (
+              <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
+                <div className="flex items-center mb-3">
+                  <svg className="w-6 h-6 text-pink-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                  </svg>
+                  <span className="text-gray-300 font-semibold text-lg">Birthday</span>
                 </div>
-              )}
+                <p className="text-white text-xl pl-9 leading-relaxed">{formatBirthday(contactToShow.birthday)}</p>
+                {daysUntilShownBirthday !== null && (
+                  <p className="text-gray-400 text-sm pl-9 mt-1">
+                    Turns {getAgeTurning(contactToShow.birthday, today)}{' '}
+                    {daysUntilShownBirthday === 0
+                      ? 'today 🎉'
+                      : `in ${daysUntilShownBirthday} day${daysUntilShownBirthday === 1 ? '' : 's'}`}
+                  </p>
+                )}
+                {notificationPermission === 'granted' && (
+                  <label className="flex items-center gap-2 pl-9 mt-3 text-sm text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={wantsBirthdayReminder(contactToShow)}
+                      onChange={() => handleToggleBirthdayReminder(contactToShow.id)}
+                      className="w-4 h-4 accent-pink-500"
+                    />
+                    Remind me on this birthday
+                  </label>
+                )}
+              </div>
+            )}
 
-              {/* Address Info Box */}
-              {contactToShow.address && (
-                <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
-                  <div className="flex items-center mb-3">
-                    <svg className="w-6 h-6 text-orange-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
-                    </svg>
-                    <span className="text-gray-300 font-semibold text-lg">Address</span>
-                  </div>
-                  <p className="text-white text-xl break-words pl-9 leading-relaxed">{contactToShow.address}</p>
+            {/* Tags Info Box */}
+            {getContactTags(contactToShow).length > 0 && (
+              <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
+                <div className="flex items-center mb-3">
+                  <svg className="w-6 h-6 text-purple-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                  </svg>
+                  <span className="text-gray-300 font-semibold text-lg">Tags</span>
                 </div>
-              )}
+                <div className="flex flex-wrap gap-2 pl-9">
+                  {getContactTags(contactToShow).map(tag => (
+                    <TagChip key={tag} tag={tag} />
+                  ))}
+                </div>
+              </div>
+            )}
 
-              {/* Birthday Info Box */}
-              {contactToShow.birthday && (
-                <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
-                  <div className="flex items-center mb-3">
-                    <svg className="w-6 h-6 text-pink-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                    </svg>
-                    <span className="text-gray-300 font-semibold text-lg">Birthday</span>
-                  </div>
-                  <p className="text-white text-xl pl-9 leading-relaxed">{new Date(contactToShow.birthday).toLocaleDateString('en-US', { 
-                    year: 'numeric', 
-                    month: 'long', 
-                    day: 'numeric' 
-                  })}</p>
+            {/* Custom Fields Info Box */}
+            {shownCustomFields.length > 0 && (
+              <div className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-6">
+                <div className="flex items-center mb-3">
+                  <svg className="w-6 h-6 text-teal-400 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+                  </svg>
+                  <span className="text-gray-300 font-semibold text-lg">More Details</span>
                 </div>
-              )}
-            </div>
-            
-            {/* Action Buttons */}
-            <div className="mt-6 flex gap-3">
-              <button
-                onClick={() => {
-                  handleCloseInfo();
-                  handleShowEditForm(contactToShow.id);
-                }}
-                className="flex-1 px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 font-medium text-lg flex items-center justify-center gap-2"
-              >
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                </svg>
-                Edit Contact
-              </button>
-              <button
-                onClick={handleCloseInfo}
-                className="flex-1 px-6 py-3 bg-gray-700 text-gray-200 rounded-xl hover:bg-gray-600 transition-colors font-medium text-lg"
-              >
-                Close
-              </button>
-            </div>
+                <dl className="space-y-3 pl-9">
+                  {shownCustomFields.map(({ definition, value }) => {
+                    const href = definition.type === 'url' ? toHref(value) : null;
+                    return (
+                      <div key={definition.key}>
+                        <dt className="text-sm text-gray-400">{definition.label}</dt>
+                        <dd className={`text-white text-lg break-words ${definition.type === 'textarea' ? 'whitespace-pre-wrap' : ''}`}>
+                          {href ? (
+                            <a href={href} target="_blank" rel="noopener noreferrer" className="text-cyan-400 hover:text-cyan-300 underline">
+                              {value}
+                            </a>
+                          ) : formatCustomValue(definition, value)}
+                        </dd>
+                      </div>
+                    );
+                  })}
+                </dl>
+              </div>
+            )}
           </div>
-        </div>
-      )}
-
-      {/* Add Contact Form Popup */}
-      {showAddForm && (
-        <div 
-          className="fixed inset-0 bg-black/70 backdrop-blur-lg flex items-center justify-center z-[9999]"
-          onClick={handleCloseAddForm}
-        >
-          <div 
-            className="bg-gray-900/95 backdrop-blur-xl border border-gray-600/50 rounded-2xl p-8 max-w-2xl mx-4 shadow-2xl transform animate-scale-in w-full max-h-[90vh] overflow-y-auto"
-            onClick={(e) => e.stopPropagation()}
-          >
-            {/* Close button */}
+          
+          {/* Action Buttons */}
+          <div className="mt-6 flex gap-3">
             <button
-              onClick={handleCloseAddForm}
-              className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors"
+              onClick={() => handleShowEditForm(contactToShow.id)}
+              className="flex-1 px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 font-medium text-lg flex items-center justify-center gap-2"
             >
-              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
               </svg>
+              Edit Contact
+            </button>
+            <button
+              onClick={handleCloseInfo}
+              className="flex-1 px-6 py-3 bg-gray-700 text-gray-200 rounded-xl hover:bg-gray-600 transition-colors font-medium text-lg"
+            >
+              Close
             </button>
-
-            <h2 className="text-2xl font-bold text-white mb-6">Add New Contact</h2>
-            <AddContactForm 
-              onAddContact={handleAddContact} 
-              existingContacts={contacts}
-              onClose={handleCloseAddForm}
-            />
           </div>
-        </div>
+        </Dialog>
+      )}
+
+      {/* Add Contact Form Popup */}
+      {addMatch && (
+        <Dialog title="Add New Contact" onClose={handleCloseAddForm} className="p-8 max-w-2xl max-h-[90vh] overflow-y-auto">
+          <ContactForm
+            mode="add"
+            onSubmit={handleSaveNew}
+            existingContacts={contacts}
+            customFields={customFields}
+            dataSource={dataSource}
+            onClose={handleCloseAddForm}
+          />
+        </Dialog>
       )}
 
       {/* Edit Contact Form Popup */}
-      {showEditForm && contactToEdit && (
-        <div 
-          className="fixed inset-0 bg-black/70 backdrop-blur-lg flex items-center justify-center z-[9999]"
-          onClick={handleCloseEditForm}
-        >
-          <div 
-            className="bg-gray-900/95 backdrop-blur-xl border border-gray-600/50 rounded-2xl p-8 max-w-2xl mx-4 shadow-2xl transform animate-scale-in w-full max-h-[90vh] overflow-y-auto"
-            onClick={(e) => e.stopPropagation()}
+      {contactToEdit && (
+        <Dialog title="Edit Contact" onClose={handleCloseEditForm} className="p-8 max-w-2xl max-h-[90vh] overflow-y-auto">
+          <ContactForm
+            key={contactToEdit.id}
+            mode="edit"
+            contact={contactToEdit}
+            onSubmit={handleSaveEdit}
+            existingContacts={contacts.filter(c => c.id !== contactToEdit.id)}
+            customFields={customFields}
+            dataSource={dataSource}
+            onClose={handleCloseEditForm}
+          />
+        </Dialog>
+      )}
+
+      {/* Contact Not Found (route to a contact that doesn't exist) */}
+      {routeMatch && !routeContact && !loading && !loadError && (
+        <Dialog labelledBy="contact-not-found-title" onClose={closeRoute} showClose={false} className="p-8 max-w-md text-center">
+          <h2 id="contact-not-found-title" className="text-2xl font-bold text-white mb-3">Contact not found</h2>
+          <p className="text-gray-300 mb-6">This link points to a contact that doesn't exist or has been deleted.</p>
+          <button
+            onClick={closeRoute}
+            className="px-6 py-3 bg-gradient-to-r from-cyan-500 to-purple-600 text-white font-medium rounded-xl hover:from-cyan-600 hover:to-purple-700 transition-all duration-200"
           >
-            {/* Close button */}
-            <button
-              onClick={handleCloseEditForm}
-              className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors"
-            >
-              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
-            </button>
+            Back to contacts
+          </button>
+        </Dialog>
+      )}
 
-            <h2 className="text-2xl font-bold text-white mb-6">Edit Contact</h2>
-            <EditContactForm 
-              contact={contactToEdit}
-              onUpdateContact={handleUpdateContact} 
-              existingContacts={contacts.filter(c => c.id !== contactToEdit.id)}
-              onClose={handleCloseEditForm}
-            />
-          </div>
-        </div>
+      {/* Find Duplicates Popup */}
+      {showDuplicates && (
+        <Dialog title="Find Duplicates" onClose={() => setShowDuplicates(false)} className="p-8 max-w-4xl max-h-[90vh] overflow-y-auto">
+          <DuplicatesDialog
+            contacts={contacts}
+            onMerge={handleMergeContacts}
+            onClose={() => setShowDuplicates(false)}
+          />
+        </Dialog>
+      )}
+
+      {/* Import vCard Popup */}
+      {showVCardImport && (
+        <Dialog title="Import vCard" onClose={() => setShowVCardImport(false)} className="p-8 max-w-3xl max-h-[90vh] overflow-y-auto">
+          <VCardImportDialog
+            existingContacts={contacts}
+            customFields={customFields}
+            onImport={handleImportContacts}
+            onClose={() => setShowVCardImport(false)}
+          />
+        </Dialog>
+      )}
+
+      {/* Import CSV Popup */}
+      {showCsvImport && (
+        <Dialog title="Import CSV" onClose={() => setShowCsvImport(false)} className="p-8 max-w-3xl max-h-[90vh] overflow-y-auto">
+          <CsvImportDialog
+            existingContacts={contacts}
+            customFields={customFields}
+            onImport={handleImportContacts}
+            onClose={() => setShowCsvImport(false)}
+          />
+        </Dialog>
+      )}
+
+      {/* Edit Tags Popup */}
+      {contactToTag && (
+        <Dialog title="Edit Tags" onClose={() => setContactToTag(null)} className="p-8 max-w-lg max-h-[90vh] overflow-y-auto">
+          <TagEditor
+            contact={contactToTag}
+            suggestions={tagCounts.map(({ name }) => name)}
+            onSave={handleSaveTags}
+            onClose={() => setContactToTag(null)}
+          />
+        </Dialog>
+      )}
+
+      {/* History Popup */}
+      {showHistory && (
+        <Dialog title="History" onClose={() => setShowHistory(false)} className="p-8 max-w-lg max-h-[90vh] overflow-y-auto">
+          <HistoryPanel
+            past={history.past}
+            future={history.future}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            onClose={() => setShowHistory(false)}
+          />
+        </Dialog>
+      )}
+
+      {/* Custom Fields Popup */}
+      {showFieldSettings && (
+        <Dialog title="Custom Fields" onClose={() => setShowFieldSettings(false)} className="p-8 max-w-2xl max-h-[90vh] overflow-y-auto">
+          <CustomFieldsEditor
+            fields={customFields}
+            contacts={contacts}
+            onSave={handleSaveCustomFields}
+            onClose={() => setShowFieldSettings(false)}
+          />
+        </Dialog>
+      )}
+
+      {/* Bulk Tag Popup */}
+      {showBulkTag && selectedContacts.length > 0 && (
+        <Dialog title="Tag Selected Contacts" onClose={() => setShowBulkTag(false)} className="p-8 max-w-lg max-h-[90vh] overflow-y-auto">
+          <BulkTagEditor
+            contacts={selectedContacts}
+            suggestions={tagCounts.map(({ name }) => name)}
+            onApply={handleBulkTag}
+            onClose={() => setShowBulkTag(false)}
+          />
+        </Dialog>
+      )}
+
+      {/* Command Palette */}
+      {showPalette && (
+        <CommandPalette
+          contacts={contacts}
+          searchIndex={searchIndex}
+          customFields={customFields}
+          actions={paletteActions}
+          onSelectContact={handleShowInfo}
+          onClose={() => setShowPalette(false)}
+        />
       )}
     </div>
   );
@@ -0,0 +1,111 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { TextEncoder } from 'util';
+import { BrowserRouter } from 'react-router-dom';
+import { axe } from 'jest-axe';
+import App from './App';
+
+// The router needs TextEncoder, which jsdom leaves out
+global.TextEncoder = TextEncoder;
+
+// Rendering the sample contacts and running axe on them takes a while
+jest.setTimeout(60000);
+
+/**
+ * Render the app with the sample contacts and wait for the list
+ */
+const renderApp = async () => {
+  const view = render(
+    <BrowserRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <App />
+    </BrowserRouter>
+  );
+  await screen.findAllByText('Aarav Sharma', {}, { timeout: 20000 });
+  return view;
+};
+
+/**
+ * Run axe over the rendered app
+ * Its checks are async, so let React settle any updates they trigger
+ */
+const checkAccessibility = async (container) => {
+  let results;
+  await act(async () => {
+    results = await axe(container);
+  });
+  return results;
+};
+
+describe('accessibility', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('contact list', async () => {
+    const { container } = await renderApp();
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+
+  test('open contact dialog', async () => {
+    const { container } = await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: 'More options for Aarav Sharma' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: /More Info/ }));
+    await screen.findByRole('dialog', { name: 'Aarav Sharma' });
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+
+  test('open contact card menu', async () => {
+    const { container } = await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: 'More options for Aarav Sharma' }));
+    expect(screen.getByRole('menuitem', { name: /Delete Contact/ })).toBeInTheDocument();
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+
+  test('delete confirmation dialog', async () => {
+    const { container } = await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: 'More options for Aarav Sharma' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: /Delete Contact/ }));
+    expect(screen.getByRole('alertdialog', { name: 'Delete Contact' })).toBeInTheDocument();
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+
+  test('add contact form', async () => {
+    const { container } = await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: 'Add New Contact' }));
+    await screen.findByRole('dialog', { name: 'Add New Contact' });
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+
+  test('edit contact form', async () => {
+    window.history.replaceState(null, '', '/contacts/1/edit');
+    const { container } = await renderApp();
+    await screen.findByRole('dialog', { name: 'Edit Contact' });
+    expect(screen.getByLabelText('Name *')).toHaveValue('Aarav Sharma');
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+
+  test('search with a query entered', async () => {
+    const { container } = await renderApp();
+    fireEvent.change(screen.getByRole('textbox', { name: 'Search contacts' }), { target: { value: 'aarav' } });
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'More options for Diya Patel' })).toBeNull());
+    expect(screen.getByRole('button', { name: 'Clear search' })).toBeInTheDocument();
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+
+  test('toast', async () => {
+    const { container } = await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: 'More options for Aarav Sharma' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: /Delete Contact/ }));
+    fireEvent.click(screen.getAllByRole('button', { name: /^Delete$/ }).pop());
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent(/deleted/));
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+
+  test('command palette', async () => {
+    const { container } = await renderApp();
+    fireEvent.keyDown(document.body, { key: 'k', ctrlKey: true });
+    fireEvent.change(await screen.findByRole('combobox', { name: 'Search contacts and actions' }), { target: { value: 'aarav' } });
+    await screen.findByRole('option', { name: /Aarav Sharma/ });
+    expect(await checkAccessibility(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { ensureSinglePrimary } from '../utils/labeledValues';
+import {
+  ADDRESS_FIELDS,
+  ADDRESS_LABELS,
+  createEmptyAddress,
+  getPostalCodeLabel,
+  parseAddress
+} from '../utils/address';
+
+const inputClass = 'w-full px-3 py-2 bg-gray-700/50 border text-white placeholder-gray-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400';
+
+// Placeholders for each address part
+const PLACEHOLDERS = {
+  street: '123 Marine Drive',
+  locality: 'Colaba',
+  city: 'Mumbai',
+  state: 'Maharashtra',
+  postalCode: '400001',
+  country: 'India'
+};
+
+/**
+ * AddressListInput Component
+ *
+ * Editable list of labeled, structured addresses for the contact forms
+ * Each address has a label, street, locality, city, state, postal code and
+ * country, a primary toggle and a remove button. A full address can be
+ * pasted into one box and split into the fields.
+ *
+ * @param {Array} addresses - Address rows (see createEmptyAddress)
+ * @param {string} location - Location as entered, used to fill a pasted address's city or country
+ * @param {Object} errors - Form errors, keyed `addresses.${index}.${field}`
+ * @param {function} onChange - Callback with the updated rows
+ */
+const AddressListInput = ({ addresses, location = '', errors = {}, onChange }) => {
+  // Text in each row's paste box, by row index
+  const [pasted, setPasted] = useState({});
+
+  /**
+   * Update one part of one address
+   */
+  const handleFieldChange = (index, field, value) => {
+    onChange(addresses.map((address, i) => (i === index ? { ...address, [field]: value } : address)));
+  };
+
+  /**
+   * Make an address the primary one
+   */
+  const handleSetPrimary = (index) => {
+    onChange(addresses.map((address, i) => ({ ...address, primary: i === index })));
+  };
+
+  /**
+   * Add an empty address, picking the first label not used yet
+   */
+  const handleAdd = () => {
+    const usedLabels = addresses.map(address => address.label);
+    const label = ADDRESS_LABELS.find(option => !usedLabels.includes(option)) || ADDRESS_LABELS[ADDRESS_LABELS.length - 1];
+    onChange([...addresses, { ...createEmptyAddress(label), primary: addresses.length === 0 }]);
+  };
+
+  /**
+   * Remove an address (the primary moves to the first remaining one)
+   */
+  const handleRemove = (index) => {
+    onChange(ensureSinglePrimary(addresses.filter((_, i) => i !== index)));
+    setPasted({});
+  };
+
+  /**
+   * Split the pasted text into the address fields
+   */
+  const handleFill = (index) => {
+    const text = (pasted[index] || '').trim();
+    if (!text) return;
+    const parsed = parseAddress(text, location);
+    onChange(addresses.map((address, i) => (
+      i === index ? { ...parsed, label: address.label, primary: address.primary } : address
+    )));
+    setPasted(prev => ({ ...prev, [index]: '' }));
+  };
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-300 mb-1">Address</legend>
+
+      <div className="space-y-3">
+        {addresses.map((address, index) => {
+          const title = `Address ${index + 1}`;
+          return (
+            <div key={index} className="p-3 bg-gray-900/40 border border-gray-700 rounded-lg space-y-2">
+              <div className="flex gap-2 items-center">
+                <select
+                  value={address.label}
+                  onChange={(e) => handleFieldChange(index, 'label', e.target.value)}
+                  className="px-2 py-2 bg-gray-700/50 border border-gray-600 text-white text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400 capitalize"
+                  aria-label={`${title} label`}
+                >
+                  {ADDRESS_LABELS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+                <span className="flex-1" />
+                <button
+                  type="button"
+                  onClick={() => handleSetPrimary(index)}
+                  className={`p-2 rounded-lg transition-colors ${
+                    address.primary ? 'text-yellow-400' : 'text-gray-500 hover:text-gray-300'
+                  }`}
+                  title={address.primary ? 'Primary' : 'Make primary'}
+                  aria-label={address.primary ? `${title} is primary` : `Make address ${index + 1} primary`}
+                  aria-pressed={address.primary}
+                >
+                  <svg className="w-4 h-4" fill={address.primary ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                  </svg>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  className="p-2 text-gray-500 hover:text-red-400 rounded-lg transition-colors"
+                  aria-label={`Remove address ${index + 1}`}
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={pasted[index] || ''}
+                  onChange={(e) => setPasted(prev => ({ ...prev, [index]: e.target.value }))}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      handleFill(index);
+                    }
+                  }}
+                  className={`${inputClass} flex-1 min-w-0 text-sm border-gray-600`}
+                  placeholder="Paste a full address to split it"
+                  aria-label={`${title}, full address to split into the fields`}
+                />
+                <button
+                  type="button"
+                  onClick={() => handleFill(index)}
+                  disabled={!(pasted[index] || '').trim()}
+                  className="px-3 py-2 text-sm bg-gray-700 border border-gray-600 text-gray-200 rounded-lg hover:bg-gray-600 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Fill
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                {ADDRESS_FIELDS.map(({ key, label }) => {
+                  const id = `addresses-${index}-${key}`;
+                  const error = errors[`addresses.${index}.${key}`];
+                  const fieldLabel = key === 'postalCode' ? getPostalCodeLabel(address) : label;
+                  return (
+                    <div key={key} className={key === 'street' || key === 'locality' ? 'col-span-2' : ''}>
+                      <label htmlFor={id} className="block text-xs text-gray-400 mb-0.5">{fieldLabel}</label>
+                      <input
+                        type="text"
+                        id={id}
+                        value={address[key]}
+                        onChange={(e) => handleFieldChange(index, key, e.target.value)}
+                        aria-invalid={Boolean(error)}
+                        aria-describedby={error ? `${id}-error` : undefined}
+                        className={`${inputClass} ${error ? 'border-red-500' : 'border-gray-600'}`}
+                        placeholder={PLACEHOLDERS[key]}
+                      />
+                      {error && (
+                        <p id={`${id}-error`} className="text-red-400 text-sm mt-1">{error}</p>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        type="button"
+        onClick={handleAdd}
+        className="mt-2 text-sm text-cyan-400 hover:text-cyan-300 transition-colors"
+      >
+        + Add address
+      </button>
+    </fieldset>
+  );
+};
+
+export default AddressListInput;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { OTHER_LETTER } from '../utils/contactSort';
+
+const LETTERS = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ', OTHER_LETTER];
+
+/**
+ * AlphabetRail Component
+ *
+ * A–Z jump index on the right edge of the screen, like a phone's contacts app
+ * Letters without contacts are shown dimmed and can't be clicked
+ *
+ * @param {Array} letters - Letters that have a section
+ * @param {function} onJump - Callback with the clicked letter
+ */
+const AlphabetRail = ({ letters, onJump }) => {
+  const available = new Set(letters);
+
+  return (
+    <nav
+      aria-label="Jump to letter"
+      className="fixed right-1 sm:right-3 top-1/2 -translate-y-1/2 z-20 flex flex-col items-center py-2 px-1 bg-gray-900/70 border border-gray-700 rounded-full backdrop-blur-md"
+    >
+      {LETTERS.map(letter => (
+        <button
+          key={letter}
+          type="button"
+          onClick={() => onJump(letter)}
+          disabled={!available.has(letter)}
+          aria-label={`Jump to ${letter === OTHER_LETTER ? 'other names' : letter}`}
+          className="w-6 h-[1.15rem] text-[0.7rem] font-semibold leading-none text-cyan-300 hover:text-white hover:bg-cyan-500/30 rounded-full transition-colors disabled:text-gray-600 disabled:hover:bg-transparent disabled:cursor-default"
+        >
+          {letter}
+        </button>
+      ))}
+    </nav>
+  );
+};
+
+export default AlphabetRail;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { getAvatarGradient, getInitials } from '../utils/avatar';
+
+/**
+ * Avatar Component
+ *
+ * Contact photo in a circle, or two-letter initials on a gradient picked
+ * from the contact id when there is no photo
+ * Decorative: the contact's name is always shown next to it
+ *
+ * @param {Object} contact - Contact with id, name and optional photo
+ * @param {string} className - Size and text size classes (e.g. "w-12 h-12 text-lg")
+ */
+const Avatar = ({ contact, className = 'w-12 h-12 text-lg' }) => {
+  if (contact.photo) {
+    return (
+      <img
+        src={contact.photo}
+        alt=""
+        aria-hidden="true"
+        className={`${className} flex-shrink-0 rounded-full object-cover bg-gray-700`}
+      />
+    );
+  }
+
+  return (
+    <div
+      aria-hidden="true"
+      className={`${className} flex-shrink-0 bg-gradient-to-br ${getAvatarGradient(contact.id ?? contact.name)} rounded-full flex items-center justify-center text-white font-bold select-none`}
+    >
+      {getInitials(contact.name)}
+    </div>
+  );
+};
+
+export default Avatar;
@@ -0,0 +1,111 @@
+import React, { useId } from 'react';
+
+/**
+ * BarChart Component
+ *
+ * Small bar chart for the Insights dashboard, drawn with plain elements
+ * Each bar with a filter is a toggle button: clicking it applies the filter
+ * to the contact list, clicking the active bar clears it
+ *
+ * @param {string} title - Chart heading
+ * @param {Array} data - Bars as { key, label, detail, count, filter }
+ * @param {string} layout - 'rows' (horizontal bars, for categories) or
+ *                          'columns' (vertical bars, for months and weeks)
+ * @param {string} activeFilter - Filter currently applied to the list (compared ignoring case)
+ * @param {function} onSelect - Callback with a bar's filter
+ * @param {string} barClassName - Background classes for the bars
+ * @param {function} describe - Accessible description of a bar's count
+ * @param {string} emptyText - Shown when there is nothing to chart
+ */
+const BarChart = ({
+  title,
+  data,
+  layout = 'rows',
+  activeFilter = '',
+  onSelect,
+  barClassName = 'bg-cyan-500/70',
+  describe = count => `${count} contact${count === 1 ? '' : 's'}`,
+  emptyText = 'No data yet'
+}) => {
+  const titleId = useId();
+  const max = Math.max(1, ...data.map(bar => bar.count));
+  const isEmpty = data.every(bar => bar.count === 0);
+
+  /**
+   * Wrap a bar in a toggle button when it has a filter
+   */
+  const renderBar = (bar, content, className) => {
+    const active = Boolean(bar.filter) && bar.filter.toLowerCase() === activeFilter.toLowerCase();
+    const label = `${bar.label}${bar.detail ? `, ${bar.detail}` : ''}: ${describe(bar.count)}`;
+
+    if (!bar.filter || bar.count === 0) {
+      return (
+        <div key={bar.key} className={className} title={label}>
+          {content(active)}
+        </div>
+      );
+    }
+    return (
+      <button
+        key={bar.key}
+        type="button"
+        onClick={() => onSelect(bar.filter)}
+        aria-pressed={active}
+        aria-label={label}
+        title={active ? 'Click to clear the filter' : `Show ${describe(bar.count)}`}
+        className={`${className} group rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400`}
+      >
+        {content(active)}
+      </button>
+    );
+  };
+
+  return (
+    <section aria-labelledby={titleId} className="bg-gray-900/40 border border-gray-700 rounded-lg p-4">
+      <h3 id={titleId} className="text-sm text-gray-300 font-medium mb-3">{title}</h3>
+
+      {isEmpty ? (
+        <p className="text-sm text-gray-400">{emptyText}</p>
+      ) : layout === 'columns' ? (
+        <div className="flex items-stretch gap-1 h-36">
+          {data.map(bar => renderBar(bar, (active) => (
+            <>
+              <span className="block text-[10px] text-gray-400 text-center">{bar.count || '\u00a0'}</span>
+              <span className="flex-1 relative">
+                <span
+                  className={`absolute bottom-0 inset-x-0 rounded-t transition-colors ${active ? 'bg-white' : `${barClassName} group-hover:brightness-125`}`}
+                  style={{ height: `${(bar.count / max) * 100}%` }}
+                />
+              </span>
+              <span className={`block text-[10px] text-center mt-1 truncate ${active ? 'text-white font-semibold' : 'text-gray-400'}`}>
+                {bar.label}
+              </span>
+            </>
+          ), 'flex-1 min-w-0 flex flex-col'))}
+        </div>
+      ) : (
+        <div className="space-y-1.5">
+          {data.map(bar => renderBar(bar, (active) => (
+            <>
+              <span className="flex items-baseline justify-between gap-2 text-xs">
+                <span className={`truncate ${active ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                  {bar.label}
+                  {bar.detail && <span className="text-gray-400"> · {bar.detail}</span>}
+                </span>
+                <span className="text-gray-400 flex-shrink-0">{bar.count}</span>
+              </span>
+              <span className="block h-2 mt-0.5 bg-gray-700/60 rounded-full overflow-hidden">
+                <span
+                  className={`block h-full rounded-full transition-colors ${active ? 'bg-white' : `${barClassName} group-hover:brightness-125`}`}
+                  style={{ width: `${(bar.count / max) * 100}%` }}
+                />
+              </span>
+            </>
+          ), 'block w-full text-left px-1 py-0.5'))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default BarChart;
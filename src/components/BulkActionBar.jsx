@@ -0,0 +1,121 @@
+import React from 'react';
+
+/**
+ * BulkActionBar Component
+ *
+ * Toolbar shown in selection mode: selection count, select all / clear,
+ * and the batch actions that apply to the selected contacts
+ *
+ * @param {number} selectedCount - Number of selected contacts
+ * @param {number} filteredCount - Number of contacts currently shown
+ * @param {function} onSelectAll - Selects every shown contact
+ * @param {function} onClearSelection - Deselects everything
+ * @param {function} onFavorite - Callback with true (favorite) or false (unfavorite)
+ * @param {function} onTag - Opens the batch tag editor
+ * @param {function} onExportVCard - Exports the selection as vCard
+ * @param {function} onExportCsv - Exports the selection as CSV
+ * @param {function} onDelete - Deletes the selection (after confirmation)
+ * @param {function} onDone - Leaves selection mode
+ */
+const BulkActionBar = ({
+  selectedCount,
+  filteredCount,
+  onSelectAll,
+  onClearSelection,
+  onFavorite,
+  onTag,
+  onExportVCard,
+  onExportCsv,
+  onDelete,
+  onDone
+}) => {
+  const none = selectedCount === 0;
+  const actionClass = 'px-3 py-1.5 text-sm rounded-lg border transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="sticky top-4 z-20 mb-6 bg-gray-900/90 backdrop-blur-md border border-cyan-500/40 rounded-lg shadow-2xl px-4 py-3 animate-fade-in">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-white font-semibold" aria-live="polite">
+          {selectedCount} selected
+        </span>
+        <button
+          type="button"
+          onClick={onSelectAll}
+          disabled={filteredCount === 0}
+          className="text-sm text-cyan-400 hover:text-cyan-300 transition-colors disabled:opacity-50"
+        >
+          Select all shown ({filteredCount})
+        </button>
+        {!none && (
+          <button
+            type="button"
+            onClick={onClearSelection}
+            className="text-sm text-gray-400 hover:text-white transition-colors"
+          >
+            Clear
+          </button>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2 sm:ml-auto">
+          <button
+            type="button"
+            onClick={() => onFavorite(true)}
+            disabled={none}
+            className={`${actionClass} border-yellow-500/40 text-yellow-300 hover:bg-yellow-500/20`}
+          >
+            ★ Favorite
+          </button>
+          <button
+            type="button"
+            onClick={() => onFavorite(false)}
+            disabled={none}
+            className={`${actionClass} border-gray-600 text-gray-300 hover:bg-gray-700`}
+          >
+            ☆ Unfavorite
+          </button>
+          <button
+            type="button"
+            onClick={onTag}
+            disabled={none}
+            className={`${actionClass} border-purple-500/40 text-purple-300 hover:bg-purple-500/20`}
+          >
+            Tag…
+          </button>
+          <button
+            type="button"
+            onClick={onExportVCard}
+            disabled={none}
+            className={`${actionClass} border-cyan-500/40 text-cyan-300 hover:bg-cyan-500/20`}
+          >
+            Export vCard
+          </button>
+          <button
+            type="button"
+            onClick={onExportCsv}
+            disabled={none}
+            className={`${actionClass} border-cyan-500/40 text-cyan-300 hover:bg-cyan-500/20`}
+          >
+            Export CSV
+          </button>
+          <button
+            type="button"
+            onClick={onDelete}
+            disabled={none}
+            className={`${actionClass} border-red-500/40 text-red-300 hover:bg-red-500/20`}
+          >
+            Delete
+          </button>
+          <button
+            type="button"
+            onClick={onDone}
+            className={`${actionClass} border-gray-600 text-white bg-gray-700 hover:bg-gray-600`}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import TagInput from './TagInput';
+import { getTagColor, getTagCounts, normalizeTags, tagKey } from '../utils/tags';
+
+/**
+ * BulkTagEditor Component
+ *
+ * Adds and removes tags on several contacts at once
+ * Tags already on some of the selected contacts can be marked for removal
+ *
+ * @param {Array} contacts - Selected contacts
+ * @param {Array} suggestions - Tag names already in use
+ * @param {function} onApply - Callback with (tagsToAdd, tagsToRemove)
+ * @param {function} onClose - Callback to close the editor
+ */
+const BulkTagEditor = ({ contacts, suggestions = [], onApply, onClose }) => {
+  const [tagsToAdd, setTagsToAdd] = useState([]);
+  const [tagsToRemove, setTagsToRemove] = useState([]);
+  const presentTags = getTagCounts(contacts);
+  const removeKeys = new Set(tagsToRemove.map(tagKey));
+  const hasChanges = tagsToAdd.length > 0 || tagsToRemove.length > 0;
+
+  /**
+   * Mark or unmark a tag for removal
+   */
+  const handleToggleRemove = (name) => {
+    setTagsToRemove(removeKeys.has(tagKey(name))
+      ? tagsToRemove.filter(tag => tagKey(tag) !== tagKey(name))
+      : [...tagsToRemove, name]);
+  };
+
+  /**
+   * Apply the changes and close
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!hasChanges) return;
+    onApply(normalizeTags(tagsToAdd), tagsToRemove);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div>
+        <label htmlFor="bulk-add-tags" className="block text-sm font-medium text-gray-300 mb-1">
+          Add to {contacts.length} {contacts.length === 1 ? 'contact' : 'contacts'}
+        </label>
+        <TagInput
+          id="bulk-add-tags"
+          tags={tagsToAdd}
+          suggestions={suggestions}
+          onChange={setTagsToAdd}
+        />
+      </div>
+
+      {presentTags.length > 0 && (
+        <div>
+          <p className="block text-sm font-medium text-gray-300 mb-2">Remove from selection</p>
+          <div className="flex flex-wrap gap-2">
+            {presentTags.map(({ name, count }) => {
+              const marked = removeKeys.has(tagKey(name));
+              return (
+                <button
+                  key={tagKey(name)}
+                  type="button"
+                  onClick={() => handleToggleRemove(name)}
+                  aria-pressed={marked}
+                  title={`On ${count} of the selected contacts`}
+                  className={`inline-flex items-center gap-1.5 px-3 py-1 text-xs font-medium border rounded-full transition-all ${
+                    marked
+                      ? 'bg-red-500/20 text-red-300 border-red-500/40 line-through'
+                      : getTagColor(name)
+                  }`}
+                >
+                  {name}
+                  <span className="text-gray-400">{count}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-3 pt-2">
+        <button
+          type="submit"
+          disabled={!hasChanges}
+          className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-600 text-white py-2 px-4 rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Apply Tags
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default BulkTagEditor;
@@ -0,0 +1,207 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { parseSearchQuery, isEmptyQuery } from '../utils/contactSearch';
+import { createContactScorer, scoreText } from '../utils/fuzzyMatch';
+import Avatar from './Avatar';
+import Dialog from './Dialog';
+
+// Contacts listed for a query, best matches first
+const MAX_CONTACT_RESULTS = 8;
+
+/**
+ * CommandPalette Component
+ *
+ * Ctrl+K / Cmd+K launcher that fuzzy-searches contacts and app actions
+ * Arrow keys move through the results, Enter runs one, Escape closes
+ *
+ * @param {Array} contacts - All contacts
+ * @param {function} searchIndex - Search index of the contacts (see createSearchIndex)
+ * @param {Array} customFields - Custom field definitions, whose keys work as search filters
+ * @param {Array} actions - Actions as { id, label, keywords, shortcut, run, disabled }
+ * @param {function} onSelectContact - Callback with a contact id to open it
+ * @param {function} onClose - Callback to close the palette
+ */
+const CommandPalette = ({ contacts, searchIndex, customFields = [], actions, onSelectContact, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  /**
+   * Matching contacts and actions, in display order
+   */
+  const results = useMemo(() => {
+    const available = actions.filter(action => !action.disabled);
+    const trimmed = query.trim();
+    if (!trimmed) {
+      return available.map(action => ({ type: 'action', key: `action:${action.id}`, action }));
+    }
+
+    const matchedActions = available
+      .map(action => ({ action, score: scoreText(trimmed, `${action.label} ${action.keywords || ''}`) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(({ action }) => ({ type: 'action', key: `action:${action.id}`, action }));
+
+    const parsedQuery = parseSearchQuery(trimmed, customFields);
+    let matchedContacts = [];
+    if (!isEmptyQuery(parsedQuery)) {
+      const score = createContactScorer(parsedQuery, searchIndex);
+      matchedContacts = contacts
+        .map(contact => ({ contact, score: score(contact) }))
+        .filter(({ score: value }) => value > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CONTACT_RESULTS)
+        .map(({ contact }) => ({ type: 'contact', key: `contact:${contact.id}`, contact }));
+    }
+
+    return [...matchedContacts, ...matchedActions];
+  }, [query, contacts, searchIndex, customFields, actions]);
+
+  const activeResult = results[Math.min(activeIndex, results.length - 1)];
+
+  /**
+   * Focus the input when the palette opens
+   */
+  useEffect(() => {
+    if (inputRef.current) inputRef.current.focus();
+  }, []);
+
+  /**
+   * Keep the active result visible
+   */
+  useEffect(() => {
+    if (!activeResult || !listRef.current) return;
+    const element = listRef.current.querySelector(`[data-result-key="${activeResult.key}"]`);
+    if (element && element.scrollIntoView) element.scrollIntoView({ block: 'nearest' });
+  }, [activeResult]);
+
+  /**
+   * Run a result: open the contact or perform the action
+   */
+  const runResult = (result) => {
+    onClose();
+    if (result.type === 'contact') {
+      onSelectContact(result.contact.id);
+    } else {
+      result.action.run();
+    }
+  };
+
+  /**
+   * Arrow keys move, Enter runs (Escape and Tab are handled by the dialog)
+   */
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(index => (results.length === 0 ? 0 : (index + 1) % results.length));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => (results.length === 0 ? 0 : (index - 1 + results.length) % results.length));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (activeResult) runResult(activeResult);
+        break;
+      default:
+    }
+  };
+
+  /**
+   * Render a section of results with a heading
+   */
+  const renderSection = (title, type) => {
+    const sectionResults = results.filter(result => result.type === type);
+    if (sectionResults.length === 0) return null;
+    return (
+      <div role="group" aria-labelledby={`palette-${type}-heading`}>
+        <p id={`palette-${type}-heading`} className="px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">{title}</p>
+        {sectionResults.map((result) => {
+          const active = result === activeResult;
+          return (
+            <div
+              key={result.key}
+              id={`palette-${result.key}`}
+              data-result-key={result.key}
+              role="option"
+              aria-selected={active}
+              onMouseMove={() => setActiveIndex(results.indexOf(result))}
+              onClick={() => runResult(result)}
+              className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${
+                active ? 'bg-cyan-500/20 text-white' : 'text-gray-300'
+              }`}
+            >
+              {result.type === 'contact' ? (
+                <>
+                  <Avatar contact={result.contact} className="w-7 h-7 text-xs" />
+                  <span className="flex-1 min-w-0 truncate">{result.contact.name}</span>
+                  <span className="text-xs text-gray-400 truncate max-w-[40%]">{result.contact.email}</span>
+                </>
+              ) : (
+                <>
+                  <span className="flex-1 min-w-0 truncate">{result.action.label}</span>
+                  {result.action.shortcut && (
+                    <kbd className="px-1.5 py-0.5 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded">
+                      {result.action.shortcut}
+                    </kbd>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <Dialog
+      label="Command palette"
+      onClose={onClose}
+      showClose={false}
+      className="max-w-xl overflow-hidden"
+      overlayClassName="items-start pt-[15vh]"
+    >
+      <input
+        ref={inputRef}
+        type="text"
+        role="combobox"
+        aria-expanded={results.length > 0}
+        aria-controls="command-palette-results"
+        aria-activedescendant={activeResult ? `palette-${activeResult.key}` : undefined}
+        aria-label="Search contacts and actions"
+        placeholder="Search contacts and actions…"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+        }}
+        onKeyDown={handleKeyDown}
+        className="w-full px-5 py-4 bg-transparent border-b border-gray-700 text-white text-lg placeholder-gray-400 focus:outline-none"
+      />
+
+      <div
+        ref={listRef}
+        id="command-palette-results"
+        role="listbox"
+        aria-label="Results"
+        className="max-h-[50vh] overflow-y-auto pb-2"
+      >
+        {renderSection('Contacts', 'contact')}
+        {renderSection('Actions', 'action')}
+      </div>
+      {results.length === 0 && (
+        <p className="px-4 py-6 text-center text-gray-400">
+          No contacts or actions match "{query.trim()}"
+        </p>
+      )}
+
+      <p className="px-4 py-2 border-t border-gray-700 text-xs text-gray-400">
+        ↑↓ to move · Enter to open · Esc to close
+      </p>
+    </Dialog>
+  );
+};
+
+export default CommandPalette;
@@ -1,98 +1,203 @@
-import React, { useState } from 'react';
+import React from 'react';
+import HighlightText from './HighlightText';
+import TagChip from './TagChip';
+import Avatar from './Avatar';
+import Menu from './Menu';
+import { buildHighlightPattern } from '../utils/contactSearch';
+import { getContactEmails, getContactPhones } from '../utils/labeledValues';
+import { getContactTags } from '../utils/tags';
+
+/**
+ * Check whether a field's text contains any of the search terms
+ * Used to reveal location/address lines only when the search matched them
+ */
+const hasHighlight = (text, field, terms) => {
+  const pattern = buildHighlightPattern(field, terms);
+  return Boolean(text && pattern && pattern.test(text));
+};
+
+// Arrow keys mapped to grid directions for onNavigate
+const NAVIGATION_KEYS = {
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  Home: 'first',
+  End: 'last'
+};
 
 /**
  * ContactCard Component
  * 
  * Displays an individual contact's information in a card layout
+ * Shows the primary email and phone, with a count of any others
+ * The card is focusable: arrows move between cards, Enter opens details,
+ * E edits, F toggles favorite, T edits tags, Delete deletes, Space selects
  * 
  * @param {Object} contact - Contact object containing id, name, email, phone, isFavorite
  * @param {function} onToggleFavorite - Callback to toggle favorite status
  * @param {function} onDelete - Callback to delete contact
+ * @param {function} onShowInfo - Callback to open the contact's details
+ * @param {function} onEdit - Callback to open the edit form
+ * @param {function} onExport - Callback to export contact as vCard
+ * @param {function} onEditTags - Callback to open the tag editor for the contact
+ * @param {boolean} selectable - Shows a selection checkbox (bulk selection mode)
+ * @param {boolean} selected - Whether the contact is selected
+ * @param {function} onSelect - Callback with (contactId, shiftKey) when the checkbox is clicked
+ * @param {Object} highlightTerms - Search terms to highlight, keyed by field
+ * @param {function} onNavigate - Callback with (contactId, direction) for arrow keys
  */
-const ContactCard = ({ contact, onToggleFavorite, onDelete, onShowInfo }) => {
-  const [showMenu, setShowMenu] = useState(false);
+const ContactCard = ({
+  contact,
+  onToggleFavorite,
+  onDelete,
+  onShowInfo,
+  onEdit,
+  onExport,
+  onEditTags,
+  selectable = false,
+  selected = false,
+  onSelect,
+  highlightTerms = {},
+  onNavigate
+}) => {
+  const showLocation = hasHighlight(contact.location, 'location', highlightTerms.location);
+  const showAddress = hasHighlight(contact.address, 'address', highlightTerms.address);
+  const emails = getContactEmails(contact);
+  const phones = getContactPhones(contact);
+  const tags = getContactTags(contact);
 
-  const handleDeleteClick = () => {
-    setShowMenu(false);
-    onDelete(contact.id);
-  };
+  // Items of the 3-dots menu
+  const menuItems = [
+    {
+      label: 'More Info',
+      onSelect: () => onShowInfo(contact.id),
+      className: 'text-blue-400 hover:text-blue-300',
+      icon: (
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+      )
+    },
+    {
+      label: contact.isFavorite ? 'Remove from Favorites' : 'Add to Favorites',
+      onSelect: () => onToggleFavorite(contact.id),
+      className: 'text-yellow-400 hover:text-yellow-300',
+      icon: (
+        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+          <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+        </svg>
+      )
+    },
+    onEditTags && {
+      label: 'Edit Tags',
+      onSelect: () => onEditTags(contact.id),
+      className: 'text-purple-400 hover:text-purple-300',
+      icon: (
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+        </svg>
+      )
+    },
+    onExport && {
+      label: 'Export vCard',
+      onSelect: () => onExport(contact.id),
+      className: 'text-cyan-400 hover:text-cyan-300',
+      icon: (
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+        </svg>
+      )
+    },
+    {
+      label: 'Delete Contact',
+      onSelect: () => onDelete(contact.id),
+      className: 'text-red-400 hover:text-red-300',
+      icon: (
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+        </svg>
+      )
+    }
+  ].filter(Boolean);
+
+  /**
+   * Shortcuts while the card itself has focus
+   */
+  const handleCardKeyDown = (e) => {
+    if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey) return;
 
-  const handleInfoClick = () => {
-    setShowMenu(false);
-    onShowInfo(contact.id);
+    if (NAVIGATION_KEYS[e.key]) {
+      if (onNavigate) {
+        e.preventDefault();
+        onNavigate(contact.id, NAVIGATION_KEYS[e.key]);
+      }
+      return;
+    }
+
+    const actions = {
+      Enter: () => onShowInfo(contact.id),
+      e: onEdit && (() => onEdit(contact.id)),
+      f: () => onToggleFavorite(contact.id),
+      t: onEditTags && (() => onEditTags(contact.id)),
+      Delete: () => onDelete(contact.id),
+      Backspace: () => onDelete(contact.id),
+      ' ': selectable && (() => onSelect(contact.id, e.shiftKey))
+    };
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (action) {
+      e.preventDefault();
+      action();
+    }
   };
 
 
   return (
-    <div className="bg-gray-800/80 backdrop-blur-md border border-gray-700 rounded-lg shadow-xl p-6 hover:shadow-2xl transition-all duration-300 animate-slide-up relative">
-      {/* 3-Dots Menu Button */}
-      <button
-        onClick={() => setShowMenu(!showMenu)}
-        className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors p-1"
+    <div
+      tabIndex={0}
+      role="article"
+      onKeyDown={handleCardKeyDown}
+      aria-label={contact.name}
+      className={`bg-gray-800/80 backdrop-blur-md border rounded-lg shadow-xl p-6 hover:shadow-2xl transition-all duration-300 relative focus:outline-none focus-visible:ring-2 focus-visible:ring-purple-400 ${
+        selected ? 'border-cyan-400 ring-2 ring-cyan-400/60' : 'border-gray-700'
+      }`}
+    >
+      {/* 3-Dots Menu */}
+      <Menu
+        label={`More options for ${contact.name}`}
         title="More options"
-      >
-        <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-          <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z" />
-        </svg>
-      </button>
-
-      {/* Dropdown Menu */}
-      {showMenu && (
-        <div className="absolute top-12 right-4 bg-gray-700 border border-gray-600 rounded-lg shadow-lg z-10 min-w-[180px]">
-            {/* More Info Option */}
-            <button
-              onClick={handleInfoClick}
-              className="w-full px-4 py-2 text-left text-blue-400 hover:bg-gray-600 hover:text-blue-300 transition-colors flex items-center gap-2"
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-              </svg>
-              More Info
-            </button>
-
-
-          {/* Favorites Option */}
-          <button
-            onClick={() => {
-              onToggleFavorite(contact.id);
-              setShowMenu(false);
-            }}
-            className="w-full px-4 py-2 text-left text-yellow-400 hover:bg-gray-600 hover:text-yellow-300 transition-colors flex items-center gap-2"
-          >
-            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-              <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-            </svg>
-            {contact.isFavorite ? 'Remove from Favorites' : 'Add to Favorites'}
-          </button>
-          
-          {/* Delete Option */}
-          <button
-            onClick={handleDeleteClick}
-            className="w-full px-4 py-2 text-left text-red-400 hover:bg-gray-600 hover:text-red-300 transition-colors flex items-center gap-2"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-            </svg>
-            Delete Contact
-          </button>
-        </div>
-      )}
-
-      {/* Click outside to close menu */}
-      {showMenu && (
-        <div 
-          className="fixed inset-0 z-0" 
-          onClick={() => setShowMenu(false)}
-        />
-      )}
+        className="absolute top-4 right-4"
+        menuClassName="right-0 top-8 min-w-[180px]"
+        buttonClassName="text-gray-400 hover:text-white transition-colors p-1"
+        buttonContent={
+          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+            <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z" />
+          </svg>
+        }
+        sections={[{ items: menuItems }]}
+      />
 
       <div className="flex items-center mb-4">
-        {/* Avatar with first letter of name */}
-        <div className="w-12 h-12 bg-gradient-to-br from-cyan-500 to-purple-600 rounded-full flex items-center justify-center text-white font-bold text-xl mr-4">
-          {contact.name.charAt(0).toUpperCase()}
+        {/* Selection Checkbox (bulk selection mode) */}
+        {selectable && (
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={(e) => onSelect(contact.id, e.nativeEvent.shiftKey)}
+            className="w-5 h-5 mr-3 flex-shrink-0 accent-cyan-500 cursor-pointer"
+            aria-label={`Select ${contact.name}`}
+            title="Shift-click to select a range"
+          />
+        )}
+
+        {/* Photo, or initials on a colour picked from the id */}
+        <div className="mr-4">
+          <Avatar contact={contact} className="w-12 h-12 text-lg" />
         </div>
         <div className="flex-1 min-w-0">
-          <h3 className="text-lg font-semibold text-white break-words leading-tight">{contact.name}</h3>
+          <h3 className="text-lg font-semibold text-white break-words leading-tight">
+            <HighlightText text={contact.name} field="name" terms={highlightTerms.name} />
+          </h3>
           {contact.isFavorite && (
             <span className="text-xs text-yellow-400 font-medium">Favorite</span>
           )}
@@ -115,7 +220,17 @@ const ContactCard = ({ contact, onToggleFavorite, onDelete, onShowInfo }) => {
               d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" 
             />
           </svg>
-          <span className="text-sm break-words min-w-0 flex-1">{contact.email}</span>
+          <span className="text-sm break-words min-w-0 flex-1">
+            <HighlightText text={contact.email} field="email" terms={highlightTerms.email} />
+          </span>
+          {emails.length > 1 && (
+            <span
+              className="ml-2 flex-shrink-0 text-xs text-gray-400 bg-gray-700/60 rounded px-1.5 py-0.5"
+              title={`${emails.length - 1} more email${emails.length === 2 ? '' : 's'}`}
+            >
+              +{emails.length - 1}
+            </span>
+          )}
         </div>
         
         {/* Phone */}
@@ -133,8 +248,52 @@ const ContactCard = ({ contact, onToggleFavorite, onDelete, onShowInfo }) => {
               d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" 
             />
           </svg>
-          <span className="text-sm break-words min-w-0 flex-1">{contact.phone}</span>
+          <span className="text-sm break-words min-w-0 flex-1">
+            <HighlightText text={contact.phone} field="phone" terms={highlightTerms.phone} />
+          </span>
+          {phones.length > 1 && (
+            <span
+              className="ml-2 flex-shrink-0 text-xs text-gray-400 bg-gray-700/60 rounded px-1.5 py-0.5"
+              title={`${phones.length - 1} more phone${phones.length === 2 ? '' : 's'}`}
+            >
+              +{phones.length - 1}
+            </span>
+          )}
         </div>
+
+        {/* Location (only shown when the search matched it) */}
+        {showLocation && (
+          <div className="flex items-start text-gray-300">
+            <svg className="w-4 h-4 mr-2 text-blue-400 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+            </svg>
+            <span className="text-sm break-words min-w-0 flex-1">
+              <HighlightText text={contact.location} field="location" terms={highlightTerms.location} />
+            </span>
+          </div>
+        )}
+
+        {/* Address (only shown when the search matched it) */}
+        {showAddress && (
+          <div className="flex items-start text-gray-300">
+            <svg className="w-4 h-4 mr-2 text-orange-400 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
+            </svg>
+            <span className="text-sm break-words min-w-0 flex-1">
+              <HighlightText text={contact.address} field="address" terms={highlightTerms.address} />
+            </span>
+          </div>
+        )}
+
+        {/* Tags */}
+        {tags.length > 0 && (
+          <div className="flex flex-wrap gap-1.5 pt-1">
+            {tags.map(tag => (
+              <TagChip key={tag} tag={tag} highlightTerms={highlightTerms.tags} />
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
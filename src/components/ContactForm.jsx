@@ -0,0 +1,272 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import LabeledValueList from './LabeledValueList';
+import TagInput from './TagInput';
+import PhotoInput from './PhotoInput';
+import AddressListInput from './AddressListInput';
+import { createAsyncChecks, setFieldErrors, validateValuesAsync } from '../utils/formEngine';
+import { formValuesToContact, getContactFormFields, getContactFormValues } from '../utils/contactFormSchema';
+import { getContactEmails, getContactPhones } from '../utils/labeledValues';
+import { getTagCounts } from '../utils/tags';
+import { createContactId } from '../utils/contactId';
+
+const inputClass = 'w-full px-4 py-2 bg-gray-700/50 border placeholder-gray-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400';
+
+// Heading and submit button text for each mode
+const MODES = {
+  add: { title: 'Add New Contact', submitLabel: 'Add Contact' },
+  edit: { title: 'Edit Contact', submitLabel: 'Update Contact' }
+};
+
+/**
+ * ContactForm Component
+ *
+ * Add and edit form for contacts, rendered from the fields declared in
+ * contactFormSchema, followed by the user's custom fields. A field is
+ * checked when the user leaves it after changing it, and every field is
+ * checked again (with any async checks) on submit. Emails and phones are
+ * looked up in the data source to catch ones another contact has. Edits
+ * keep the contact's other data (id, favorite, timestamps).
+ *
+ * @param {string} mode - 'add' or 'edit'
+ * @param {Object} contact - Contact to edit (edit mode)
+ * @param {Array} existingContacts - Other contacts, for tag suggestions and a free id
+ * @param {Array} customFields - Custom field definitions
+ * @param {Object} dataSource - Data source the contact is saved to, to look for taken
+ *                              emails and phones and check there is room for a photo
+ * @param {function} onSubmit - Callback with the new or updated contact
+ * @param {function} onClose - Callback to close the form
+ */
+const ContactForm = ({ mode = 'add', contact = null, existingContacts = [], customFields = [], dataSource = null, onSubmit, onClose }) => {
+  const editing = mode === 'edit' && contact;
+  const fields = useMemo(() => getContactFormFields(customFields), [customFields]);
+  const [values, setValues] = useState(() => getContactFormValues(editing ? contact : null, customFields));
+  const [errors, setErrors] = useState({});
+  // Fields waiting on an async check
+  const [pending, setPending] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  // Generated up front so the avatar preview has the colour the saved contact will get
+  const [contactId] = useState(() => (editing ? contact.id : createContactId(existingContacts.map(c => c.id))));
+  // Fields changed since they were last checked, and the running check of each
+  const changedRef = useRef(new Set());
+  const checksRef = useRef(null);
+  if (!checksRef.current) checksRef.current = createAsyncChecks();
+  // Aborts the full check of a submit still in progress
+  const submitRef = useRef(null);
+
+  /**
+   * Drop the field checks and the submit check still running
+   */
+  const cancelChecks = () => {
+    checksRef.current.cancel();
+    if (submitRef.current) submitRef.current.abort();
+    submitRef.current = null;
+  };
+
+  // Checks still running when the form closes are dropped, so a cancelled
+  // form is never saved
+  useEffect(() => cancelChecks, []);
+
+  const tagSuggestions = getTagCounts(existingContacts).map(tag => tag.name);
+  const context = useMemo(() => ({
+    dataSource,
+    contactId,
+    // Emails and numbers the contact already had are saved as they are
+    originalEmails: editing ? getContactEmails(contact).map(email => email.value) : [],
+    originalPhones: editing ? getContactPhones(contact).map(phone => phone.value) : []
+  }), [dataSource, contactId, editing, contact]);
+
+  /**
+   * Set one field's value and clear its errors (and any check of the old value)
+   */
+  const handleChange = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+    setErrors(prev => setFieldErrors(prev, key));
+    checksRef.current.cancel(key);
+    setPending(prev => ({ ...prev, [key]: false }));
+    changedRef.current.add(key);
+  };
+
+  /**
+   * Check a field once focus leaves it, if it changed
+   * Only the latest check of a field is applied
+   */
+  const handleFieldBlur = async (field) => {
+    if (!changedRef.current.has(field.key)) return;
+    changedRef.current.delete(field.key);
+
+    if (field.validateAsync) setPending(prev => ({ ...prev, [field.key]: true }));
+    const fieldErrors = await checksRef.current.check(field, values, context);
+    if (!fieldErrors) return;
+    if (field.validateAsync) setPending(prev => ({ ...prev, [field.key]: false }));
+    setErrors(prev => setFieldErrors(prev, field.key, fieldErrors));
+  };
+
+  /**
+   * Check every field and save
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // The full check below replaces any check still running
+    cancelChecks();
+    const controller = new AbortController();
+    submitRef.current = controller;
+    setPending({});
+    setSubmitting(true);
+    const newErrors = await validateValuesAsync(fields, values, { ...context, signal: controller.signal });
+    if (controller.signal.aborted) return;
+    submitRef.current = null;
+    setSubmitting(false);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    onSubmit(formValuesToContact(values, editing ? contact : { id: contactId }, customFields));
+  };
+
+  /**
+   * Close without saving, even when a submit is being checked
+   */
+  const handleClose = () => {
+    cancelChecks();
+    onClose();
+  };
+
+  /**
+   * Input for one field, by its type
+   */
+  const renderField = (field) => {
+    const value = values[field.key];
+    const onChange = (next) => handleChange(field.key, next);
+
+    switch (field.type) {
+      case 'photo':
+        return (
+          <PhotoInput
+            value={value}
+            onChange={onChange}
+            name={values.name}
+            contactId={contactId}
+            hasRoomFor={dataSource ? dataSource.hasRoomFor : undefined}
+          />
+        );
+      case 'labeledList':
+        return (
+          <LabeledValueList
+            name={field.key}
+            title={field.label}
+            required={field.required}
+            entries={value}
+            labelOptions={field.labelOptions}
+            type={field.inputType}
+            placeholder={field.placeholder}
+            addLabel={field.addLabel}
+            hint={field.hint}
+            errors={errors}
+            onChange={onChange}
+          />
+        );
+      case 'addresses':
+        return <AddressListInput addresses={value} location={values.location} errors={errors} onChange={onChange} />;
+      case 'tags':
+        return (
+          <>
+            <label htmlFor={field.key} className="block text-sm font-medium text-gray-300 mb-1">{field.label}</label>
+            <TagInput id={field.key} tags={value} suggestions={tagSuggestions} onChange={onChange} />
+          </>
+        );
+      default: {
+        // A derived value (the location from the primary address) replaces the input's own
+        const derived = field.derive ? field.derive(values) : null;
+        const error = errors[field.key];
+        const describedBy = [error && `${field.key}-error`, derived && `${field.key}-hint`].filter(Boolean).join(' ');
+        const inputProps = {
+          id: field.key,
+          name: field.key,
+          onChange: (e) => onChange(e.target.value),
+          'aria-invalid': Boolean(error),
+          'aria-describedby': describedBy || undefined,
+          className: `${inputClass} ${error ? 'border-red-500' : 'border-gray-600'} ${
+            derived ? 'text-gray-400 cursor-default' : 'text-white'
+          }`
+        };
+        return (
+          <>
+            <label htmlFor={field.key} className="block text-sm font-medium text-gray-300 mb-1">
+              {field.label}{field.required ? ' *' : ''}
+            </label>
+            {field.type === 'select' ? (
+              <select {...inputProps} value={value}>
+                <option value="">—</option>
+                {field.options.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            ) : field.type === 'textarea' ? (
+              <textarea {...inputProps} value={value} rows={3} placeholder={field.placeholder} />
+            ) : (
+              <input
+                {...inputProps}
+                type={field.type}
+                value={derived || value}
+                readOnly={Boolean(derived)}
+                min={field.min || undefined}
+                max={field.max || undefined}
+                step={field.type === 'number' ? 'any' : undefined}
+                placeholder={field.placeholder}
+              />
+            )}
+            {error && (
+              <p id={`${field.key}-error`} className="text-red-400 text-sm mt-1">{error}</p>
+            )}
+            {derived && (
+              <p id={`${field.key}-hint`} className="text-gray-400 text-xs mt-1">{field.derivedHint}</p>
+            )}
+          </>
+        );
+      }
+    }
+  };
+
+  const { title, submitLabel } = MODES[editing ? 'edit' : 'add'];
+
+  return (
+    <div className="max-w-md mx-auto bg-gray-800/80 backdrop-blur-md border border-gray-700 rounded-lg shadow-xl p-6 animate-slide-up">
+      <h3 className="text-xl font-semibold text-white mb-4">{title}</h3>
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-4">
+        {fields.map(field => (
+          <div
+            key={field.key}
+            onBlur={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) handleFieldBlur(field);
+            }}
+          >
+            {renderField(field)}
+            {pending[field.key] && (
+              <p className="text-gray-400 text-xs mt-1" role="status">Checking…</p>
+            )}
+          </div>
+        ))}
+
+        {/* Form Actions */}
+        <div className="flex gap-3 pt-2">
+          <button
+            type="submit"
+            disabled={submitting}
+            className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-600 text-white py-2 px-4 rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium disabled:opacity-60"
+          >
+            {submitLabel}
+          </button>
+          <button
+            type="button"
+            onClick={handleClose}
+            className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ContactForm;
@@ -0,0 +1,68 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import ContactForm from './ContactForm';
+
+/**
+ * Data source whose lookups wait until the test answers them
+ */
+const createSlowDataSource = () => {
+  const lookups = [];
+  return {
+    lookups,
+    findMatching: () => new Promise(resolve => { lookups.push(resolve); }),
+    hasRoomFor: async () => true,
+    // Answer every lookup so far with no matching contacts
+    answer: async () => {
+      await act(async () => {
+        lookups.splice(0).forEach(resolve => resolve([]));
+      });
+    }
+  };
+};
+
+/**
+ * Render an add form filled in with a valid contact and submit it
+ */
+const renderSubmitted = () => {
+  const dataSource = createSlowDataSource();
+  const onSubmit = jest.fn();
+  const onClose = jest.fn();
+  const view = render(<ContactForm mode="add" dataSource={dataSource} onSubmit={onSubmit} onClose={onClose} />);
+
+  fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'Meera Nair' } });
+  fireEvent.change(screen.getByLabelText('Email 1'), { target: { value: 'meera@example.com' } });
+  fireEvent.change(screen.getByLabelText('Phone 1'), { target: { value: '+91 98450 12345' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add Contact' }));
+
+  return { ...view, dataSource, onSubmit, onClose };
+};
+
+describe('ContactForm submit check', () => {
+  test('saves once the data source finds no taken emails or phones', async () => {
+    const { dataSource, onSubmit } = renderSubmitted();
+    await waitFor(() => expect(dataSource.lookups).toHaveLength(2));
+    expect(screen.getByRole('button', { name: 'Add Contact' })).toBeDisabled();
+
+    await dataSource.answer();
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+    expect(onSubmit.mock.calls[0][0]).toMatchObject({ name: 'Meera Nair', isFavorite: false });
+  });
+
+  test('cancelling while the check runs does not save', async () => {
+    const { dataSource, onSubmit, onClose } = renderSubmitted();
+    await waitFor(() => expect(dataSource.lookups).toHaveLength(2));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    await dataSource.answer();
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  test('closing the form while the check runs does not save', async () => {
+    const { dataSource, onSubmit, unmount } = renderSubmitted();
+    await waitFor(() => expect(dataSource.lookups).toHaveLength(2));
+
+    unmount();
+    await dataSource.answer();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+});
@@ -1,14 +1,64 @@
-import React from 'react';
+import React, { useMemo } from 'react';
+import { getTagColor, tagKey } from '../utils/tags';
+import {
+  getBirthdayMonthCounts,
+  getCityCounts,
+  getCountryCounts,
+  getEmailDomainCounts,
+  getMissingFieldCounts,
+  getWeeklyAdditions
+} from '../utils/contactStats';
+import BarChart from './BarChart';
+import UpcomingBirthdays from './UpcomingBirthdays';
 
 /**
  * ContactInsights Component
  * 
- * Displays analytics and insights about the contact list
+ * Displays analytics and insights about the contact list: contacts per tag,
+ * city, country and email domain, birthdays by month, missing profile fields,
+ * contacts added per week and upcoming birthdays
+ * Clicking a chart bar or tag filters the contact list; clicking it again clears the filter
  * 
  * @param {Array} contacts - All contacts
  * @param {number} favoriteCount - Number of favorited contacts
+ * @param {Array} tagCounts - Tags in use as { name, count }
+ * @param {string} activeFilter - Current search query, to highlight the bar it came from
+ * @param {function} onFilter - Callback with a search filter ("country:india") to toggle
+ * @param {Array} selectedTags - Tags the list is filtered by
+ * @param {function} onToggleTag - Callback with a tag to add to or remove from the tag filter
+ * @param {Date} today - Reference date for upcoming birthdays
+ * @param {string} notificationPermission - Browser notification permission for birthday reminders
+ * @param {function} onEnableReminders - Asks for notification permission
+ * @param {function} onToggleReminder - Callback with a contact id to turn its birthday reminder on/off
+ * @param {function} onShowInfo - Callback with a contact id to open its details
  */
-const ContactInsights = ({ contacts, favoriteCount }) => {
+const ContactInsights = ({
+  contacts,
+  favoriteCount,
+  tagCounts: tagsByName = [],
+  activeFilter = '',
+  onFilter,
+  selectedTags = [],
+  onToggleTag,
+  today,
+  notificationPermission,
+  onEnableReminders,
+  onToggleReminder,
+  onShowInfo
+}) => {
+  const tagCounts = [...tagsByName].sort((a, b) => b.count - a.count);
+  const selectedTagKeys = new Set(selectedTags.map(tagKey));
+  const query = activeFilter.trim();
+
+  const charts = useMemo(() => ({
+    cities: getCityCounts(contacts),
+    countries: getCountryCounts(contacts),
+    domains: getEmailDomainCounts(contacts),
+    months: getBirthdayMonthCounts(contacts),
+    missing: getMissingFieldCounts(contacts),
+    weeks: getWeeklyAdditions(contacts, 12, today)
+  }), [contacts, today]);
+
   return (
     <div className="bg-gray-800/80 backdrop-blur-md border border-gray-700 rounded-lg shadow-xl p-6 mb-8 animate-fade-in">
       <h2 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
@@ -51,6 +101,99 @@ const ContactInsights = ({ contacts, favoriteCount }) => {
           </div>
         </div>
       </div>
+
+      {/* Contacts per Tag */}
+      {tagCounts.length > 0 && (
+        <div className="mt-6">
+          <p className="text-sm text-gray-300 font-medium mb-3">Contacts per Tag</p>
+          <div className="flex flex-wrap gap-2">
+            {tagCounts.map(({ name, count }) => {
+              const selected = selectedTagKeys.has(tagKey(name));
+              return (
+                <button
+                  key={name}
+                  type="button"
+                  onClick={() => onToggleTag(name)}
+                  aria-pressed={selected}
+                  title={selected ? `Stop filtering by ${name}` : `Show contacts tagged ${name}`}
+                  className={`inline-flex items-center gap-2 px-3 py-1 text-sm font-medium border rounded-full transition-opacity hover:opacity-80 ${getTagColor(name)} ${
+                    selected ? 'ring-2 ring-white/70' : ''
+                  }`}
+                >
+                  {name}
+                  <span className="font-bold">{count}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Charts (each bar filters the list) */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-6">
+        <BarChart
+          title="Contacts per City"
+          data={charts.cities}
+          activeFilter={query}
+          onSelect={onFilter}
+          emptyText="No locations yet"
+        />
+        <BarChart
+          title="Contacts per Country"
+          data={charts.countries}
+          activeFilter={query}
+          onSelect={onFilter}
+          barClassName="bg-blue-500/70"
+          emptyText="No countries yet (locations are read as “City, Country”)"
+        />
+        <BarChart
+          title="Email Domains"
+          data={charts.domains}
+          activeFilter={query}
+          onSelect={onFilter}
+          barClassName="bg-purple-500/70"
+          emptyText="No emails yet"
+        />
+        <BarChart
+          title="Profile Completeness"
+          data={charts.missing.map(bar => ({ ...bar, label: `No ${bar.label.toLowerCase()}` }))}
+          activeFilter={query}
+          onSelect={onFilter}
+          barClassName="bg-orange-500/70"
+          describe={count => `${count} of ${contacts.length} contacts (${contacts.length ? Math.round((count / contacts.length) * 100) : 0}%)`}
+          emptyText="Every contact has every field filled in 🎉"
+        />
+        <BarChart
+          title="Birthdays by Month"
+          layout="columns"
+          data={charts.months}
+          activeFilter={query}
+          onSelect={onFilter}
+          barClassName="bg-pink-500/70"
+          describe={count => `${count} birthday${count === 1 ? '' : 's'}`}
+          emptyText="No birthdays yet"
+        />
+        <BarChart
+          title="Added per Week"
+          layout="columns"
+          data={charts.weeks}
+          activeFilter={query}
+          onSelect={onFilter}
+          barClassName="bg-emerald-500/70"
+          describe={count => `${count} contact${count === 1 ? '' : 's'} added`}
+          emptyText="No contacts added in the last 12 weeks"
+        />
+      </div>
+
+      {/* Upcoming Birthdays */}
+      <UpcomingBirthdays
+        contacts={contacts}
+        today={today}
+        notificationPermission={notificationPermission}
+        onEnableReminders={onEnableReminders}
+        onToggleReminder={onToggleReminder}
+        onShowInfo={onShowInfo}
+      />
     </div>
   );
 };
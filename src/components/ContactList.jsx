@@ -1,19 +1,66 @@
-import React from 'react';
+import React, { useImperativeHandle, useRef } from 'react';
 import ContactCard from './ContactCard';
+import VirtualGrid from './VirtualGrid';
+import AlphabetRail from './AlphabetRail';
 
 /**
  * ContactList Component
  * 
  * Displays a grid of contact cards or appropriate empty/loading states
+ * Only the cards near the viewport are rendered, so large lists stay fast
+ * Optionally grouped into sections with sticky headers and an A–Z jump rail
  * 
  * @param {Array} contacts - Array of contact objects to display
+ * @param {Array} sections - Optional [{ key, title, items }] grouping of the contacts
+ * @param {boolean} showIndex - Shows the A–Z rail (for sections keyed by letter)
  * @param {boolean} loading - Loading state flag
+ * @param {string} error - Load error message (shows error state with retry)
+ * @param {function} onRetry - Callback to retry loading contacts
  * @param {string} searchQuery - Current search query (for empty state message)
+ * @param {Array} selectedTags - Tags being filtered by (for empty state message)
+ * @param {Object} highlightTerms - Search terms to highlight on each card, keyed by field
  * @param {function} onToggleFavorite - Callback to toggle favorite status
  * @param {function} onDelete - Callback to delete contact
  * @param {function} onShowInfo - Callback to show contact info
+ * @param {function} onEdit - Callback to open a contact's edit form
+ * @param {function} onExport - Callback to export a contact as vCard
+ * @param {function} onEditTags - Callback to edit a contact's tags
+ * @param {boolean} selectionMode - Shows selection checkboxes on the cards
+ * @param {Set} selectedIds - IDs of the selected contacts
+ * @param {function} onSelect - Callback with (contactId, shiftKey) when a checkbox is clicked
+ * @param {Object} ref - Exposes focusFirst() to move keyboard focus into the grid
  */
-const ContactList = ({ contacts, loading, searchQuery, onToggleFavorite, onDelete, onShowInfo }) => {
+const ContactList = ({
+  contacts,
+  sections = null,
+  showIndex = false,
+  loading,
+  error,
+  onRetry,
+  searchQuery,
+  selectedTags = [],
+  highlightTerms,
+  onToggleFavorite,
+  onDelete,
+  onShowInfo,
+  onEdit,
+  onExport,
+  onEditTags,
+  selectionMode = false,
+  selectedIds = new Set(),
+  onSelect,
+  ref
+}) => {
+  const gridRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    focusFirst: () => {
+      if (!gridRef.current) return;
+      const firstId = gridRef.current.getAdjacentKey(null, 'first');
+      if (firstId !== null) gridRef.current.focusItem(firstId);
+    }
+  }), []);
+
   // Loading State
   if (loading) {
     return (
@@ -24,6 +71,39 @@ const ContactList = ({ contacts, loading, searchQuery, onToggleFavorite, onDelet
     );
   }
 
+  // Error State - Contacts could not be loaded
+  if (error) {
+    return (
+      <div className="flex flex-col items-center justify-center py-16 animate-fade-in">
+        <svg 
+          className="w-24 h-24 text-red-400 mb-4" 
+          fill="none" 
+          stroke="currentColor" 
+          viewBox="0 0 24 24"
+        >
+          <path 
+            strokeLinecap="round" 
+            strokeLinejoin="round" 
+            strokeWidth={1.5} 
+            d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z" 
+          />
+        </svg>
+        <h3 className="text-xl font-semibold text-gray-200 mb-2">
+          Couldn't load contacts
+        </h3>
+        <p className="text-gray-400 text-center max-w-md mb-6">{error}</p>
+        {onRetry && (
+          <button
+            onClick={onRetry}
+            className="px-6 py-2 bg-gradient-to-r from-cyan-500 to-purple-600 text-white font-medium rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200"
+          >
+            Try Again
+          </button>
+        )}
+      </div>
+    );
+  }
+
   // Empty State - No Contacts Found
   if (contacts.length === 0) {
     return (
@@ -42,30 +122,77 @@ const ContactList = ({ contacts, loading, searchQuery, onToggleFavorite, onDelet
           />
         </svg>
         <h3 className="text-xl font-semibold text-gray-700 mb-2">
-          {searchQuery ? 'No contacts found' : 'No contacts yet'}
+          {searchQuery || selectedTags.length > 0 ? 'No contacts found' : 'No contacts yet'}
         </h3>
         <p className="text-gray-500 text-center max-w-md">
           {searchQuery 
             ? `No contacts match "${searchQuery}". Try a different search term.`
-            : 'Add your first contact to get started!'}
+            : selectedTags.length > 0
+              ? 'No contacts match the selected tags. Try a different combination.'
+              : 'Add your first contact to get started!'}
         </p>
       </div>
     );
   }
 
+  /**
+   * Scroll to the section for a letter of the rail
+   */
+  const handleJump = (letter) => {
+    const index = sections.findIndex(section => section.title === letter);
+    if (index !== -1 && gridRef.current) gridRef.current.scrollToSection(index);
+  };
+
+  /**
+   * Move focus to the card next to a contact (arrow keys, Home, End)
+   */
+  const handleNavigate = (contactId, direction) => {
+    if (!gridRef.current) return;
+    const nextId = gridRef.current.getAdjacentKey(contactId, direction);
+    if (nextId !== null) gridRef.current.focusItem(nextId);
+  };
+
   // Contact Grid
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-      {contacts.map((contact) => (
-        <ContactCard 
-          key={contact.id} 
-          contact={contact}
+    <>
+      {showIndex && sections && (
+        <AlphabetRail
+          letters={sections.map(section => section.title)}
+          onJump={handleJump}
+        />
+      )}
+      <VirtualGrid
+        ref={gridRef}
+        items={contacts}
+        sections={sections}
+        getKey={(contact) => contact.id}
+        renderHeader={(section) => (
+          <div className="flex items-baseline gap-3 py-2 mb-4 bg-black/85 backdrop-blur-md border-b border-gray-700">
+            <h3 className="text-xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-cyan-400 to-purple-400">
+              {section.title}
+            </h3>
+            <span className="text-sm text-gray-400">{section.items.length}</span>
+          </div>
+        )}
+        renderItem={(contact) => (
+          <ContactCard 
+            key={contact.id} 
+            contact={contact}
             onToggleFavorite={onToggleFavorite}
             onDelete={onDelete}
             onShowInfo={onShowInfo}
-        />
-      ))}
-    </div>
+            onEdit={onEdit}
+            onExport={onExport}
+            onEditTags={onEditTags}
+            selectable={selectionMode}
+            selected={selectedIds.has(contact.id)}
+            onSelect={onSelect}
+            highlightTerms={highlightTerms}
+            onNavigate={handleNavigate}
+          />
+        )}
+      />
+    </>
   );
 };
 
@@ -0,0 +1,290 @@
+import React, { useId, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { GAZETTEER_SIZE, groupContactsByPlace } from '../utils/geocode';
+import {
+  MAP_ASPECT,
+  clampViewport,
+  clusterPoints,
+  fitViewport,
+  formatDegrees,
+  getGridLines,
+  projectPoint
+} from '../utils/mapProjection';
+
+// Markers closer than this (as a fraction of the map width) are merged
+const CLUSTER_RADIUS = 0.04;
+// City names are shown under the markers when there are at most this many
+const MAX_LABELS = 30;
+// Contacts listed under each unresolved location before "Show all"
+const MAX_UNRESOLVED_CONTACTS = 5;
+
+/**
+ * Quote a filter value when it contains spaces
+ */
+const filterValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * ContactMap Component
+ *
+ * Map view of the contacts, placed by city using the bundled offline
+ * gazetteer (no map tiles or network). Markers are grouped by city and
+ * nearby cities merge into clusters; clicking a city filters the list to
+ * its contacts, clicking a cluster zooms in on it. Drag or use the arrow
+ * keys to pan, + and - to zoom. Locations that match no known city are
+ * listed below the map so they can be fixed.
+ *
+ * @param {Array} contacts - Contacts to place (the current search and tag filter applies)
+ * @param {function} onFilter - Callback with a search filter for a city or location
+ * @param {function} onEdit - Callback to open a contact's edit form
+ * @param {Object} ref - Exposes focusFirst() to move keyboard focus onto the map
+ */
+const ContactMap = ({ contacts, onFilter, onEdit, ref }) => {
+  const titleId = useId();
+  const unresolvedTitleId = useId();
+  const mapRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const { places, unresolved, missing } = useMemo(() => groupContactsByPlace(contacts), [contacts]);
+  const points = useMemo(() => places.map(group => ({
+    ...projectPoint(group.place.lat, group.place.lon),
+    weight: group.contacts.length,
+    place: group.place
+  })), [places]);
+  const fitted = useMemo(() => fitViewport(points), [points]);
+
+  // The user's pan and zoom, until the points change and the map fits them again
+  const [panned, setPanned] = useState({ base: null, viewport: null });
+  const viewport = panned.base === fitted ? panned.viewport : fitted;
+  const setViewport = (next) => setPanned({ base: fitted, viewport: clampViewport(next) });
+
+  const clusters = clusterPoints(points, viewport, CLUSTER_RADIUS);
+  const gridLines = getGridLines(viewport);
+  const placedCount = points.reduce((sum, point) => sum + point.weight, 0);
+
+  useImperativeHandle(ref, () => ({
+    focusFirst: () => mapRef.current && mapRef.current.focus()
+  }), []);
+
+  /**
+   * Zoom around the centre of the map
+   * @param {number} factor - Above 1 zooms in
+   */
+  const zoomBy = (factor) => setViewport({ ...viewport, span: viewport.span / factor });
+
+  /**
+   * Filter the list to one city, or zoom in on a cluster of several
+   */
+  const handleClusterClick = (cluster) => {
+    if (cluster.points.length === 1) {
+      onFilter(`place:${filterValue(cluster.points[0].place.name)}`);
+      return;
+    }
+    const clusterViewport = fitViewport(cluster.points);
+    setViewport({ ...clusterViewport, span: Math.min(clusterViewport.span, viewport.span / 2) });
+  };
+
+  /**
+   * Drag the map to pan (drags that start on a marker are clicks)
+   */
+  const handlePointerDown = (e) => {
+    if (e.target.closest('button')) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { clientX: e.clientX, clientY: e.clientY, viewport };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const unitsPerPixel = drag.viewport.span / e.currentTarget.clientWidth;
+    setViewport({
+      ...drag.viewport,
+      x: drag.viewport.x - (e.clientX - drag.clientX) * unitsPerPixel,
+      y: drag.viewport.y - (e.clientY - drag.clientY) * unitsPerPixel
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  /**
+   * Arrow keys pan by a tenth of the view; + and - zoom
+   */
+  const handleMapKeyDown = (e) => {
+    if (e.target !== e.currentTarget) return;
+    const step = viewport.span / 10;
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step]
+    };
+    if (moves[e.key]) {
+      e.preventDefault();
+      setViewport({ ...viewport, x: viewport.x + moves[e.key][0], y: viewport.y + moves[e.key][1] });
+    } else if (e.key === '+' || e.key === '=') {
+      e.preventDefault();
+      zoomBy(2);
+    } else if (e.key === '-') {
+      e.preventDefault();
+      zoomBy(0.5);
+    }
+  };
+
+  const controlClass = 'w-8 h-8 flex items-center justify-center bg-gray-800/90 border border-gray-600 text-gray-200 rounded-lg hover:bg-gray-700 hover:text-white transition-colors';
+
+  return (
+    <section aria-labelledby={titleId} className="bg-gray-800/80 backdrop-blur-md border border-gray-700 rounded-lg shadow-xl p-4 sm:p-6 animate-fade-in">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h2 id={titleId} className="text-xl font-bold text-white">Map</h2>
+          <p className="text-sm text-gray-400">
+            {placedCount} of {contacts.length} contact{contacts.length === 1 ? '' : 's'} placed in {places.length} cit{places.length === 1 ? 'y' : 'ies'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button type="button" onClick={() => zoomBy(2)} aria-label="Zoom in" title="Zoom in" className={controlClass}>+</button>
+          <button type="button" onClick={() => zoomBy(0.5)} aria-label="Zoom out" title="Zoom out" className={controlClass}>−</button>
+          <button
+            type="button"
+            onClick={() => setViewport(fitted)}
+            title="Fit all contacts"
+            className={`${controlClass} w-auto px-3 text-sm`}
+          >
+            Fit
+          </button>
+        </div>
+      </div>
+
+      {/* Map Area */}
+      <div
+        ref={mapRef}
+        tabIndex={0}
+        role="group"
+        aria-label="Contact map. Drag or use the arrow keys to pan, + and - to zoom"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={handleMapKeyDown}
+        className="relative w-full overflow-hidden rounded-lg bg-gray-900 border border-gray-700 cursor-grab active:cursor-grabbing touch-none select-none focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400"
+        style={{ aspectRatio: `${MAP_ASPECT} / 1` }}
+      >
+        {/* Latitude/longitude grid */}
+        <svg className="absolute inset-0 w-full h-full pointer-events-none" aria-hidden="true">
+          {gridLines.map(line => (
+            line.axis === 'lon' ? (
+              <g key={`lon${line.degrees}`}>
+                <line x1={`${line.position * 100}%`} x2={`${line.position * 100}%`} y1="0" y2="100%" className="stroke-gray-700" strokeWidth="1" />
+                <text x={`${line.position * 100}%`} y="100%" dx="4" dy="-6" className="fill-gray-500 text-[10px]">
+                  {formatDegrees('lon', line.degrees)}
+                </text>
+              </g>
+            ) : (
+              <g key={`lat${line.degrees}`}>
+                <line x1="0" x2="100%" y1={`${line.position * 100}%`} y2={`${line.position * 100}%`} className="stroke-gray-700" strokeWidth="1" />
+                <text x="4" y={`${line.position * 100}%`} dy="-4" className="fill-gray-500 text-[10px]">
+                  {formatDegrees('lat', line.degrees)}
+                </text>
+              </g>
+            )
+          ))}
+        </svg>
+
+        {/* Markers */}
+        {clusters.map((cluster) => {
+          const [first] = cluster.points;
+          const single = cluster.points.length === 1;
+          const size = Math.min(64, Math.round(28 + 6 * Math.log2(cluster.weight)));
+          const contactsLabel = `${cluster.weight} contact${cluster.weight === 1 ? '' : 's'}`;
+          return (
+            <div
+              key={first.place.name}
+              className="absolute flex flex-col items-center -translate-x-1/2 -translate-y-1/2"
+              style={{ left: `${cluster.left * 100}%`, top: `${cluster.top * 100}%` }}
+            >
+              <button
+                type="button"
+                onClick={() => handleClusterClick(cluster)}
+                aria-label={single
+                  ? `${first.place.name}: ${contactsLabel}. Show them`
+                  : `${cluster.points.length} cities around ${first.place.name}: ${contactsLabel}. Zoom in`}
+                title={single ? first.place.name : cluster.points.map(point => point.place.city).join(', ')}
+                className={`flex items-center justify-center rounded-full border-2 text-xs font-bold text-white shadow-lg transition-transform hover:scale-110 focus:outline-none focus-visible:ring-2 focus-visible:ring-white ${
+                  single ? 'bg-cyan-500/80 border-cyan-200/80' : 'bg-purple-500/80 border-purple-200/80'
+                }`}
+                style={{ width: size, height: size }}
+              >
+                {cluster.weight}
+              </button>
+              {clusters.length <= MAX_LABELS && (
+                <span aria-hidden="true" className="mt-0.5 px-1 rounded bg-gray-900/70 text-[10px] text-gray-300 whitespace-nowrap pointer-events-none">
+                  {single ? first.place.city : `${first.place.city} +${cluster.points.length - 1}`}
+                </span>
+              )}
+            </div>
+          );
+        })}
+
+        {points.length === 0 && (
+          <p className="absolute inset-0 flex items-center justify-center p-6 text-center text-gray-400">
+            No contacts with a known city to show
+          </p>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2">
+        Works offline: places are matched against a built-in list of {GAZETTEER_SIZE} cities, using each contact's
+        location, or its address when the location doesn't match.
+        {missing.length > 0 && ` ${missing.length} contact${missing.length === 1 ? ' has' : 's have'} no location or address.`}
+      </p>
+
+      {/* Unresolved Locations */}
+      {unresolved.length > 0 && (
+        <section aria-labelledby={unresolvedTitleId} className="mt-6">
+          <h3 id={unresolvedTitleId} className="text-sm text-orange-300 font-medium">
+            Unresolved Locations ({unresolved.reduce((sum, group) => sum + group.contacts.length, 0)})
+          </h3>
+          <p className="text-xs text-gray-400 mb-3">
+            These don't match a known city. Edit the contact to use a “City, Country” location.
+          </p>
+          <ul className="space-y-2">
+            {unresolved.map(group => (
+              <li key={group.text} className="bg-gray-900/40 border border-gray-700 rounded-lg px-3 py-2 text-sm">
+                <div className="flex flex-wrap items-baseline justify-between gap-2">
+                  <span className="text-gray-200">“{group.text}”</span>
+                  <span className="text-xs text-gray-400">
+                    {group.contacts.length} contact{group.contacts.length === 1 ? '' : 's'}
+                  </span>
+                </div>
+                <div className="flex flex-wrap gap-2 mt-1">
+                  {group.contacts.slice(0, MAX_UNRESOLVED_CONTACTS).map(contact => (
+                    <button
+                      key={contact.id}
+                      type="button"
+                      onClick={() => onEdit(contact.id)}
+                      aria-label={`Edit ${contact.name}`}
+                      className="text-xs text-cyan-400 hover:text-cyan-300 underline-offset-2 hover:underline"
+                    >
+                      {contact.name}
+                    </button>
+                  ))}
+                  {group.contacts.length > MAX_UNRESOLVED_CONTACTS && (
+                    <button
+                      type="button"
+                      onClick={() => onFilter(`${group.contacts[0].location ? 'location' : 'address'}:${filterValue(group.text)}`)}
+                      className="text-xs text-gray-400 hover:text-white"
+                    >
+                      Show all {group.contacts.length}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </section>
+  );
+};
+
+export default ContactMap;
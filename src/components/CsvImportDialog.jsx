@@ -0,0 +1,264 @@
+import React, { useState, useMemo } from 'react';
+import { getCsvFields, parseCsv, guessColumnMapping, applyColumnMapping } from '../utils/csv';
+import { readFileAsText } from '../utils/download';
+import { buildImportPreview, toImportedContacts } from '../utils/contactImport';
+
+/**
+ * Collect every problem with a preview row, using the same messages as the forms
+ * Phones that already exist (in the list or earlier in the file) are errors here
+ */
+const getRowErrors = (row) => {
+  const errors = { ...row.errors };
+  const hasPhoneError = Object.keys(errors).some(key => key.startsWith('phones.'));
+  if (!hasPhoneError && (row.collision || row.duplicateOf !== null)) {
+    errors['phones.0'] = 'Phone number already exists';
+  }
+  return errors;
+};
+
+/**
+ * Column label for the mapping selects
+ */
+const getColumnLabel = (headers, index, hasHeader) =>
+  hasHeader && headers[index] ? headers[index] : `Column ${index + 1}`;
+
+/**
+ * CsvImportDialog Component
+ *
+ * Imports contacts from a .csv file in three steps: pick a file, map its
+ * columns to contact fields, then review a per-row validation report
+ * Only rows that pass the add form's rules are imported
+ *
+ * @param {Array} existingContacts - Current contacts for duplicate phone checks
+ * @param {Array} customFields - Custom field definitions, mapped like the built-in fields
+ * @param {function} onImport - Callback with the array of new contacts
+ * @param {function} onClose - Callback to close the dialog
+ */
+const CsvImportDialog = ({ existingContacts, customFields = [], onImport, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [csvRows, setCsvRows] = useState(null);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [showReport, setShowReport] = useState(false);
+  const [error, setError] = useState('');
+  const headers = useMemo(() => (csvRows && hasHeader ? csvRows[0] : []), [csvRows, hasHeader]);
+  const fields = useMemo(() => getCsvFields(customFields, headers), [customFields, headers]);
+
+  const dataRows = useMemo(
+    () => (csvRows ? csvRows.slice(hasHeader ? 1 : 0) : []),
+    [csvRows, hasHeader]
+  );
+  const columnCount = csvRows ? Math.max(...csvRows.map(row => row.length)) : 0;
+
+  const report = useMemo(() => {
+    if (!showReport) return [];
+    return buildImportPreview(applyColumnMapping(dataRows, mapping, fields), existingContacts, customFields)
+      .map(row => ({ ...row, errors: getRowErrors(row) }));
+  }, [showReport, dataRows, mapping, fields, existingContacts, customFields]);
+  const validRows = report.filter(row => Object.keys(row.errors).length === 0);
+
+  /**
+   * Parse the chosen file and guess the column mapping
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError('');
+    setShowReport(false);
+    setFileName(file.name);
+    try {
+      const rows = parseCsv(await readFileAsText(file));
+      if (rows.length === 0) {
+        setCsvRows(null);
+        setError('This file has no rows');
+        return;
+      }
+      setCsvRows(rows);
+      setMapping(guessColumnMapping(rows[0], getCsvFields(customFields, rows[0])));
+    } catch (err) {
+      console.error('Failed to read CSV file:', err);
+      setCsvRows(null);
+      setError('Could not read this file');
+    }
+  };
+
+  /**
+   * Switch whether the first row holds column names
+   */
+  const handleHeaderToggle = (e) => {
+    const checked = e.target.checked;
+    setHasHeader(checked);
+    if (!checked) {
+      setMapping(Object.fromEntries(fields.map(({ key }) => [key, -1])));
+    } else if (csvRows) {
+      setMapping(guessColumnMapping(csvRows[0], getCsvFields(customFields, csvRows[0])));
+    }
+  };
+
+  /**
+   * Map a contact field to a column (-1 to skip it)
+   */
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: Number(value) }));
+  };
+
+  /**
+   * Import the rows that passed validation
+   */
+  const handleImport = () => {
+    onImport(toImportedContacts(validRows.map(row => row.values), customFields, existingContacts));
+    onClose();
+  };
+
+  const requiredMapped = ['name', 'email', 'phone'].every(key => mapping[key] >= 0);
+
+  return (
+    <div>
+      {!showReport && (
+        <>
+          {/* File Picker */}
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-300 mb-2">CSV file (.csv)</span>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              className="block w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-700 file:text-gray-200 hover:file:bg-gray-600"
+            />
+          </label>
+          {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+
+          {/* Column Mapping */}
+          {csvRows && (
+            <div className="mt-6">
+              <p className="text-gray-300 mb-3">
+                {dataRows.length} row{dataRows.length === 1 ? '' : 's'} in {fileName}. Choose the column for each field.
+              </p>
+
+              <label className="flex items-center gap-2 text-sm text-gray-300 mb-4">
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={handleHeaderToggle}
+                  className="accent-cyan-500"
+                />
+                First row contains column names
+              </label>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {fields.map(({ key, label }) => (
+                  <label key={key} className="block">
+                    <span className="block text-sm font-medium text-gray-300 mb-1">
+                      {label}{['name', 'email', 'phone'].includes(key) ? ' *' : ''}
+                    </span>
+                    <select
+                      value={mapping[key] ?? -1}
+                      onChange={(e) => handleMappingChange(key, e.target.value)}
+                      className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                      <option value={-1}>— Skip —</option>
+                      {Array.from({ length: columnCount }, (_, index) => (
+                        <option key={index} value={index}>
+                          {getColumnLabel(headers, index, hasHeader)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              {!requiredMapped && (
+                <p className="text-orange-400 text-sm mt-3">Map the Name, Email and Phone columns to continue</p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Validation Report */}
+      {showReport && (
+        <div>
+          <p className="text-gray-300 mb-3">
+            <span className="text-green-400">{validRows.length} valid</span>
+            {' · '}
+            <span className="text-red-400">{report.length - validRows.length} with errors</span>
+            {' '}of {report.length} row{report.length === 1 ? '' : 's'} in {fileName}.
+            {validRows.length < report.length && ' Rows with errors will be skipped.'}
+          </p>
+
+          <div className="max-h-[45vh] overflow-y-auto border border-gray-700 rounded-lg">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-gray-800 sticky top-0">
+                <tr>
+                  <th className="py-2 px-3 text-gray-400 font-medium">Row</th>
+                  <th className="py-2 px-3 text-gray-400 font-medium">Name</th>
+                  <th className="py-2 px-3 text-gray-400 font-medium">Phone</th>
+                  <th className="py-2 px-3 text-gray-400 font-medium">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.map(row => {
+                  const errorMessages = Object.values(row.errors);
+                  return (
+                    <tr key={row.index} className="border-t border-gray-800">
+                      {/* Line number in the file, counting the header */}
+                      <td className="py-2 px-3 text-gray-400">{row.index + (hasHeader ? 2 : 1)}</td>
+                      <td className="py-2 px-3 text-white break-words">{row.values.name || '—'}</td>
+                      <td className="py-2 px-3 text-gray-300 break-words">{row.values.phone || '—'}</td>
+                      <td className={`py-2 px-3 ${errorMessages.length > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                        {errorMessages.length > 0 ? errorMessages.join(', ') : 'OK'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="flex gap-3 pt-6">
+        {showReport ? (
+          <>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={validRows.length === 0}
+              className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-600 text-white py-2 px-4 rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Import {validRows.length} Valid Row{validRows.length === 1 ? '' : 's'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowReport(false)}
+              className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+            >
+              Back to Mapping
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={() => setShowReport(true)}
+              disabled={!csvRows || dataRows.length === 0 || !requiredMapped}
+              className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-600 text-white py-2 px-4 rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Validate Rows
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+            >
+              Cancel
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportDialog;
@@ -0,0 +1,326 @@
+import React, { useState } from 'react';
+import {
+  CUSTOM_FIELD_TYPES,
+  createFieldDefinition,
+  createFieldKey,
+  getCustomValues,
+  normalizeFieldDefinitions,
+  validateFieldDefinitions
+} from '../utils/customFields';
+
+const inputClass = 'w-full px-3 py-2 bg-gray-700/50 border text-white placeholder-gray-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400';
+
+/**
+ * Editable copy of a definition (choices edited one per line)
+ */
+const toDraft = (definition, isNew = false) => ({
+  ...definition,
+  optionsText: (definition.options || []).join('\n'),
+  isNew
+});
+
+/**
+ * Definition for a draft
+ */
+const fromDraft = ({ optionsText, isNew, ...definition }) => ({
+  ...definition,
+  options: optionsText.split('\n')
+});
+
+/**
+ * CustomFieldsEditor Component
+ *
+ * Settings for the user's custom contact fields: name, type, whether it is
+ * required and the type's checks (choices, number range, text pattern).
+ * Fields can be added, reordered and deleted; nothing changes until saved.
+ * A field keeps its key when renamed, so its values stay on the contacts.
+ *
+ * @param {Array} fields - Current custom field definitions
+ * @param {Array} contacts - All contacts, to count the values a deletion removes
+ * @param {function} onSave - Callback with the new definitions
+ * @param {function} onClose - Callback to close the editor
+ */
+const CustomFieldsEditor = ({ fields, contacts = [], onSave, onClose }) => {
+  const [drafts, setDrafts] = useState(() => fields.map(field => toDraft(field)));
+  const [errors, setErrors] = useState({});
+
+  // Contacts that lose a value when the deleted fields are saved
+  const keptKeys = new Set(drafts.map(draft => draft.key));
+  const removedKeys = fields.map(field => field.key).filter(key => !keptKeys.has(key));
+  const affectedCount = contacts.filter(contact => {
+    const values = getCustomValues(contact);
+    return removedKeys.some(key => String(values[key] ?? '').trim());
+  }).length;
+
+  /**
+   * Update one setting of one field
+   */
+  const handleChange = (index, setting, value) => {
+    setDrafts(prev => prev.map((draft, i) => (i === index ? { ...draft, [setting]: value } : draft)));
+    setErrors(prev => {
+      const errorKey = `${index}.${setting === 'optionsText' ? 'options' : setting}`;
+      const { [errorKey]: cleared, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  /**
+   * Add an empty text field at the end
+   */
+  const handleAdd = () => {
+    setDrafts(prev => [...prev, toDraft(createFieldDefinition(prev.map(draft => draft.key)), true)]);
+  };
+
+  /**
+   * Move a field up (-1) or down (1)
+   */
+  const handleMove = (index, offset) => {
+    setDrafts(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+    setErrors({});
+  };
+
+  /**
+   * Delete a field
+   */
+  const handleRemove = (index) => {
+    setDrafts(prev => prev.filter((_, i) => i !== index));
+    setErrors({});
+  };
+
+  /**
+   * Check every field and save; new fields get their key from their name
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const definitions = drafts.map(fromDraft);
+    const newErrors = validateFieldDefinitions(definitions);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    const keys = drafts.filter(draft => !draft.isNew).map(draft => draft.key);
+    const keyed = definitions.map((definition, index) => {
+      if (!drafts[index].isNew) return definition;
+      const key = createFieldKey(definition.label, keys);
+      keys.push(key);
+      return { ...definition, key };
+    });
+    onSave(normalizeFieldDefinitions(keyed));
+  };
+
+  /**
+   * Error message for one setting of one field
+   */
+  const renderError = (index, setting) => {
+    const error = errors[`${index}.${setting}`];
+    return error ? <p id={`custom-${index}-${setting}-error`} className="text-red-400 text-sm mt-1">{error}</p> : null;
+  };
+
+  /**
+   * Props linking an input to its error message
+   */
+  const errorProps = (index, setting) => {
+    const error = errors[`${index}.${setting}`];
+    return {
+      'aria-invalid': Boolean(error),
+      'aria-describedby': error ? `custom-${index}-${setting}-error` : undefined,
+      className: `${inputClass} ${error ? 'border-red-500' : 'border-gray-600'}`
+    };
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Custom fields show up in the contact form and details, can be searched with their key
+        (<code className="text-cyan-300">key:value</code>) and are included in CSV and vCard files.
+      </p>
+
+      {drafts.length === 0 && (
+        <p className="text-gray-400 text-center py-4">No custom fields yet</p>
+      )}
+
+      {drafts.map((draft, index) => {
+        const title = draft.label.trim() || `Field ${index + 1}`;
+        const key = draft.isNew ? createFieldKey(draft.label, fields.map(field => field.key)) : draft.key;
+        return (
+          <fieldset key={draft.isNew ? `new-${draft.key}` : draft.key} className="p-3 bg-gray-900/40 border border-gray-700 rounded-lg space-y-3">
+            <legend className="sr-only">{title}</legend>
+            <div className="flex gap-2 items-start">
+              <div className="flex-1 min-w-0">
+                <label htmlFor={`custom-${index}-label`} className="block text-xs text-gray-400 mb-0.5">Name</label>
+                <input
+                  type="text"
+                  id={`custom-${index}-label`}
+                  value={draft.label}
+                  onChange={(e) => handleChange(index, 'label', e.target.value)}
+                  placeholder="Company"
+                  {...errorProps(index, 'label')}
+                />
+                {renderError(index, 'label')}
+                {draft.label.trim() && (
+                  <p className="text-gray-500 text-xs mt-1">Search with {key}:</p>
+                )}
+              </div>
+              <div>
+                <label htmlFor={`custom-${index}-type`} className="block text-xs text-gray-400 mb-0.5">Type</label>
+                <select
+                  id={`custom-${index}-type`}
+                  value={draft.type}
+                  onChange={(e) => handleChange(index, 'type', e.target.value)}
+                  className={`${inputClass} border-gray-600`}
+                >
+                  {CUSTOM_FIELD_TYPES.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {draft.type === 'select' && (
+              <div>
+                <label htmlFor={`custom-${index}-options`} className="block text-xs text-gray-400 mb-0.5">Choices (one per line)</label>
+                <textarea
+                  id={`custom-${index}-options`}
+                  rows={3}
+                  value={draft.optionsText}
+                  onChange={(e) => handleChange(index, 'optionsText', e.target.value)}
+                  placeholder={'Lead\nCustomer\nPartner'}
+                  {...errorProps(index, 'options')}
+                />
+                {renderError(index, 'options')}
+              </div>
+            )}
+
+            {draft.type === 'number' && (
+              <div className="grid grid-cols-2 gap-2">
+                {[['min', 'Minimum'], ['max', 'Maximum']].map(([setting, label]) => (
+                  <div key={setting}>
+                    <label htmlFor={`custom-${index}-${setting}`} className="block text-xs text-gray-400 mb-0.5">{label}</label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      id={`custom-${index}-${setting}`}
+                      value={draft[setting]}
+                      onChange={(e) => handleChange(index, setting, e.target.value)}
+                      placeholder="None"
+                      {...errorProps(index, setting)}
+                    />
+                    {renderError(index, setting)}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {draft.type === 'text' && (
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label htmlFor={`custom-${index}-pattern`} className="block text-xs text-gray-400 mb-0.5">Pattern (regular expression)</label>
+                  <input
+                    type="text"
+                    id={`custom-${index}-pattern`}
+                    value={draft.pattern}
+                    onChange={(e) => handleChange(index, 'pattern', e.target.value)}
+                    placeholder="EMP-\d{4}"
+                    {...errorProps(index, 'pattern')}
+                  />
+                  {renderError(index, 'pattern')}
+                </div>
+                <div>
+                  <label htmlFor={`custom-${index}-patternMessage`} className="block text-xs text-gray-400 mb-0.5">Message when it doesn't match</label>
+                  <input
+                    type="text"
+                    id={`custom-${index}-patternMessage`}
+                    value={draft.patternMessage}
+                    onChange={(e) => handleChange(index, 'patternMessage', e.target.value)}
+                    placeholder="Use the form EMP-1234"
+                    className={`${inputClass} border-gray-600`}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="flex gap-2 items-center">
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={draft.required}
+                  onChange={(e) => handleChange(index, 'required', e.target.checked)}
+                  className="accent-cyan-500"
+                />
+                Required
+              </label>
+              <span className="flex-1" />
+              <button
+                type="button"
+                onClick={() => handleMove(index, -1)}
+                disabled={index === 0}
+                className="p-2 text-gray-400 hover:text-white rounded-lg transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                aria-label={`Move ${title} up`}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                </svg>
+              </button>
+              <button
+                type="button"
+                onClick={() => handleMove(index, 1)}
+                disabled={index === drafts.length - 1}
+                className="p-2 text-gray-400 hover:text-white rounded-lg transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                aria-label={`Move ${title} down`}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRemove(index)}
+                className="p-2 text-gray-500 hover:text-red-400 rounded-lg transition-colors"
+                aria-label={`Delete ${title}`}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+              </button>
+            </div>
+          </fieldset>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={handleAdd}
+        className="text-sm text-cyan-400 hover:text-cyan-300 transition-colors"
+      >
+        + Add field
+      </button>
+
+      {affectedCount > 0 && (
+        <p className="text-orange-400 text-sm" role="status">
+          Saving removes the deleted fields' values from {affectedCount} contact{affectedCount === 1 ? '' : 's'}. Undo brings them back.
+        </p>
+      )}
+
+      <div className="flex gap-3 pt-2">
+        <button
+          type="submit"
+          className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-600 text-white py-2 px-4 rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium"
+        >
+          Save Fields
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CustomFieldsEditor;
@@ -0,0 +1,140 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+
+// Elements that can take keyboard focus inside a dialog
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Focusable elements inside a container, in tab order
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+const getFocusable = (container) => [...container.querySelectorAll(FOCUSABLE)];
+
+/**
+ * Dialog Component
+ *
+ * Modal popup with a blurred backdrop, shared by every dialog in the app
+ * - role="dialog" (or "alertdialog") with aria-modal, labelled by its title
+ * - Moves focus inside on open ([data-autofocus], else the first focusable
+ *   element), keeps Tab within the dialog and returns focus on close
+ * - Escape, the close button and a click on the backdrop call onClose
+ *
+ * @param {string} title - Visible heading; omit when the content has its own (use labelledBy)
+ * @param {string} labelledBy - Id of the element that names the dialog
+ * @param {string} label - Accessible name when there is no visible heading
+ * @param {string} describedBy - Id of the element that describes the dialog
+ * @param {string} role - 'dialog' or 'alertdialog' (confirmations)
+ * @param {function} onClose - Callback to close the dialog
+ * @param {boolean} showClose - Shows the × button in the corner
+ * @param {string} className - Size and padding classes for the panel
+ * @param {string} overlayClassName - Placement classes for the backdrop
+ * @param {ReactNode} children - Dialog content
+ */
+const Dialog = ({
+  title,
+  labelledBy,
+  label,
+  describedBy,
+  role = 'dialog',
+  onClose,
+  showClose = true,
+  className = 'p-8 max-w-2xl max-h-[90vh] overflow-y-auto',
+  overlayClassName = 'items-center',
+  children
+}) => {
+  const titleId = useId();
+  const panelRef = useRef(null);
+  // The element focused before the dialog opened, read before any autoFocus child takes focus
+  const [returnFocusTo] = useState(() => document.activeElement);
+
+  /**
+   * Move focus into the dialog on open and give it back on close
+   */
+  useEffect(() => {
+    const panel = panelRef.current;
+    if (!panel.contains(document.activeElement)) {
+      const target = panel.querySelector('[data-autofocus]') || getFocusable(panel)[0] || panel;
+      target.focus();
+    }
+    return () => {
+      if (returnFocusTo && returnFocusTo !== document.body && returnFocusTo.isConnected) {
+        returnFocusTo.focus();
+      }
+    };
+  }, [returnFocusTo]);
+
+  /**
+   * Escape closes; Tab and Shift+Tab wrap around inside the dialog
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusable(panelRef.current);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === panelRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      className={`fixed inset-0 bg-black/70 backdrop-blur-lg flex justify-center z-[9999] ${overlayClassName}`}
+      onClick={onClose}
+    >
+      <div
+        ref={panelRef}
+        role={role}
+        aria-modal="true"
+        aria-labelledby={title ? titleId : labelledBy}
+        aria-label={title || labelledBy ? undefined : label}
+        aria-describedby={describedBy}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => e.stopPropagation()}
+        className={`bg-gray-900/95 backdrop-blur-xl border border-gray-600/50 rounded-2xl mx-4 shadow-2xl transform animate-scale-in w-full relative focus:outline-none ${className}`}
+      >
+        {title && <h2 id={titleId} className="text-2xl font-bold text-white mb-6 pr-8">{title}</h2>}
+        {children}
+
+        {/* Close button (last in tab order, pinned to the corner) */}
+        {showClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close"
+            className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Dialog;
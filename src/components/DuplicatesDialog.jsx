@@ -0,0 +1,203 @@
+import React, { useMemo, useState } from 'react';
+import { findDuplicateClusters, mergeContacts, getDefaultWinners, MERGE_FIELDS } from '../utils/duplicates';
+
+// Badge text and colours for each duplicate reason
+const REASON_BADGES = {
+  email: { label: 'Same email', className: 'bg-cyan-500/20 text-cyan-300 border-cyan-500/30' },
+  phone: { label: 'Same phone', className: 'bg-green-500/20 text-green-300 border-green-500/30' },
+  name: { label: 'Similar name', className: 'bg-purple-500/20 text-purple-300 border-purple-500/30' }
+};
+
+/**
+ * Format a field value for the merge table
+ */
+const formatValue = (key, value) => {
+  if (key === 'isFavorite') return value ? '⭐ Yes' : 'No';
+  if (key === 'photo') {
+    return value ? <img src={value} alt="Portrait" className="w-12 h-12 rounded-full object-cover" /> : '—';
+  }
+  return value || '—';
+};
+
+/**
+ * DuplicatesDialog Component
+ *
+ * "Find duplicates" tool: lists clusters of contacts that share an email,
+ * a normalized phone number or a similar name, and walks through merging
+ * a cluster by picking the winning value for each field
+ *
+ * @param {Array} contacts - All contacts to scan
+ * @param {function} onMerge - Callback with (mergedContact, removedIds)
+ * @param {function} onClose - Callback to close the dialog
+ */
+const DuplicatesDialog = ({ contacts, onMerge, onClose }) => {
+  const [activeCluster, setActiveCluster] = useState(null);
+  const [winners, setWinners] = useState({});
+  const [dismissed, setDismissed] = useState([]);
+
+  // Clusters are recomputed after every merge since contacts change
+  const clusters = useMemo(() => findDuplicateClusters(contacts), [contacts]);
+
+  // Identify a cluster by its member ids so dismissals survive recomputation
+  const clusterKey = (cluster) => cluster.contacts.map(c => c.id).sort().join(',');
+  const visibleClusters = clusters.filter(cluster => !dismissed.includes(clusterKey(cluster)));
+
+  /**
+   * Open the merge step for a cluster
+   */
+  const handleReview = (cluster) => {
+    setActiveCluster(cluster);
+    setWinners(getDefaultWinners(cluster.contacts));
+  };
+
+  /**
+   * Pick the contact whose value wins for a field
+   */
+  const handleSelectWinner = (fieldKey, contactId) => {
+    setWinners(prev => ({ ...prev, [fieldKey]: contactId }));
+  };
+
+  /**
+   * Merge the active cluster and go back to the list
+   */
+  const handleConfirmMerge = () => {
+    const { merged, removedIds } = mergeContacts(activeCluster.contacts, winners);
+    onMerge(merged, removedIds);
+    setActiveCluster(null);
+  };
+
+  // Merge Step
+  if (activeCluster) {
+    return (
+      <div>
+        <p className="text-gray-300 mb-4">
+          Choose which value to keep for each field. The {activeCluster.contacts.length} contacts will be combined into one.
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="border-b border-gray-700">
+                <th className="py-2 pr-4 text-gray-400 font-medium">Field</th>
+                {activeCluster.contacts.map(contact => (
+                  <th key={contact.id} className="py-2 px-3 text-white font-semibold break-words">
+                    {contact.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {MERGE_FIELDS.map(({ key, label }) => (
+                <tr key={key} className="border-b border-gray-800">
+                  <td className="py-3 pr-4 text-gray-400 font-medium">{label}</td>
+                  {activeCluster.contacts.map(contact => (
+                    <td key={contact.id} className="py-3 px-3 align-top">
+                      <label className="flex items-start gap-2 cursor-pointer text-gray-200">
+                        <input
+                          type="radio"
+                          name={`merge-${key}`}
+                          checked={winners[key] === contact.id}
+                          onChange={() => handleSelectWinner(key, contact.id)}
+                          className="mt-1 accent-cyan-500"
+                        />
+                        <span className="break-words min-w-0">{formatValue(key, contact[key])}</span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex gap-3 pt-6">
+          <button
+            type="button"
+            onClick={handleConfirmMerge}
+            className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-600 text-white py-2 px-4 rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium"
+          >
+            Merge {activeCluster.contacts.length} Contacts
+          </button>
+          <button
+            type="button"
+            onClick={() => setActiveCluster(null)}
+            className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // No Duplicates
+  if (visibleClusters.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-10">
+        <div className="text-5xl mb-4">✨</div>
+        <p className="text-gray-300 text-lg">No duplicates found</p>
+        <button
+          type="button"
+          onClick={onClose}
+          className="mt-6 px-6 py-2 bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors font-medium"
+        >
+          Close
+        </button>
+      </div>
+    );
+  }
+
+  // Cluster List
+  return (
+    <div>
+      <p className="text-gray-300 mb-4">
+        Found {visibleClusters.length} group{visibleClusters.length === 1 ? '' : 's'} of possible duplicates.
+      </p>
+
+      <div className="space-y-4">
+        {visibleClusters.map(cluster => (
+          <div key={clusterKey(cluster)} className="bg-gray-800/50 border border-gray-600/30 rounded-xl p-4">
+            <div className="flex flex-wrap gap-2 mb-3">
+              {cluster.reasons.map(reason => (
+                <span
+                  key={reason}
+                  className={`text-xs font-medium px-2 py-0.5 rounded-full border ${REASON_BADGES[reason].className}`}
+                >
+                  {REASON_BADGES[reason].label}
+                </span>
+              ))}
+            </div>
+
+            <ul className="space-y-1 mb-4">
+              {cluster.contacts.map(contact => (
+                <li key={contact.id} className="text-gray-200 text-sm break-words">
+                  <span className="font-semibold text-white">{contact.name}</span>
+                  <span className="text-gray-400"> · {contact.email} · {contact.phone}</span>
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => handleReview(cluster)}
+                className="px-4 py-2 bg-gradient-to-r from-cyan-500 to-purple-600 text-white text-sm rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium"
+              >
+                Review &amp; Merge
+              </button>
+              <button
+                type="button"
+                onClick={() => setDismissed(prev => [...prev, clusterKey(cluster)])}
+                className="px-4 py-2 bg-gray-700 text-gray-200 text-sm rounded-lg hover:bg-gray-600 transition-colors font-medium"
+              >
+                Not Duplicates
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicatesDialog;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { buildHighlightPattern } from '../utils/contactSearch';
+
+/**
+ * HighlightText Component
+ * 
+ * Renders text with the parts matching the search wrapped in <mark>
+ * 
+ * @param {string} text - Text to display
+ * @param {string} field - Contact field the text comes from (phone matches by digits)
+ * @param {Array} terms - Lowercase search terms to highlight
+ */
+const HighlightText = ({ text, field, terms }) => {
+  const value = text == null ? '' : String(text);
+  const pattern = buildHighlightPattern(field, terms);
+
+  if (!pattern || !value) {
+    return <>{value}</>;
+  }
+
+  // split() with a capturing group keeps the matches at odd indexes
+  const parts = value.split(pattern);
+
+  return (
+    <>
+      {parts.map((part, index) =>
+        index % 2 === 1 ? (
+          <mark key={index} className="bg-cyan-400/30 text-cyan-100 rounded px-0.5">
+            {part}
+          </mark>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        )
+      )}
+    </>
+  );
+};
+
+export default HighlightText;
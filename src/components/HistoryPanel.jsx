@@ -0,0 +1,99 @@
+import React from 'react';
+
+/**
+ * Format how long ago a change was made
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {number} now - Current time in milliseconds
+ * @returns {string}
+ */
+const formatAgo = (timestamp, now) => {
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  if (seconds < 60) return 'just now';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+  return new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+};
+
+/**
+ * HistoryPanel Component
+ *
+ * Lists recent changes (newest first) with undo/redo controls
+ * Undone changes stay listed, dimmed, until a new change replaces them
+ *
+ * @param {Array} past - Applied history entries, oldest first
+ * @param {Array} future - Undone entries, next to redo first
+ * @param {function} onUndo - Undo the latest change
+ * @param {function} onRedo - Redo the latest undone change
+ * @param {function} onClose - Callback to close the panel
+ */
+const HistoryPanel = ({ past, future, onUndo, onRedo, onClose }) => {
+  const now = Date.now();
+  const applied = [...past].reverse();
+  const undone = [...future].reverse();
+
+  return (
+    <div>
+      <div className="flex gap-3 mb-6">
+        <button
+          type="button"
+          onClick={onUndo}
+          disabled={past.length === 0}
+          className="flex-1 px-4 py-2 bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ↶ Undo
+        </button>
+        <button
+          type="button"
+          onClick={onRedo}
+          disabled={future.length === 0}
+          className="flex-1 px-4 py-2 bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ↷ Redo
+        </button>
+      </div>
+
+      {past.length === 0 && future.length === 0 ? (
+        <p className="text-gray-400 text-center py-8">No changes yet</p>
+      ) : (
+        <ol className="space-y-2">
+          {undone.map((entry) => (
+            <li
+              key={entry.id}
+              className="flex items-center justify-between gap-3 px-4 py-2 border border-dashed border-gray-700 rounded-lg text-gray-500"
+            >
+              <span className="line-through break-words">{entry.label}</span>
+              <span className="text-xs flex-shrink-0">undone</span>
+            </li>
+          ))}
+          {applied.map((entry, index) => (
+            <li
+              key={entry.id}
+              className={`flex items-center justify-between gap-3 px-4 py-2 border rounded-lg ${
+                index === 0 ? 'bg-gray-800/80 border-cyan-500/40 text-white' : 'bg-gray-800/50 border-gray-700 text-gray-200'
+              }`}
+            >
+              <span className="break-words">{entry.label}</span>
+              <span className="text-xs text-gray-400 flex-shrink-0">{formatAgo(entry.timestamp, now)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <p className="text-gray-400 text-xs mt-6">
+        Shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo (⌘ on Mac)
+      </p>
+
+      <div className="flex pt-4">
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,46 @@
+import React from 'react';
+import Menu from './Menu';
+
+/**
+ * ImportExportMenu Component
+ *
+ * Dropdown button listing import and export actions
+ *
+ * @param {Array} importOptions - Import actions as { label, onClick, disabled }
+ * @param {Array} exportOptions - Export actions as { label, onClick, disabled }
+ * @param {boolean} disabled - Disables the whole menu (e.g. while loading)
+ */
+const ImportExportMenu = ({ importOptions = [], exportOptions = [], disabled = false }) => {
+  /**
+   * Convert options to menu items
+   */
+  const toItems = (options) => options.map(option => ({
+    label: option.label,
+    onSelect: option.onClick,
+    disabled: option.disabled
+  }));
+
+  return (
+    <Menu
+      label="Import / Export"
+      disabled={disabled}
+      className="relative"
+      menuClassName="left-1/2 -translate-x-1/2 mt-2 min-w-[240px]"
+      buttonClassName="flex items-center gap-2 px-4 py-2 bg-gray-800/60 border border-gray-600 text-gray-200 text-sm rounded-lg hover:bg-gray-700 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed backdrop-blur-sm"
+      buttonContent={
+        <>
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M9 19l3 3m0 0l3-3m-3 3V10" />
+          </svg>
+          Import / Export
+        </>
+      }
+      sections={[
+        { title: 'Import', items: toItems(importOptions) },
+        { title: 'Export', items: toItems(exportOptions) }
+      ]}
+    />
+  );
+};
+
+export default ImportExportMenu;
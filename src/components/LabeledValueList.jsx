@@ -0,0 +1,149 @@
+import React from 'react';
+import { ensureSinglePrimary } from '../utils/labeledValues';
+
+/**
+ * LabeledValueList Component
+ *
+ * Editable list of labeled values (emails or phones) for the contact forms
+ * Each row has a label picker, the value, a primary toggle and a remove button
+ *
+ * @param {string} name - List name ('emails' or 'phones'); errors are read from `${name}.${index}`
+ * @param {string} title - Field title shown above the list
+ * @param {boolean} required - Marks the field as required
+ * @param {Array} entries - Rows as { label, value, primary }
+ * @param {Array} labelOptions - Labels to choose from
+ * @param {string} type - Input type for the values (email, tel)
+ * @param {string} placeholder - Placeholder for the value inputs
+ * @param {string} addLabel - Text of the add button
+ * @param {string} hint - Help text shown when the list has no errors
+ * @param {Object} errors - Form errors
+ * @param {function} onChange - Callback with the updated rows
+ */
+const LabeledValueList = ({
+  name,
+  title,
+  required = false,
+  entries,
+  labelOptions,
+  type = 'text',
+  placeholder = '',
+  addLabel = 'Add',
+  hint = '',
+  errors = {},
+  onChange
+}) => {
+  const hasErrors = entries.some((_, index) => errors[`${name}.${index}`]);
+
+  /**
+   * Update one field of one row
+   */
+  const handleEntryChange = (index, field, value) => {
+    onChange(entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  /**
+   * Make a row the primary one
+   */
+  const handleSetPrimary = (index) => {
+    onChange(entries.map((entry, i) => ({ ...entry, primary: i === index })));
+  };
+
+  /**
+   * Add an empty row, picking the first label not used yet
+   */
+  const handleAdd = () => {
+    const usedLabels = entries.map(entry => entry.label);
+    const label = labelOptions.find(option => !usedLabels.includes(option)) || labelOptions[labelOptions.length - 1];
+    onChange([...entries, { label, value: '', primary: false }]);
+  };
+
+  /**
+   * Remove a row (the primary moves to the first remaining row)
+   */
+  const handleRemove = (index) => {
+    onChange(ensureSinglePrimary(entries.filter((_, i) => i !== index)));
+  };
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-300 mb-1">
+        {title}{required ? ' *' : ''}
+      </legend>
+
+      <div className="space-y-2">
+        {entries.map((entry, index) => {
+          const error = errors[`${name}.${index}`];
+          return (
+            <div key={index}>
+              <div className="flex gap-2 items-center">
+                <select
+                  value={entry.label}
+                  onChange={(e) => handleEntryChange(index, 'label', e.target.value)}
+                  className="px-2 py-2 bg-gray-700/50 border border-gray-600 text-white text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400 capitalize"
+                  aria-label={`${title} ${index + 1} label`}
+                >
+                  {labelOptions.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+                <input
+                  type={type}
+                  id={`${name}-${index}`}
+                  value={entry.value}
+                  onChange={(e) => handleEntryChange(index, 'value', e.target.value)}
+                  className={`flex-1 min-w-0 px-4 py-2 bg-gray-700/50 border text-white placeholder-gray-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400 ${
+                    error ? 'border-red-500' : 'border-gray-600'
+                  }`}
+                  placeholder={placeholder}
+                  aria-label={`${title} ${index + 1}`}
+                />
+                <button
+                  type="button"
+                  onClick={() => handleSetPrimary(index)}
+                  className={`p-2 rounded-lg transition-colors ${
+                    entry.primary ? 'text-yellow-400' : 'text-gray-500 hover:text-gray-300'
+                  }`}
+                  title={entry.primary ? 'Primary' : 'Make primary'}
+                  aria-label={entry.primary ? `${title} ${index + 1} is primary` : `Make ${title.toLowerCase()} ${index + 1} primary`}
+                  aria-pressed={entry.primary}
+                >
+                  <svg className="w-4 h-4" fill={entry.primary ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                  </svg>
+                </button>
+                {entries.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(index)}
+                    className="p-2 text-gray-500 hover:text-red-400 rounded-lg transition-colors"
+                    aria-label={`Remove ${title.toLowerCase()} ${index + 1}`}
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                )}
+              </div>
+              {error && (
+                <p className="text-red-400 text-sm mt-1">{error}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {!hasErrors && hint && (
+        <p className="text-gray-400 text-xs mt-1">{hint}</p>
+      )}
+      <button
+        type="button"
+        onClick={handleAdd}
+        className="mt-2 text-sm text-cyan-400 hover:text-cyan-300 transition-colors"
+      >
+        + {addLabel}
+      </button>
+    </fieldset>
+  );
+};
+
+export default LabeledValueList;
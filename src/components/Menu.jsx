@@ -0,0 +1,204 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+
+/**
+ * Menu Component
+ *
+ * Button that opens a dropdown menu (WAI-ARIA menu button pattern)
+ * - The button has aria-haspopup/aria-expanded; items are role="menuitem"
+ * - Enter, Space or ArrowDown opens on the first item, ArrowUp on the last
+ * - Arrow keys, Home and End move between items; Escape closes and returns
+ *   focus to the button, Tab closes and moves on
+ *
+ * @param {string} label - Accessible name of the button and the menu
+ * @param {ReactNode} buttonContent - Contents of the button (icon and/or text)
+ * @param {string} buttonClassName - Classes for the button
+ * @param {string} title - Tooltip for the button
+ * @param {Array} sections - Groups of items as { title, items }, where items are
+ *   { label, icon, onSelect, disabled, className }
+ * @param {boolean} disabled - Disables the button
+ * @param {string} className - Classes for the wrapper (positions the menu)
+ * @param {string} menuClassName - Placement and width classes for the dropdown
+ */
+const Menu = ({
+  label,
+  buttonContent,
+  buttonClassName = '',
+  title,
+  sections = [],
+  disabled = false,
+  className = 'relative',
+  menuClassName = 'right-0 mt-2 min-w-[180px]'
+}) => {
+  const [open, setOpen] = useState(false);
+  // Which item gets focus when the menu opens: 'first' or 'last'
+  const [initialFocus, setInitialFocus] = useState('first');
+  const buttonRef = useRef(null);
+  const menuRef = useRef(null);
+  const menuId = useId();
+  const buttonId = useId();
+
+  /**
+   * Enabled items in the open menu
+   */
+  const getItems = () => [...menuRef.current.querySelectorAll('[role="menuitem"]:not(:disabled)')];
+
+  /**
+   * Move focus into the menu when it opens
+   */
+  useEffect(() => {
+    if (!open || !menuRef.current) return;
+    const items = getItems();
+    const item = initialFocus === 'last' ? items[items.length - 1] : items[0];
+    if (item) item.focus();
+  }, [open, initialFocus]);
+
+  /**
+   * Open the menu, focusing its first or last item
+   * @param {string} focus - 'first' or 'last'
+   */
+  const openMenu = (focus = 'first') => {
+    setInitialFocus(focus);
+    setOpen(true);
+  };
+
+  /**
+   * Close the menu and return focus to its button
+   */
+  const closeMenu = () => {
+    setOpen(false);
+    if (buttonRef.current) buttonRef.current.focus();
+  };
+
+  /**
+   * Run an item; focus goes back to the button first, so a dialog the item
+   * opens can hand focus back to it when it closes
+   */
+  const handleSelect = (item) => {
+    closeMenu();
+    item.onSelect();
+  };
+
+  /**
+   * Keys on the button: ArrowDown/ArrowUp open the menu
+   */
+  const handleButtonKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      openMenu(e.key === 'ArrowUp' ? 'last' : 'first');
+    }
+  };
+
+  /**
+   * Keys inside the menu
+   */
+  const handleMenuKeyDown = (e) => {
+    const items = getItems();
+    const index = items.indexOf(document.activeElement);
+    let next = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        next = items[(index + 1) % items.length];
+        break;
+      case 'ArrowUp':
+        next = items[(index - 1 + items.length) % items.length];
+        break;
+      case 'Home':
+        next = items[0];
+        break;
+      case 'End':
+        next = items[items.length - 1];
+        break;
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        closeMenu();
+        return;
+      case 'Tab':
+        setOpen(false);
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    if (next) next.focus();
+  };
+
+  return (
+    <div className={className}>
+      <button
+        ref={buttonRef}
+        id={buttonId}
+        type="button"
+        onClick={() => (open ? setOpen(false) : openMenu())}
+        onKeyDown={handleButtonKeyDown}
+        disabled={disabled}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-controls={open ? menuId : undefined}
+        aria-label={label}
+        title={title}
+        className={buttonClassName}
+      >
+        {buttonContent}
+      </button>
+
+      {/* Dropdown Menu */}
+      {open && (
+        <div
+          ref={menuRef}
+          id={menuId}
+          role="menu"
+          aria-labelledby={buttonId}
+          onKeyDown={handleMenuKeyDown}
+          className={`absolute bg-gray-700 border border-gray-600 rounded-lg shadow-lg z-20 divide-y divide-gray-600 ${menuClassName}`}
+        >
+          {sections.filter(section => section.items.length > 0).map((section, sectionIndex) => (
+            <div
+              key={section.title || sectionIndex}
+              role="group"
+              aria-labelledby={section.title ? `${menuId}-${sectionIndex}` : undefined}
+              className={section.title ? 'py-1' : undefined}
+            >
+              {section.title && (
+                <p
+                  id={`${menuId}-${sectionIndex}`}
+                  className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400"
+                >
+                  {section.title}
+                </p>
+              )}
+              {section.items.map((item) => (
+                <button
+                  key={item.label}
+                  type="button"
+                  role="menuitem"
+                  tabIndex={-1}
+                  onClick={() => handleSelect(item)}
+                  disabled={item.disabled}
+                  className={`w-full px-4 py-2 text-left hover:bg-gray-600 focus:bg-gray-600 focus:outline-none transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-transparent ${
+                    item.className || 'text-gray-200 hover:text-white'
+                  }`}
+                >
+                  {item.icon}
+                  {item.label}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Click outside to close menu */}
+      {open && (
+        <div
+          className="fixed inset-0 z-10"
+          onClick={() => setOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Menu;
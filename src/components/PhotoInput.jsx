@@ -0,0 +1,254 @@
+import React, { useRef, useState } from 'react';
+import Avatar from './Avatar';
+import {
+  MAX_UPLOAD_BYTES,
+  clampCrop,
+  cropImage,
+  getCenteredCrop,
+  loadImage,
+  readFileAsDataUrl
+} from '../utils/photo';
+
+// Width and height of the crop area, in CSS pixels
+const VIEW_SIZE = 192;
+const MAX_ZOOM = 4;
+
+/**
+ * PhotoInput Component
+ *
+ * Photo field for the add and edit forms
+ * Shows the current photo (or the generated avatar), lets the user upload an
+ * image, pick a square crop by dragging and zooming, and stores the result
+ * resized to a small JPEG. Arrow keys move the crop and +/- zoom. A photo
+ * the data source has no room for is refused rather than lost on save.
+ *
+ * @param {string} value - Current photo as a data URL, or null
+ * @param {function} onChange - Callback with the new photo data URL, or null to remove it
+ * @param {string} name - Contact name, for the fallback avatar
+ * @param {number|string} contactId - Contact id, for the fallback avatar colour
+ * @param {function} hasRoomFor - Optional async check that the photo can be stored
+ */
+const PhotoInput = ({ value, onChange, name, contactId, hasRoomFor }) => {
+  const [source, setSource] = useState(null);
+  const [crop, setCrop] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+  const dragRef = useRef(null);
+
+  /**
+   * Load a picked file into the crop area
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      setError('Choose an image file (JPEG, PNG, GIF or WebP)');
+      return;
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      setError('Images must be smaller than 10 MB');
+      return;
+    }
+
+    try {
+      const image = await loadImage(await readFileAsDataUrl(file));
+      setSource({ image, width: image.naturalWidth, height: image.naturalHeight });
+      setCrop(getCenteredCrop(image.naturalWidth, image.naturalHeight));
+      setError('');
+    } catch (loadError) {
+      console.error('Failed to load photo:', loadError);
+      setError('That image could not be read');
+    }
+  };
+
+  /**
+   * Move or resize the crop, keeping it inside the image
+   */
+  const updateCrop = (next) => setCrop(clampCrop(next, source.width, source.height));
+
+  /**
+   * Zoom around the centre of the current crop
+   * @param {number} zoom - 1 shows the largest square, MAX_ZOOM the smallest
+   */
+  const setZoom = (zoom) => {
+    const size = Math.min(source.width, source.height) / zoom;
+    const centerX = crop.x + crop.size / 2;
+    const centerY = crop.y + crop.size / 2;
+    updateCrop({ x: centerX - size / 2, y: centerY - size / 2, size });
+  };
+
+  const zoom = source ? Math.min(source.width, source.height) / crop.size : 1;
+
+  /**
+   * Drag the image to move the crop
+   */
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { clientX: e.clientX, clientY: e.clientY, crop };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const scale = drag.crop.size / VIEW_SIZE;
+    updateCrop({
+      ...drag.crop,
+      x: drag.crop.x - (e.clientX - drag.clientX) * scale,
+      y: drag.crop.y - (e.clientY - drag.clientY) * scale
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  /**
+   * Arrow keys move the crop by a tenth of its size; + and - zoom
+   */
+  const handleCropKeyDown = (e) => {
+    const step = crop.size / 10;
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step]
+    };
+    if (moves[e.key]) {
+      e.preventDefault();
+      updateCrop({ ...crop, x: crop.x + moves[e.key][0], y: crop.y + moves[e.key][1] });
+    } else if (e.key === '+' || e.key === '=') {
+      e.preventDefault();
+      setZoom(Math.min(MAX_ZOOM, zoom * 1.25));
+    } else if (e.key === '-') {
+      e.preventDefault();
+      setZoom(Math.max(1, zoom / 1.25));
+    }
+  };
+
+  /**
+   * Store the cropped photo and close the crop area
+   */
+  const handleApply = async () => {
+    let photo;
+    try {
+      photo = cropImage(source.image, crop);
+    } catch (cropError) {
+      console.error('Failed to crop photo:', cropError);
+      setError('The photo could not be saved. Try a different image.');
+      return;
+    }
+    if (hasRoomFor && !(await hasRoomFor(photo))) {
+      setError('Browser storage is full, so this photo can\'t be added. Remove some photos or contacts first.');
+      return;
+    }
+    onChange(photo);
+    setSource(null);
+  };
+
+  const scale = crop ? VIEW_SIZE / crop.size : 1;
+
+  return (
+    <div>
+      <span className="block text-sm font-medium text-gray-300 mb-1">Photo</span>
+
+      {source ? (
+        <div className="flex flex-col items-center gap-3 p-4 bg-gray-900/60 border border-gray-700 rounded-lg">
+          {/* Crop Area */}
+          <div
+            tabIndex={0}
+            role="group"
+            aria-label="Photo crop area. Drag or use the arrow keys to move, + and - to zoom"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onKeyDown={handleCropKeyDown}
+            className="relative overflow-hidden rounded-lg bg-gray-800 cursor-move touch-none focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400"
+            style={{ width: VIEW_SIZE, height: VIEW_SIZE }}
+          >
+            <img
+              src={source.image.src}
+              alt=""
+              draggable={false}
+              className="absolute top-0 left-0 max-w-none select-none pointer-events-none"
+              style={{
+                width: source.width * scale,
+                height: source.height * scale,
+                transform: `translate(${-crop.x * scale}px, ${-crop.y * scale}px)`
+              }}
+            />
+            {/* Circle guide: the avatar shows this part */}
+            <div className="absolute inset-0 rounded-full pointer-events-none shadow-[0_0_0_9999px_rgba(0,0,0,0.55)] ring-2 ring-white/70" />
+          </div>
+
+          <label className="flex items-center gap-3 w-full max-w-[12rem] text-xs text-gray-400">
+            Zoom
+            <input
+              type="range"
+              min="1"
+              max={MAX_ZOOM}
+              step="0.01"
+              value={zoom}
+              onChange={(e) => setZoom(Number(e.target.value))}
+              className="flex-1 accent-cyan-500"
+            />
+          </label>
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleApply}
+              className="px-4 py-1.5 text-sm bg-gradient-to-r from-cyan-500 to-purple-600 text-white rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium"
+            >
+              Use Photo
+            </button>
+            <button
+              type="button"
+              onClick={() => setSource(null)}
+              className="px-4 py-1.5 text-sm bg-gray-600 text-gray-200 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-center gap-4">
+          <Avatar contact={{ id: contactId, name: name || '?', photo: value }} className="w-16 h-16 text-xl" />
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => fileInputRef.current.click()}
+              className="px-3 py-1.5 text-sm bg-gray-700 border border-gray-600 text-gray-200 rounded-lg hover:bg-gray-600 hover:text-white transition-colors"
+            >
+              {value ? 'Change Photo' : 'Upload Photo'}
+            </button>
+            {value && (
+              <button
+                type="button"
+                onClick={() => onChange(null)}
+                className="px-3 py-1.5 text-sm text-red-400 hover:text-red-300 hover:bg-gray-700 rounded-lg transition-colors"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        onChange={handleFileChange}
+        tabIndex={-1}
+        aria-hidden="true"
+        className="hidden"
+      />
+      {error && <p className="text-red-400 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default PhotoInput;
@@ -3,13 +3,38 @@ import React from 'react';
 /**
  * SearchBar Component
  * 
- * Provides a search input field for filtering contacts by name
+ * Provides a search input field for filtering contacts across all fields
+ * Supports field filters such as location:Mumbai, email:@example.com, fav:true, tag:client,
+ * and the keys of custom fields (company:acme)
  * Updates search query in real-time as user types
+ * ArrowDown moves to the results; Escape clears the query, then leaves the field
  * 
  * @param {string} searchQuery - Current search query value
  * @param {function} onSearchChange - Callback function when search input changes
+ * @param {string} searchMode - 'exact' (substring) or 'fuzzy' (spelling-tolerant, ranked)
+ * @param {function} onSearchModeChange - Callback function when the mode toggle changes
+ * @param {function} onFocusResults - Callback to move focus to the first result
+ * @param {Array} customFields - Custom field definitions, for the syntax hint
+ * @param {Object} ref - Ref to the search input (for the / shortcut)
  */
-const SearchBar = ({ searchQuery, onSearchChange }) => {
+const SearchBar = ({ searchQuery, onSearchChange, searchMode = 'exact', onSearchModeChange, onFocusResults, customFields = [], ref }) => {
+  /**
+   * Keyboard handling inside the search input
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && onFocusResults) {
+      e.preventDefault();
+      onFocusResults();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      if (searchQuery) {
+        onSearchChange('');
+      } else {
+        e.currentTarget.blur();
+      }
+    }
+  };
+
   return (
     <div className="mb-8">
       <div className="relative max-w-md mx-auto">
@@ -32,17 +57,23 @@ const SearchBar = ({ searchQuery, onSearchChange }) => {
         
         {/* Search Input */}
         <input
+          ref={ref}
           type="text"
-          placeholder="Search contacts by name..."
+          placeholder="Search name, email, phone, city..."
+          aria-label="Search contacts"
+          title="Press / to search"
           value={searchQuery}
           onChange={(e) => onSearchChange(e.target.value)}
+          onKeyDown={handleKeyDown}
           className="w-full pl-10 pr-4 py-3 bg-gray-800/50 border border-gray-600 text-white placeholder-gray-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent transition-all duration-200 backdrop-blur-sm"
         />
         
         {/* Clear Button (shown when search query exists) */}
         {searchQuery && (
           <button
+            type="button"
             onClick={() => onSearchChange('')}
+            aria-label="Clear search"
             className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-white transition-colors"
           >
             <svg 
@@ -61,6 +92,47 @@ const SearchBar = ({ searchQuery, onSearchChange }) => {
           </button>
         )}
       </div>
+
+      {/* Match Mode Toggle */}
+      {onSearchModeChange && (
+        <div className="flex justify-center mt-3">
+          <div className="inline-flex bg-gray-800/50 border border-gray-600 rounded-lg p-1 text-sm backdrop-blur-sm">
+            {[
+              { value: 'exact', label: 'Exact' },
+              { value: 'fuzzy', label: 'Fuzzy' }
+            ].map((mode) => (
+              <button
+                key={mode.value}
+                type="button"
+                onClick={() => onSearchModeChange(mode.value)}
+                aria-pressed={searchMode === mode.value}
+                title={mode.value === 'fuzzy' ? 'Match similar spellings, ranked by relevance' : 'Match exact text only'}
+                className={`px-3 py-1 rounded-md transition-colors ${
+                  searchMode === mode.value
+                    ? 'bg-gradient-to-r from-cyan-500 to-purple-600 text-white'
+                    : 'text-gray-300 hover:text-white'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Query Syntax Hint */}
+      <p className="max-w-md mx-auto mt-2 text-xs text-gray-400 text-center">
+        Filter by field: <code className="text-cyan-300">location:Mumbai</code>{' '}
+        <code className="text-cyan-300">email:@example.com</code>{' '}
+        <code className="text-cyan-300">fav:true</code>{' '}
+        <code className="text-cyan-300">birthday:march</code>{' '}
+        <code className="text-cyan-300">tag:client</code>
+        {customFields.length > 0 && (
+          <>
+            {' '}<code className="text-cyan-300">{customFields[0].key}:…</code>
+          </>
+        )}
+      </p>
     </div>
   );
 };
@@ -0,0 +1,74 @@
+import React from 'react';
+import { GROUP_OPTIONS, SORT_OPTIONS } from '../utils/contactSort';
+
+/**
+ * SortControls Component
+ *
+ * Sort field, direction, grouping and favorites-first toggle for the grid
+ * While a fuzzy search is ranking results, the sort and grouping wait until it is cleared
+ *
+ * @param {Object} sort - { sortBy, direction, groupBy, favoritesFirst }
+ * @param {function} onSortChange - Callback with the changed settings
+ * @param {boolean} rankedByRelevance - Whether results are currently ranked by search relevance
+ */
+const SortControls = ({ sort, onSortChange, rankedByRelevance = false }) => {
+  const option = SORT_OPTIONS.find(o => o.value === sort.sortBy) || SORT_OPTIONS[0];
+  const selectClass = 'px-3 py-1.5 bg-gray-800/50 border border-gray-600 text-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-400 backdrop-blur-sm';
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-3 mb-6 text-sm">
+      <label className="flex items-center gap-2 text-gray-400">
+        Sort by
+        <select
+          value={sort.sortBy}
+          onChange={(e) => onSortChange({ sortBy: e.target.value, direction: 'asc' })}
+          className={selectClass}
+        >
+          {SORT_OPTIONS.map(o => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <button
+        type="button"
+        onClick={() => onSortChange({ direction: sort.direction === 'asc' ? 'desc' : 'asc' })}
+        title="Reverse the order"
+        className="px-3 py-1.5 bg-gray-800/50 border border-gray-600 text-gray-200 rounded-lg hover:bg-gray-700 hover:text-white transition-colors backdrop-blur-sm"
+      >
+        {option.directions[sort.direction === 'asc' ? 0 : 1]}
+      </button>
+
+      <label className="flex items-center gap-2 text-gray-400">
+        Group
+        <select
+          value={sort.groupBy}
+          onChange={(e) => onSortChange({ groupBy: e.target.value })}
+          className={selectClass}
+        >
+          {GROUP_OPTIONS.map(o => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-2 text-gray-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={sort.favoritesFirst}
+          onChange={(e) => onSortChange({ favoritesFirst: e.target.checked })}
+          className="w-4 h-4 accent-cyan-500"
+        />
+        Favorites first
+      </label>
+
+      {rankedByRelevance && (
+        <span className="w-full text-center text-xs text-gray-400">
+          Fuzzy results are ranked by relevance; sorting and grouping apply when the search is cleared
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SortControls;
@@ -0,0 +1,34 @@
+import React from 'react';
+import HighlightText from './HighlightText';
+import { getTagColor } from '../utils/tags';
+
+/**
+ * TagChip Component
+ *
+ * Small colored label for a tag, optionally removable
+ *
+ * @param {string} tag - Tag name
+ * @param {Array} highlightTerms - Search terms to highlight in the name
+ * @param {function} onRemove - Callback to remove the tag (omit for read-only chips)
+ */
+const TagChip = ({ tag, highlightTerms = [], onRemove }) => (
+  <span className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium border rounded-full max-w-full ${getTagColor(tag)}`}>
+    <span className="truncate">
+      <HighlightText text={tag} field="tags" terms={highlightTerms} />
+    </span>
+    {onRemove && (
+      <button
+        type="button"
+        onClick={() => onRemove(tag)}
+        className="opacity-70 hover:opacity-100 transition-opacity"
+        aria-label={`Remove tag ${tag}`}
+      >
+        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+        </svg>
+      </button>
+    )}
+  </span>
+);
+
+export default TagChip;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import TagInput from './TagInput';
+import { getContactTags, normalizeTags } from '../utils/tags';
+
+/**
+ * TagEditor Component
+ *
+ * Quick tag editing for one contact, opened from the card's three-dot menu
+ *
+ * @param {Object} contact - Contact whose tags are edited
+ * @param {Array} suggestions - Tag names already in use
+ * @param {function} onSave - Callback with the new tag names
+ * @param {function} onClose - Callback to close the editor
+ */
+const TagEditor = ({ contact, suggestions = [], onSave, onClose }) => {
+  const [tags, setTags] = useState(() => getContactTags(contact));
+
+  /**
+   * Save the tags and close
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(normalizeTags(tags));
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <label htmlFor="edit-tags" className="block text-sm font-medium text-gray-300 mb-1">
+        Tags for {contact.name}
+      </label>
+      <TagInput
+        id="edit-tags"
+        tags={tags}
+        suggestions={suggestions}
+        onChange={setTags}
+      />
+
+      <div className="flex gap-3 pt-6">
+        <button
+          type="submit"
+          className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-600 text-white py-2 px-4 rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium"
+        >
+          Save Tags
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TagEditor;
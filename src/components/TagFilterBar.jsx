@@ -0,0 +1,95 @@
+import React from 'react';
+import { getTagColor, tagKey } from '../utils/tags';
+
+/**
+ * TagFilterBar Component
+ *
+ * Row of tag chips under the search bar; clicking a chip filters by that tag
+ * With several tags selected, Any (OR) or All (AND) decides how they combine
+ *
+ * @param {Array} tagCounts - Tags in use as { name, count }
+ * @param {Array} selectedTags - Tag names currently filtered by
+ * @param {string} matchMode - 'any' or 'all'
+ * @param {function} onSelectedTagsChange - Callback with the new selection
+ * @param {function} onMatchModeChange - Callback with the new match mode
+ */
+const TagFilterBar = ({ tagCounts, selectedTags, matchMode, onSelectedTagsChange, onMatchModeChange }) => {
+  if (tagCounts.length === 0) return null;
+
+  const selectedKeys = new Set(selectedTags.map(tagKey));
+
+  /**
+   * Add or remove a tag from the filter
+   */
+  const handleToggleTag = (name) => {
+    onSelectedTagsChange(
+      selectedKeys.has(tagKey(name))
+        ? selectedTags.filter(tag => tagKey(tag) !== tagKey(name))
+        : [...selectedTags, name]
+    );
+  };
+
+  return (
+    <div className="-mt-4 mb-8 max-w-3xl mx-auto">
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <span className="text-xs font-semibold uppercase tracking-wide text-gray-400 mr-1">Tags</span>
+        {tagCounts.map(({ name, count }) => {
+          const selected = selectedKeys.has(tagKey(name));
+          return (
+            <button
+              key={tagKey(name)}
+              type="button"
+              onClick={() => handleToggleTag(name)}
+              aria-pressed={selected}
+              className={`inline-flex items-center gap-1.5 px-3 py-1 text-xs font-medium border rounded-full transition-all ${
+                selected
+                  ? `${getTagColor(name)} ring-2 ring-offset-1 ring-offset-gray-900 ring-cyan-400`
+                  : 'bg-gray-800/50 text-gray-300 border-gray-600 hover:text-white hover:border-gray-500'
+              }`}
+            >
+              {name}
+              <span className="text-gray-400">{count}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {selectedTags.length > 0 && (
+        <div className="flex items-center justify-center gap-3 mt-3 text-sm">
+          {selectedTags.length > 1 && (
+            <div className="inline-flex bg-gray-800/50 border border-gray-600 rounded-lg p-1 backdrop-blur-sm">
+              {[
+                { value: 'any', label: 'Any', title: 'Contacts with at least one selected tag (OR)' },
+                { value: 'all', label: 'All', title: 'Contacts with every selected tag (AND)' }
+              ].map((mode) => (
+                <button
+                  key={mode.value}
+                  type="button"
+                  onClick={() => onMatchModeChange(mode.value)}
+                  aria-pressed={matchMode === mode.value}
+                  title={mode.title}
+                  className={`px-3 py-1 rounded-md transition-colors ${
+                    matchMode === mode.value
+                      ? 'bg-gradient-to-r from-cyan-500 to-purple-600 text-white'
+                      : 'text-gray-300 hover:text-white'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <button
+            type="button"
+            onClick={() => onSelectedTagsChange([])}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            Clear tags
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagFilterBar;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import TagChip from './TagChip';
+import { normalizeTags, tagKey } from '../utils/tags';
+
+/**
+ * TagInput Component
+ *
+ * Chip editor for a contact's tags
+ * Enter or comma adds the typed tag, Backspace on an empty input removes the last one
+ * Existing tags are offered as suggestions
+ *
+ * @param {string} id - Id for the text input (so a label can point at it)
+ * @param {Array} tags - Current tag names
+ * @param {Array} suggestions - Tag names already used by other contacts
+ * @param {function} onChange - Callback with the updated tag names
+ */
+const TagInput = ({ id = 'tags', tags = [], suggestions = [], onChange }) => {
+  const [draft, setDraft] = useState('');
+  const selectedKeys = new Set(tags.map(tagKey));
+  const availableSuggestions = suggestions.filter(tag => !selectedKeys.has(tagKey(tag)));
+
+  /**
+   * Add the typed tag, reusing the spelling of an existing tag if there is one
+   */
+  const addDraft = () => {
+    const existing = suggestions.find(tag => tagKey(tag) === tagKey(draft));
+    onChange(normalizeTags([...tags, existing || draft]));
+    setDraft('');
+  };
+
+  /**
+   * Handle Enter/comma (add) and Backspace (remove last)
+   */
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && draft.trim()) {
+      e.preventDefault();
+      addDraft();
+    } else if (e.key === 'Enter') {
+      // Don't submit the surrounding form from the tag input
+      e.preventDefault();
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2 bg-gray-700/50 border border-gray-600 rounded-lg focus-within:ring-2 focus-within:ring-cyan-400">
+        {tags.map(tag => (
+          <TagChip
+            key={tagKey(tag)}
+            tag={tag}
+            onRemove={(removed) => onChange(tags.filter(t => t !== removed))}
+          />
+        ))}
+        <input
+          type="text"
+          id={id}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value.replace(/,/g, ''))}
+          onKeyDown={handleKeyDown}
+          onBlur={() => draft.trim() && addDraft()}
+          list={`${id}-suggestions`}
+          className="flex-1 min-w-[8rem] bg-transparent text-white placeholder-gray-400 text-sm focus:outline-none"
+          placeholder={tags.length === 0 ? 'Add tags (e.g. Client, Family)' : 'Add another tag'}
+        />
+        <datalist id={`${id}-suggestions`}>
+          {availableSuggestions.map(tag => (
+            <option key={tagKey(tag)} value={tag} />
+          ))}
+        </datalist>
+      </div>
+      <p className="text-gray-400 text-xs mt-1">Press Enter or comma to add a tag</p>
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,52 @@
+import React from 'react';
+
+// Background per toast type
+const TOAST_STYLES = {
+  success: 'bg-green-700 text-white',
+  delete: 'bg-orange-700 text-white',
+  error: 'bg-red-600 text-white'
+};
+
+/**
+ * Toast Component
+ *
+ * Notification in the bottom-right corner, announced to screen readers
+ * The live regions stay mounted so assistive tech picks up each new message:
+ * errors go to an assertive alert region, everything else to a polite status region
+ *
+ * @param {Object} toast - { show, message, type } where type is success, delete or error
+ * @param {function} onUndo - Callback for the Undo button on delete toasts (omit to hide it)
+ */
+const Toast = ({ toast, onUndo }) => {
+  const isError = toast.type === 'error';
+
+  const content = toast.show && (
+    <div className={`px-6 py-3 rounded-lg shadow-lg animate-slide-up flex items-center gap-3 ${TOAST_STYLES[toast.type] || TOAST_STYLES.success}`}>
+      <span>{toast.message}</span>
+
+      {/* Undo Button (only for delete toasts) */}
+      {toast.type === 'delete' && onUndo && (
+        <button
+          type="button"
+          onClick={onUndo}
+          className="ml-2 px-3 py-1 bg-white text-orange-700 rounded font-semibold hover:bg-orange-50 transition-colors"
+        >
+          UNDO
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed bottom-8 right-8 z-[10000]">
+      <div role="status" aria-live="polite" aria-atomic="true">
+        {!isError && content}
+      </div>
+      <div role="alert" aria-atomic="true">
+        {isError && content}
+      </div>
+    </div>
+  );
+};
+
+export default Toast;
@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from 'react';
+import { formatBirthday, getUpcomingBirthdays, wantsBirthdayReminder } from '../utils/birthdays';
+
+const RANGES = [7, 30];
+
+/**
+ * Describe how far away a birthday is
+ * @param {number} days
+ * @returns {string}
+ */
+const describeDays = (days) => {
+  if (days === 0) return 'Today 🎉';
+  if (days === 1) return 'Tomorrow';
+  return `in ${days} days`;
+};
+
+/**
+ * UpcomingBirthdays Component
+ *
+ * Birthdays in the next 7 or 30 days with the age each contact turns,
+ * plus the browser notification permission flow and per-contact reminder toggles
+ *
+ * @param {Array} contacts - All contacts
+ * @param {Date} today - Reference date (changes at midnight)
+ * @param {string} notificationPermission - 'granted', 'denied', 'default' or 'unsupported'
+ * @param {function} onEnableReminders - Asks for notification permission
+ * @param {function} onToggleReminder - Callback with a contact id to turn its reminder on/off
+ * @param {function} onShowInfo - Callback with a contact id to open its details
+ */
+const UpcomingBirthdays = ({
+  contacts,
+  today,
+  notificationPermission,
+  onEnableReminders,
+  onToggleReminder,
+  onShowInfo
+}) => {
+  const [range, setRange] = useState(RANGES[0]);
+  const upcoming = useMemo(() => getUpcomingBirthdays(contacts, range, today), [contacts, range, today]);
+  const remindersOn = notificationPermission === 'granted';
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <p className="text-sm text-gray-300 font-medium">Upcoming Birthdays</p>
+        <div className="flex items-center gap-2">
+          {RANGES.map(days => (
+            <button
+              key={days}
+              type="button"
+              onClick={() => setRange(days)}
+              aria-pressed={range === days}
+              className={`px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+                range === days
+                  ? 'bg-pink-500/20 border-pink-500/50 text-pink-300'
+                  : 'border-gray-600 text-gray-400 hover:text-white hover:border-gray-500'
+              }`}
+            >
+              {days} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Notification permission */}
+      {notificationPermission === 'default' && (
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3 px-4 py-2 bg-gray-900/60 border border-gray-700 rounded-lg text-sm text-gray-300">
+          <span>Get a browser notification on each contact's birthday.</span>
+          <button
+            type="button"
+            onClick={onEnableReminders}
+            className="px-3 py-1 bg-pink-500/20 border border-pink-500/50 text-pink-300 rounded-lg hover:bg-pink-500/30 transition-colors"
+          >
+            Enable reminders
+          </button>
+        </div>
+      )}
+      {notificationPermission === 'denied' && (
+        <p className="mb-3 text-xs text-gray-400">
+          Birthday notifications are blocked. Allow notifications for this site in your browser settings to get reminders.
+        </p>
+      )}
+
+      {upcoming.length === 0 ? (
+        <p className="text-sm text-gray-400">No birthdays in the next {range} days.</p>
+      ) : (
+        <ul className="divide-y divide-gray-700/60 border border-gray-700 rounded-lg max-h-72 overflow-y-auto">
+          {upcoming.map(({ contact, daysUntil, turning }) => {
+            const reminder = wantsBirthdayReminder(contact);
+            return (
+              <li key={contact.id} className="flex items-center gap-3 px-4 py-2">
+                <span className="text-xl" aria-hidden="true">🎂</span>
+                <div className="flex-1 min-w-0">
+                  <button
+                    type="button"
+                    onClick={() => onShowInfo(contact.id)}
+                    className="block max-w-full text-left text-white font-medium truncate hover:text-cyan-300 transition-colors"
+                  >
+                    {contact.name}
+                  </button>
+                  <p className="text-xs text-gray-400">
+                    {formatBirthday(contact.birthday, { month: 'short', day: 'numeric' })}
+                    {turning > 0 && ` · turns ${turning}`}
+                  </p>
+                </div>
+                <span className={`text-sm font-medium whitespace-nowrap ${daysUntil === 0 ? 'text-pink-300' : 'text-gray-300'}`}>
+                  {describeDays(daysUntil)}
+                </span>
+                {remindersOn && (
+                  <button
+                    type="button"
+                    onClick={() => onToggleReminder(contact.id)}
+                    aria-pressed={reminder}
+                    title={reminder ? `Turn off reminders for ${contact.name}` : `Remind me on ${contact.name}'s birthday`}
+                    className={`p-1 rounded-lg transition-colors ${reminder ? 'text-pink-300 hover:bg-pink-500/20' : 'text-gray-500 hover:text-gray-300 hover:bg-gray-700'}`}
+                  >
+                    <svg className="w-5 h-5" fill={reminder ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                    </svg>
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UpcomingBirthdays;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { parseVCards } from '../utils/vcard';
+import { readFileAsText } from '../utils/download';
+import { buildImportPreview, isCleanImportRow, toImportedContacts } from '../utils/contactImport';
+
+/**
+ * Describe why a preview row needs attention
+ */
+const getRowStatus = (row, rows) => {
+  const errorMessages = Object.values(row.errors);
+  if (errorMessages.length > 0) {
+    return { label: errorMessages.join(', '), className: 'text-red-400' };
+  }
+  if (row.collision) {
+    return { label: `Phone already belongs to ${row.collision.name}`, className: 'text-orange-400' };
+  }
+  if (row.duplicateOf !== null) {
+    return { label: `Same phone as ${rows[row.duplicateOf].values.name || 'an earlier card'}`, className: 'text-orange-400' };
+  }
+  return { label: 'New contact', className: 'text-green-400' };
+};
+
+/**
+ * VCardImportDialog Component
+ *
+ * Imports contacts from a .vcf file (vCard 3.0/4.0, one or many cards)
+ * Shows a preview first: invalid cards can't be imported and cards whose
+ * phone collides with an existing contact are unchecked by default
+ *
+ * @param {Array} existingContacts - Current contacts for collision checks
+ * @param {Array} customFields - Custom field definitions, read from X-TRIA- properties
+ * @param {function} onImport - Callback with the array of new contacts
+ * @param {function} onClose - Callback to close the dialog
+ */
+const VCardImportDialog = ({ existingContacts, customFields = [], onImport, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState('');
+
+  /**
+   * Parse the chosen file and build the preview
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError('');
+    setFileName(file.name);
+    try {
+      const cards = parseVCards(await readFileAsText(file));
+      if (cards.length === 0) {
+        setRows(null);
+        setError('No vCards found in this file');
+        return;
+      }
+      const preview = buildImportPreview(cards, existingContacts, customFields);
+      setRows(preview);
+      setSelected(preview.filter(isCleanImportRow).map(row => row.index));
+    } catch (err) {
+      console.error('Failed to read vCard file:', err);
+      setRows(null);
+      setError('Could not read this file');
+    }
+  };
+
+  /**
+   * Toggle whether a row will be imported
+   */
+  const handleToggleRow = (index) => {
+    setSelected(prev =>
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]
+    );
+  };
+
+  /**
+   * Import the checked rows
+   */
+  const handleImport = () => {
+    const values = rows.filter(row => selected.includes(row.index)).map(row => row.values);
+    onImport(toImportedContacts(values, customFields, existingContacts));
+    onClose();
+  };
+
+  return (
+    <div>
+      {/* File Picker */}
+      <label className="block">
+        <span className="block text-sm font-medium text-gray-300 mb-2">vCard file (.vcf)</span>
+        <input
+          type="file"
+          accept=".vcf,text/vcard,text/x-vcard"
+          onChange={handleFileChange}
+          className="block w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-700 file:text-gray-200 hover:file:bg-gray-600"
+        />
+      </label>
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+
+      {/* Preview */}
+      {rows && (
+        <div className="mt-6">
+          <p className="text-gray-300 mb-3">
+            {rows.length} card{rows.length === 1 ? '' : 's'} in {fileName}. {selected.length} selected for import.
+          </p>
+
+          <div className="max-h-[45vh] overflow-y-auto border border-gray-700 rounded-lg">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-gray-800 sticky top-0">
+                <tr>
+                  <th className="py-2 px-3 w-10"></th>
+                  <th className="py-2 px-3 text-gray-400 font-medium">Name</th>
+                  <th className="py-2 px-3 text-gray-400 font-medium">Phone</th>
+                  <th className="py-2 px-3 text-gray-400 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => {
+                  const status = getRowStatus(row, rows);
+                  const invalid = Object.keys(row.errors).length > 0;
+                  return (
+                    <tr key={row.index} className="border-t border-gray-800">
+                      <td className="py-2 px-3">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(row.index)}
+                          disabled={invalid}
+                          onChange={() => handleToggleRow(row.index)}
+                          className="accent-cyan-500"
+                          aria-label={`Import ${row.values.name || 'card'}`}
+                        />
+                      </td>
+                      <td className="py-2 px-3 text-white break-words">{row.values.name || '—'}</td>
+                      <td className="py-2 px-3 text-gray-300 break-words">{row.values.phone || '—'}</td>
+                      <td className={`py-2 px-3 ${status.className}`}>{status.label}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="flex gap-3 pt-6">
+        <button
+          type="button"
+          onClick={handleImport}
+          disabled={!rows || selected.length === 0}
+          className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-600 text-white py-2 px-4 rounded-lg hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Import {selected.length > 0 ? selected.length : ''} Contact{selected.length === 1 ? '' : 's'}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 bg-gray-600 text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors duration-200 font-medium"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VCardImportDialog;
@@ -0,0 +1,42 @@
+import React from 'react';
+
+export const VIEW_OPTIONS = [
+  { value: 'grid', label: 'Grid', icon: '▦', title: 'Show contacts as cards' },
+  { value: 'map', label: 'Map', icon: '🗺️', title: 'Show contacts on a map by city' }
+];
+
+/**
+ * ViewToggle Component
+ *
+ * Switches the contact list between the card grid and the map
+ *
+ * @param {string} view - 'grid' or 'map'
+ * @param {function} onViewChange - Callback with the chosen view
+ */
+const ViewToggle = ({ view, onViewChange }) => (
+  <div
+    role="group"
+    aria-label="View"
+    className="inline-flex bg-gray-800/50 border border-gray-600 rounded-lg p-1 backdrop-blur-sm text-sm"
+  >
+    {VIEW_OPTIONS.map(option => (
+      <button
+        key={option.value}
+        type="button"
+        onClick={() => onViewChange(option.value)}
+        aria-pressed={view === option.value}
+        title={option.title}
+        className={`inline-flex items-center gap-1.5 px-3 py-1 rounded-md transition-colors ${
+          view === option.value
+            ? 'bg-gradient-to-r from-cyan-500 to-purple-600 text-white'
+            : 'text-gray-300 hover:text-white'
+        }`}
+      >
+        <span aria-hidden="true">{option.icon}</span>
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+export default ViewToggle;
@@ -0,0 +1,352 @@
+import React, { useCallback, useEffect, useImperativeHandle, useLayoutEffect, useRef, useState } from 'react';
+
+// Grid columns at Tailwind's md (768px) and lg (1024px) breakpoints
+const getColumnCount = (width) => {
+  if (width >= 1024) return 3;
+  if (width >= 768) return 2;
+  return 1;
+};
+
+// Forget measurements past this many rows
+const MEASURED_ROWS_LIMIT = 5000;
+
+// Space left above or below an item scrolled into view
+const SCROLL_MARGIN = 16;
+
+/**
+ * Quote an item key for an attribute selector
+ */
+const keySelector = (key) => `[data-grid-key="${String(key).replace(/["\\]/g, '\\$&')}"]`;
+
+/**
+ * Index of the last row starting at or before a position
+ * @param {Array} offsets - Top of each row, ascending
+ * @param {number} position
+ * @returns {number}
+ */
+const findRow = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * VirtualGrid Component
+ *
+ * Responsive 1/2/3 column grid that only renders the rows near the viewport
+ * The page keeps its normal scrollbar: rows above and below the window are
+ * replaced by padding, sized from measured row heights (estimated until seen)
+ * With sections, each one starts a new row under a sticky header
+ * Items can be moved between and focused by key, scrolling them into view first
+ *
+ * @param {Array} items - Items to lay out (ignored when sections are given)
+ * @param {Array} sections - Optional [{ key, title, items }] to show under headers
+ * @param {function} getKey - Returns a stable key for an item
+ * @param {function} renderItem - Renders one item
+ * @param {function} renderHeader - Renders a section header
+ * @param {number} estimatedRowHeight - Row height (including the gap) before rows are measured
+ * @param {number} estimatedHeaderHeight - Header height before headers are measured
+ * @param {number} overscan - Extra pixels rendered above and below the viewport
+ * @param {Object} ref - Exposes scrollToSection(index), getAdjacentKey(key, direction) and focusItem(key)
+ */
+const VirtualGrid = ({
+  items,
+  sections,
+  getKey,
+  renderItem,
+  renderHeader,
+  estimatedRowHeight = 260,
+  estimatedHeaderHeight = 48,
+  overscan = 800,
+  ref
+}) => {
+  const containerRef = useRef(null);
+  const measuredElements = useRef(new Map());
+  const measuredHeights = useRef(new Map());
+  const pendingFocus = useRef(null);
+  const [columns, setColumns] = useState(() => getColumnCount(window.innerWidth));
+  const [range, setRange] = useState({ start: 0, end: 0 });
+  const [measureVersion, setMeasureVersion] = useState(0);
+
+  const groups = sections || [{ key: '', title: null, items }];
+
+  // Unmeasured rows use the average measured row height
+  const measuredRows = [...measuredHeights.current.entries()].filter(([key]) => !key.startsWith('header:'));
+  const fallbackHeight = measuredRows.length > 0
+    ? measuredRows.reduce((sum, [, height]) => sum + height, 0) / measuredRows.length
+    : estimatedRowHeight;
+
+  // Lay out sections and rows: row i spans offsets[i] to offsets[i] + heights[i]
+  const rows = [];
+  const offsets = [];
+  const heights = [];
+  const sectionLayouts = [];
+  let position = 0;
+  groups.forEach((section, sectionIndex) => {
+    const headerKey = `header:${section.key}`;
+    const headerHeight = section.title
+      ? measuredHeights.current.get(headerKey) || estimatedHeaderHeight
+      : 0;
+    const layout = { section, headerKey, top: position, headerHeight, firstRow: rows.length };
+    position += headerHeight;
+
+    for (let i = 0; i < section.items.length; i += columns) {
+      const rowItems = section.items.slice(i, i + columns);
+      const key = `${columns}:${rowItems.map(getKey).join(',')}`;
+      rows.push({ key, items: rowItems, sectionIndex });
+      const height = measuredHeights.current.get(key) || fallbackHeight;
+      offsets.push(position);
+      heights.push(height);
+      position += height;
+    }
+
+    layout.lastRow = rows.length;
+    layout.bottom = position;
+    sectionLayouts.push(layout);
+  });
+  const totalHeight = position;
+
+  const layoutRef = useRef(null);
+  layoutRef.current = { offsets, heights, rows, rowCount: rows.length, sectionLayouts, getKey };
+
+  /**
+   * Work out which rows overlap the viewport (plus overscan)
+   */
+  const updateRange = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const { offsets: rowOffsets, rowCount } = layoutRef.current;
+    if (rowCount === 0) {
+      setRange(prev => (prev.start === 0 && prev.end === 0 ? prev : { start: 0, end: 0 }));
+      return;
+    }
+
+    const viewTop = -container.getBoundingClientRect().top - overscan;
+    const viewBottom = viewTop + window.innerHeight + 2 * overscan;
+    const start = Math.min(findRow(rowOffsets, Math.max(0, viewTop)), rowCount - 1);
+    const end = Math.min(findRow(rowOffsets, Math.max(0, viewBottom)), rowCount - 1) + 1;
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, [overscan]);
+
+  /**
+   * Focus the pending item if its row is rendered
+   * The item's first element (the rendered item itself) receives focus
+   * @returns {boolean} Whether the item was focused
+   */
+  const focusPending = useCallback(() => {
+    const container = containerRef.current;
+    if (pendingFocus.current === null || !container) return false;
+    const wrapper = container.querySelector(keySelector(pendingFocus.current));
+    const target = wrapper && wrapper.firstElementChild;
+    if (!target) return false;
+    target.focus();
+    pendingFocus.current = null;
+    return true;
+  }, []);
+
+  /**
+   * Find the row and column of an item
+   * @returns {Array} [rowIndex, column], or [-1, -1] when the item isn't laid out
+   */
+  const locate = (key) => {
+    const { rows: laidOutRows, getKey: keyOf } = layoutRef.current;
+    for (let rowIndex = 0; rowIndex < laidOutRows.length; rowIndex++) {
+      const column = laidOutRows[rowIndex].items.findIndex(item => keyOf(item) === key);
+      if (column !== -1) return [rowIndex, column];
+    }
+    return [-1, -1];
+  };
+
+  useImperativeHandle(ref, () => ({
+    /**
+     * Scroll the page so a section's header is at the top
+     */
+    scrollToSection: (sectionIndex) => {
+      const layout = layoutRef.current.sectionLayouts[sectionIndex];
+      const container = containerRef.current;
+      if (!layout || !container) return;
+      const containerTop = container.getBoundingClientRect().top + window.scrollY;
+      window.scrollTo({ top: containerTop + layout.top });
+    },
+
+    /**
+     * Key of the item next to another one in the grid
+     * Up and down keep the column (clamped to shorter rows) and cross section boundaries
+     * @param {*} key - Current item key; null starts from the first item
+     * @param {string} direction - 'left', 'right', 'up', 'down', 'first' or 'last'
+     * @returns {*} Adjacent key, or null at the edge of the grid
+     */
+    getAdjacentKey: (key, direction) => {
+      const { rows: laidOutRows, getKey: keyOf } = layoutRef.current;
+      if (laidOutRows.length === 0) return null;
+      const lastRow = laidOutRows[laidOutRows.length - 1];
+      const [rowIndex, column] = key === null ? [-1, -1] : locate(key);
+      const itemAt = (row, col) => keyOf(laidOutRows[row].items[Math.min(col, laidOutRows[row].items.length - 1)]);
+
+      if (direction === 'last') return keyOf(lastRow.items[lastRow.items.length - 1]);
+      if (direction === 'first' || rowIndex === -1) return keyOf(laidOutRows[0].items[0]);
+
+      const rowLength = laidOutRows[rowIndex].items.length;
+      switch (direction) {
+        case 'left':
+          if (column > 0) return itemAt(rowIndex, column - 1);
+          return rowIndex > 0 ? itemAt(rowIndex - 1, Infinity) : null;
+        case 'right':
+          if (column < rowLength - 1) return itemAt(rowIndex, column + 1);
+          return rowIndex < laidOutRows.length - 1 ? itemAt(rowIndex + 1, 0) : null;
+        case 'up':
+          return rowIndex > 0 ? itemAt(rowIndex - 1, column) : null;
+        case 'down':
+          return rowIndex < laidOutRows.length - 1 ? itemAt(rowIndex + 1, column) : null;
+        default:
+          return null;
+      }
+    },
+
+    /**
+     * Scroll an item into view (below any sticky header) and focus it
+     * Rows outside the window are rendered first, so focus may land a frame later
+     */
+    focusItem: (key) => {
+      const container = containerRef.current;
+      const [rowIndex] = locate(key);
+      if (!container || rowIndex === -1) return;
+
+      const { offsets: rowOffsets, heights: rowHeights, rows: laidOutRows, sectionLayouts: layouts } = layoutRef.current;
+      const containerTop = container.getBoundingClientRect().top + window.scrollY;
+      const headerHeight = layouts[laidOutRows[rowIndex].sectionIndex].headerHeight;
+      const rowTop = containerTop + rowOffsets[rowIndex] - headerHeight - SCROLL_MARGIN;
+      const rowBottom = containerTop + rowOffsets[rowIndex] + rowHeights[rowIndex] + SCROLL_MARGIN;
+      if (rowTop < window.scrollY) {
+        window.scrollTo({ top: rowTop });
+      } else if (rowBottom > window.scrollY + window.innerHeight) {
+        window.scrollTo({ top: rowBottom - window.innerHeight });
+      }
+
+      pendingFocus.current = key;
+      focusPending();
+    }
+  }));
+
+  /**
+   * Follow scrolling and window resizes
+   */
+  useEffect(() => {
+    const handleResize = () => {
+      setColumns(getColumnCount(window.innerWidth));
+      updateRange();
+    };
+    window.addEventListener('scroll', updateRange, { passive: true });
+    window.addEventListener('resize', handleResize);
+    return () => {
+      window.removeEventListener('scroll', updateRange);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, [updateRange]);
+
+  /**
+   * Recompute the window when the items, columns or measurements change
+   */
+  useLayoutEffect(() => {
+    updateRange();
+  }, [items, sections, columns, measureVersion, updateRange]);
+
+  /**
+   * Measure the rendered rows and headers; re-layout if any height changed
+   */
+  useLayoutEffect(() => {
+    let changed = false;
+    // Rows are keyed by their items, so old filters leave stale entries behind
+    if (measuredHeights.current.size > MEASURED_ROWS_LIMIT) measuredHeights.current.clear();
+    measuredElements.current.forEach((element, key) => {
+      const height = element.offsetHeight;
+      // Zero means the element isn't laid out (hidden or not in a real browser)
+      if (height > 0 && measuredHeights.current.get(key) !== height) {
+        measuredHeights.current.set(key, height);
+        changed = true;
+      }
+    });
+    if (changed) setMeasureVersion(version => version + 1);
+  }, [items, sections, columns, range]);
+
+  /**
+   * Focus an item requested by focusItem once its row has rendered
+   */
+  useLayoutEffect(() => {
+    focusPending();
+  }, [range, focusPending]);
+
+  /**
+   * Ref callback that tracks an element for measuring
+   */
+  const measure = (key) => (element) => {
+    if (element) {
+      measuredElements.current.set(key, element);
+    } else {
+      measuredElements.current.delete(key);
+    }
+  };
+
+  // Sections with at least one row in the window
+  const start = Math.min(range.start, rows.length);
+  const end = Math.min(range.end, rows.length);
+  const visibleSections = end > start
+    ? sectionLayouts.slice(rows[start].sectionIndex, rows[end - 1].sectionIndex + 1)
+    : [];
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        paddingTop: visibleSections.length > 0 ? visibleSections[0].top : 0,
+        paddingBottom: visibleSections.length > 0
+          ? totalHeight - visibleSections[visibleSections.length - 1].bottom
+          : totalHeight
+      }}
+    >
+      {visibleSections.map((layout) => {
+        const firstRow = Math.max(start, layout.firstRow);
+        const lastRow = Math.min(end, layout.lastRow);
+        return (
+          <section key={layout.section.key}>
+            {layout.section.title && (
+              <div ref={measure(layout.headerKey)} className="sticky top-0 z-10 flow-root">
+                {renderHeader(layout.section)}
+              </div>
+            )}
+            <div
+              style={{
+                paddingTop: offsets[firstRow] - layout.top - layout.headerHeight,
+                paddingBottom: layout.bottom - offsets[lastRow - 1] - heights[lastRow - 1]
+              }}
+            >
+              {rows.slice(firstRow, lastRow).map((row) => (
+                <div
+                  key={row.key}
+                  ref={measure(row.key)}
+                  className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 pb-6"
+                >
+                  {row.items.map((item) => (
+                    <div key={getKey(item)} data-grid-key={getKey(item)} className="contents">
+                      {renderItem(item)}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default VirtualGrid;
@@ -0,0 +1,75 @@
+import { act, render, screen } from '@testing-library/react';
+import VirtualGrid from './VirtualGrid';
+
+const ITEM_COUNT = 20000;
+const ROW_HEIGHT = 260;
+// 3 columns at jsdom's 1024px window; the viewport plus overscan spans a few rows
+const MAX_RENDERED_ITEMS = 3 * Math.ceil((window.innerHeight + 2 * 800) / ROW_HEIGHT + 2);
+
+const items = Array.from({ length: ITEM_COUNT }, (_, i) => ({ id: i, name: `Contact ${i}` }));
+
+/**
+ * Render the grid over every item
+ * @returns {function} Mock renderItem, to count the items rendered
+ */
+const mountGrid = () => {
+  const renderItem = jest.fn(item => <article>{item.name}</article>);
+  render(
+    <VirtualGrid
+      items={items}
+      getKey={item => item.id}
+      renderItem={renderItem}
+      renderHeader={() => null}
+      estimatedRowHeight={ROW_HEIGHT}
+    />
+  );
+  return renderItem;
+};
+
+/**
+ * Ids of the items on the page
+ */
+const getShownIds = () => screen.queryAllByRole('article').map(element => Number(element.textContent.split(' ')[1]));
+
+/**
+ * Scroll the page so the grid's top is the given distance above the viewport
+ * jsdom has no layout, so the grid's position is what changes
+ */
+const scrollGridTo = async (distance) => {
+  jest.spyOn(Element.prototype, 'getBoundingClientRect')
+    .mockReturnValue({ top: -distance, bottom: 0, left: 0, right: 0, width: 0, height: 0 });
+  await act(async () => {
+    window.dispatchEvent(new Event('scroll'));
+  });
+};
+
+describe('VirtualGrid', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test(`renders only the rows near the viewport out of ${ITEM_COUNT} items`, () => {
+    const renderItem = mountGrid();
+    const shownIds = getShownIds();
+
+    expect(shownIds[0]).toBe(0);
+    expect(shownIds.length).toBeLessThanOrEqual(MAX_RENDERED_ITEMS);
+    expect(renderItem.mock.calls.length).toBeLessThan(ITEM_COUNT / 100);
+  });
+
+  test('moves the window as the page scrolls', async () => {
+    const renderItem = mountGrid();
+
+    await scrollGridTo(1000 * ROW_HEIGHT);
+    const shownIds = getShownIds();
+    expect(shownIds).toContain(3000);
+    expect(shownIds).not.toContain(0);
+    expect(shownIds.length).toBeLessThanOrEqual(MAX_RENDERED_ITEMS);
+
+    renderItem.mockClear();
+    await scrollGridTo((ITEM_COUNT / 3) * ROW_HEIGHT);
+    expect(getShownIds()).toContain(ITEM_COUNT - 1);
+    // Scrolling renders the new window, not the whole list
+    expect(renderItem.mock.calls.length).toBeLessThanOrEqual(2 * MAX_RENDERED_ITEMS);
+  });
+});
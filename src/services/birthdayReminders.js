@@ -0,0 +1,116 @@
+import { getAgeTurning, getUpcomingBirthdays, wantsBirthdayReminder } from '../utils/birthdays';
+
+/**
+ * Birthday Reminders
+ *
+ * Browser notifications for contacts whose birthday is today.
+ * - Uses the Notification API, after the user grants permission
+ * - Skips contacts that turned reminders off
+ * - Remembers who was already notified today, so reloads don't repeat them
+ */
+
+const NOTIFIED_KEY = 'tria-birthday-notified';
+
+/**
+ * Current notification permission
+ * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const getNotificationPermission = () =>
+  typeof window !== 'undefined' && 'Notification' in window
+    ? window.Notification.permission
+    : 'unsupported';
+
+/**
+ * Ask the user for permission to show notifications
+ * @returns {Promise<string>} The resulting permission
+ */
+export const requestNotificationPermission = async () => {
+  if (getNotificationPermission() === 'unsupported') return 'unsupported';
+  try {
+    return await window.Notification.requestPermission();
+  } catch (error) {
+    console.error('Failed to request notification permission:', error);
+    return getNotificationPermission();
+  }
+};
+
+/**
+ * Local date as "YYYY-MM-DD"
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Read the ids already notified on a given day
+ * @param {string} dateKey
+ * @returns {Set} Contact ids (empty on a new day)
+ */
+const readNotified = (dateKey) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(NOTIFIED_KEY) || 'null');
+    return new Set(stored && stored.date === dateKey ? stored.ids : []);
+  } catch (error) {
+    console.error('Failed to read birthday reminders:', error);
+    return new Set();
+  }
+};
+
+/**
+ * Remember the ids notified on a given day
+ * @param {string} dateKey
+ * @param {Set} ids
+ */
+const writeNotified = (dateKey, ids) => {
+  try {
+    window.localStorage.setItem(NOTIFIED_KEY, JSON.stringify({ date: dateKey, ids: [...ids] }));
+  } catch (error) {
+    console.error('Failed to store birthday reminders:', error);
+  }
+};
+
+/**
+ * Show a notification for each birthday today that hasn't had one yet
+ * Does nothing until notification permission is granted
+ * @param {Array} contacts - All contacts
+ * @param {Date} today - Defaults to now
+ * @returns {number} Number of notifications shown
+ */
+export const notifyTodaysBirthdays = (contacts, today = new Date()) => {
+  if (getNotificationPermission() !== 'granted') return 0;
+
+  const dateKey = toDateKey(today);
+  const notified = readNotified(dateKey);
+  const due = getUpcomingBirthdays(contacts, 0, today)
+    .map(({ contact }) => contact)
+    .filter(contact => wantsBirthdayReminder(contact) && !notified.has(contact.id));
+
+  due.forEach((contact) => {
+    const age = getAgeTurning(contact.birthday, today);
+    try {
+      new window.Notification(`🎂 ${contact.name}'s birthday is today`, {
+        body: age > 0 ? `${contact.name} turns ${age} today.` : 'Send them your wishes!',
+        tag: `birthday-${contact.id}-${dateKey}`
+      });
+      notified.add(contact.id);
+    } catch (error) {
+      // Some browsers (Android Chrome) only allow notifications from a service worker
+      console.error('Failed to show birthday notification:', error);
+    }
+  });
+
+  if (due.length > 0) writeNotified(dateKey, notified);
+  return due.filter(contact => notified.has(contact.id)).length;
+};
+
+/**
+ * Milliseconds from now until the next local midnight
+ * @param {Date} now - Defaults to now
+ * @returns {number}
+ */
+export const getMsUntilMidnight = (now = new Date()) =>
+  new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1) - now;
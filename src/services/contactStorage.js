@@ -0,0 +1,285 @@
+import contactsData from '../data/contacts.json';
+import { parsePhoneNumber } from '../utils/phone';
+import { getContactEmails, getContactPhones } from '../utils/labeledValues';
+import { normalizeTags } from '../utils/tags';
+import { getContactAddresses, withPrimaryAddress } from '../utils/address';
+import { getCustomValues } from '../utils/customFields';
+
+/**
+ * Contact Storage
+ *
+ * localStorage-backed repository for the contact list.
+ * - Loads stored contacts, seeding from contacts.json on first run
+ * - Writes through every mutation (add, update, remove), batches in one write
+ * - Stores a schema version so older data can be migrated on load
+ */
+
+const STORAGE_KEY = 'tria-contacts';
+
+// Scratch key used to test whether there is room for more data
+const PROBE_KEY = 'tria-storage-probe';
+
+// Bump this and add a migration below whenever the stored contact shape changes
+export const SCHEMA_VERSION = 6;
+
+/**
+ * Migrations keyed by the version they upgrade TO.
+ * Each receives the contacts array stored at the previous version
+ * and returns the contacts array for its own version.
+ */
+const MIGRATIONS = {
+  // Version 1: initial schema, contacts seeded with isFavorite
+  1: (contacts) => contacts.map(contact => ({
+    ...contact,
+    isFavorite: Boolean(contact.isFavorite)
+  })),
+
+  // Version 2: canonical E.164 phone stored alongside the display format
+  2: (contacts) => contacts.map(contact => {
+    const parsed = parsePhoneNumber(contact.phone);
+    return {
+      ...contact,
+      phone: parsed.valid ? parsed.display : contact.phone,
+      phoneE164: parsed.valid ? parsed.e164 : null
+    };
+  }),
+
+  // Version 3: labeled lists of emails and phones; the flat fields mirror the primary
+  3: (contacts) => contacts.map(contact => ({
+    ...contact,
+    emails: getContactEmails(contact),
+    phones: getContactPhones(contact)
+  })),
+
+  // Version 4: user-defined tags
+  4: (contacts) => contacts.map(contact => ({
+    ...contact,
+    tags: normalizeTags(contact.tags)
+  })),
+
+  // Version 5: labeled, structured addresses parsed from the address text;
+  // address and location mirror the primary one
+  5: (contacts) => contacts.map(contact => withPrimaryAddress({
+    ...contact,
+    addresses: getContactAddresses(contact)
+  })),
+
+  // Version 6: values of user-defined custom fields, keyed by field
+  6: (contacts) => contacts.map(contact => ({
+    ...contact,
+    customFields: getCustomValues(contact)
+  }))
+};
+
+/**
+ * Run every migration between the stored version and the current one
+ * @param {Array} contacts - Stored contacts
+ * @param {number} fromVersion - Version the contacts were stored at
+ * @returns {Array} Contacts in the current schema
+ */
+const migrate = (contacts, fromVersion) => {
+  let migrated = contacts;
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    if (MIGRATIONS[version]) {
+      migrated = MIGRATIONS[version](migrated);
+    }
+  }
+  return migrated;
+};
+
+/**
+ * Bring contacts that carry no schema version (e.g. from a server) to the
+ * current schema; fields already in the current shape are kept as they are
+ * @param {Array} contacts - Contacts in any stored shape
+ * @returns {Array} Contacts in the current schema
+ */
+export const normalizeContacts = (contacts) =>
+  migrate(contacts.filter(contact => contact && typeof contact === 'object'), 0);
+
+/**
+ * Build the initial contact list from the bundled JSON seed
+ * @returns {Array} Seed contacts in the current schema
+ */
+const seedContacts = () => migrate(contactsData, 0);
+
+// Last stored text parsed, and its payload, so reads between writes don't parse again
+let lastRead = { raw: null, payload: null };
+
+/**
+ * Read the raw stored payload
+ * @returns {Object|null} Stored { version, contacts } or null if nothing usable is stored
+ */
+const readPayload = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    if (raw === lastRead.raw) return lastRead.payload;
+
+    const parsed = JSON.parse(raw);
+    const payload = parsed && Array.isArray(parsed.contacts) ? parsed : null;
+    lastRead = { raw, payload };
+    return payload;
+  } catch (error) {
+    console.error('Failed to read stored contacts:', error);
+    return null;
+  }
+};
+
+/**
+ * Whether a storage error means the browser's quota is used up
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isQuotaError = (error) =>
+  Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+
+/**
+ * Persist the full contact list at the current schema version
+ * Throws when the browser refuses the write, so the caller can roll back;
+ * the error has quotaExceeded set when storage is full
+ * @param {Array} contacts - Contacts to store
+ */
+const writeContacts = (contacts) => {
+  try {
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: SCHEMA_VERSION, contacts })
+    );
+  } catch (error) {
+    console.error('Failed to store contacts:', error);
+    const writeError = new Error(isQuotaError(error) ? 'Browser storage is full' : 'Could not write to browser storage');
+    writeError.quotaExceeded = isQuotaError(error);
+    throw writeError;
+  }
+};
+
+/**
+ * Whether storage has room for a piece of data on top of what is stored
+ * (photos are stored inline, so a large one can use up the quota)
+ * @param {string} text - Data to be added, e.g. a photo data URL
+ * @returns {Promise<boolean>}
+ */
+export const hasRoomFor = async (text) => {
+  try {
+    window.localStorage.setItem(PROBE_KEY, text);
+    return true;
+  } catch (error) {
+    if (!isQuotaError(error)) console.error('Failed to check storage space:', error);
+    return false;
+  } finally {
+    window.localStorage.removeItem(PROBE_KEY);
+  }
+};
+
+/**
+ * Persist contacts that are already on screen (seed, migrated data)
+ * A failed write is only logged: the contacts still load and are written
+ * again with the next change
+ * @param {Array} contacts - Contacts to store
+ */
+const tryWriteContacts = (contacts) => {
+  try {
+    writeContacts(contacts);
+  } catch (error) {
+    // Logged by writeContacts
+  }
+};
+
+/**
+ * Load contacts from storage
+ * Falls back to the bundled seed on first run and migrates older data
+ * @returns {Promise<Array>} Stored contacts
+ */
+export const loadContacts = async () => {
+  const payload = readPayload();
+
+  if (!payload) {
+    const seeded = seedContacts();
+    tryWriteContacts(seeded);
+    return seeded;
+  }
+
+  const version = Number(payload.version) || 0;
+  if (version < SCHEMA_VERSION) {
+    const migrated = migrate(payload.contacts, version);
+    tryWriteContacts(migrated);
+    return migrated;
+  }
+
+  return payload.contacts;
+};
+
+/**
+ * Read the stored contacts without seeding
+ * @returns {Array} Stored contacts (empty if nothing is stored)
+ */
+const readContacts = () => {
+  const payload = readPayload();
+  return payload ? migrate(payload.contacts, Number(payload.version) || 0) : [];
+};
+
+/**
+ * Stored contacts for a lookup, such as the duplicate check of the contact form
+ * Unlike loadContacts it never seeds or writes
+ * @returns {Promise<Array>} Stored contacts (empty if nothing is stored)
+ */
+export const readStoredContacts = async () => readContacts();
+
+/**
+ * Add a contact to storage
+ * @param {Object} contact - Contact to add
+ * @returns {Promise<Object>} The stored contact
+ */
+export const addContact = async (contact) => {
+  writeContacts([contact, ...readContacts()]);
+  return contact;
+};
+
+/**
+ * Add several contacts to storage in a single write
+ * @param {Array} contacts - Contacts to add
+ * @returns {Promise<Array>} The stored contacts
+ */
+export const addContacts = async (contacts) => {
+  writeContacts([...contacts, ...readContacts()]);
+  return contacts;
+};
+
+/**
+ * Replace a stored contact with the same id
+ * @param {Object} contact - Updated contact
+ * @returns {Promise<Object>} The stored contact
+ */
+export const updateContact = async (contact) => {
+  writeContacts(readContacts().map(c => (c.id === contact.id ? contact : c)));
+  return contact;
+};
+
+/**
+ * Replace several stored contacts in a single write
+ * @param {Array} contacts - Updated contacts
+ * @returns {Promise<Array>} The stored contacts
+ */
+export const updateContacts = async (contacts) => {
+  const updates = new Map(contacts.map(contact => [contact.id, contact]));
+  writeContacts(readContacts().map(c => updates.get(c.id) || c));
+  return contacts;
+};
+
+/**
+ * Remove a contact from storage
+ * @param {number} contactId - ID of the contact to remove
+ */
+export const removeContact = async (contactId) => {
+  writeContacts(readContacts().filter(c => c.id !== contactId));
+};
+
+/**
+ * Remove several contacts from storage in a single write
+ * @param {Array} contactIds - IDs of the contacts to remove
+ */
+export const removeContacts = async (contactIds) => {
+  const ids = new Set(contactIds);
+  writeContacts(readContacts().filter(c => !ids.has(c.id)));
+};
+
@@ -0,0 +1,39 @@
+import { normalizeFieldDefinitions } from '../utils/customFields';
+
+/**
+ * Custom Field Storage
+ *
+ * Keeps the user's custom field definitions in localStorage, next to the
+ * contacts (the values themselves are stored on each contact).
+ */
+
+const STORAGE_KEY = 'tria-custom-fields';
+
+// Bump this when the stored definition shape changes
+const VERSION = 1;
+
+/**
+ * Read the stored definitions
+ * @returns {Array} Definitions in display order (empty if none are stored)
+ */
+export const loadCustomFields = () => {
+  try {
+    const payload = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    return normalizeFieldDefinitions(payload && payload.fields);
+  } catch (error) {
+    console.error('Failed to read custom fields:', error);
+    return [];
+  }
+};
+
+/**
+ * Store the definitions
+ * @param {Array} fields - Definitions in display order
+ */
+export const saveCustomFields = (fields) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, fields }));
+  } catch (error) {
+    console.error('Failed to store custom fields:', error);
+  }
+};
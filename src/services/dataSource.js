@@ -0,0 +1,35 @@
+import { createLocalDataSource } from './dataSources/localDataSource';
+import { createRestDataSource } from './dataSources/restDataSource';
+
+/**
+ * Data Source
+ *
+ * Picks where contacts are loaded from and saved to:
+ * - REST adapter when REACT_APP_CONTACTS_API_URL is set
+ * - Local adapter (localStorage + contacts.json seed) otherwise
+ *
+ * Every adapter exposes the same async API:
+ *   list() -> contacts, create(contact), createMany(contacts),
+ *   update(contact), updateMany(contacts), remove(id), removeMany(ids),
+ *   findMatching({ emails, phones }) -> contacts sharing any of them,
+ *   hasRoomFor(text) -> whether there is space to store text (e.g. a photo)
+ * A batch method that saved only some contacts rejects with an error whose
+ * failedIds lists the ones that weren't saved (and, for createMany and
+ * updateMany, whose results holds the saved copies); without failedIds
+ * nothing was saved.
+ */
+const createDataSource = () => {
+  const apiUrl = process.env.REACT_APP_CONTACTS_API_URL;
+
+  if (apiUrl) {
+    return createRestDataSource(apiUrl, {
+      timeout: Number(process.env.REACT_APP_CONTACTS_API_TIMEOUT) || undefined
+    });
+  }
+
+  return createLocalDataSource();
+};
+
+const dataSource = createDataSource();
+
+export default dataSource;
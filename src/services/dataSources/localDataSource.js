@@ -0,0 +1,34 @@
+import * as contactStorage from '../contactStorage';
+import { findContactsSharingDetails } from '../../utils/duplicates';
+
+/**
+ * Local Data Source
+ *
+ * Keeps contacts in the browser (localStorage), seeded from the
+ * bundled contacts.json on first run. Used when no API is configured.
+ *
+ * @returns {Object} Data source with list, create, createMany, update,
+ *                   updateMany, remove, removeMany, findMatching and hasRoomFor
+ */
+export const createLocalDataSource = () => ({
+  name: 'local',
+
+  list: () => contactStorage.loadContacts(),
+
+  create: (contact) => contactStorage.addContact(contact),
+
+  createMany: (contacts) => contactStorage.addContacts(contacts),
+
+  update: (contact) => contactStorage.updateContact(contact),
+
+  updateMany: (contacts) => contactStorage.updateContacts(contacts),
+
+  remove: (contactId) => contactStorage.removeContact(contactId),
+
+  removeMany: (contactIds) => contactStorage.removeContacts(contactIds),
+
+  findMatching: async (details) => findContactsSharingDetails(await contactStorage.readStoredContacts(), details),
+
+  // localStorage has a small quota (about 5 MB) shared by every contact and photo
+  hasRoomFor: (text) => contactStorage.hasRoomFor(text)
+});
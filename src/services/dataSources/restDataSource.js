@@ -0,0 +1,161 @@
+import { normalizeContacts } from '../contactStorage';
+import { findContactsSharingDetails } from '../../utils/duplicates';
+
+/**
+ * REST Data Source
+ *
+ * Talks to a contacts service exposing:
+ * - GET    /contacts       -> Array of contacts
+ * - POST   /contacts       -> Created contact
+ * - PUT    /contacts/:id   -> Updated contact
+ * - DELETE /contacts/:id
+ * Batch methods send one request per contact and wait for all of them; when
+ * some fail they reject with the ids that weren't saved (see settleEach), so
+ * the caller rolls back only those. Contacts the service returns
+ * go through the same migrations as stored ones, so older or partial records
+ * get the current shape (emails, phones, addresses, tags, ...).
+ *
+ * @param {string} baseUrl - Service base URL (e.g. http://localhost:4000)
+ * @param {Object} options - { timeout } in milliseconds
+ * @returns {Object} Data source with list, create, createMany, update,
+ *                   updateMany, remove, removeMany, findMatching and hasRoomFor
+ */
+export const createRestDataSource = (baseUrl, { timeout = 10000 } = {}) => {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * Perform a JSON request against the service
+   * Throws an Error carrying the HTTP status when the response is not ok
+   * @param {string} path - Path relative to the base URL
+   * @param {Object} init - fetch options
+   * @returns {Promise<*>} Parsed JSON body (null for empty responses)
+   */
+  const request = async (path, init = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(`${root}${path}`, {
+        ...init,
+        headers: { 'Content-Type': 'application/json', ...init.headers },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Request timed out');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  /**
+   * Contact as returned by the service, in the current schema
+   * @param {*} saved - Response body
+   * @param {Object} sent - Contact that was sent, used when the body isn't a contact
+   * @returns {Object}
+   */
+  const toContact = (saved, sent) =>
+    normalizeContacts([saved && typeof saved === 'object' ? saved : sent])[0];
+
+  /**
+   * Create a single contact
+   * @param {Object} contact
+   * @returns {Promise<Object>} Created contact (server copy when returned)
+   */
+  const create = async (contact) => {
+    const created = await request('/contacts', {
+      method: 'POST',
+      body: JSON.stringify(contact)
+    });
+    return toContact(created, contact);
+  };
+
+  /**
+   * Replace a single contact
+   * @param {Object} contact
+   * @returns {Promise<Object>} Updated contact (server copy when returned)
+   */
+  const update = async (contact) => {
+    const updated = await request(`/contacts/${encodeURIComponent(contact.id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(contact)
+    });
+    return toContact(updated, contact);
+  };
+
+  /**
+   * Delete a single contact
+   * @param {number} contactId
+   */
+  const remove = async (contactId) => {
+    await request(`/contacts/${encodeURIComponent(contactId)}`, { method: 'DELETE' });
+  };
+
+  /**
+   * Send one request per item and wait until every request has settled
+   * Rejects when any failed, with the first failure's message; the error's
+   * failedIds lists the items the service doesn't have, and its results the
+   * outcome of each item (null where it failed)
+   * @param {Array} items - Contacts or ids
+   * @param {function} send - Request for one item
+   * @param {function} getId - Id of an item
+   * @returns {Promise<Array>} Result of each request
+   */
+  const settleEach = async (items, send, getId) => {
+    const outcomes = await Promise.allSettled(items.map(send));
+    const failed = outcomes.filter(outcome => outcome.status === 'rejected');
+    if (failed.length === 0) return outcomes.map(outcome => outcome.value);
+
+    const error = new Error(failed[0].reason.message);
+    error.failedIds = items.filter((item, index) => outcomes[index].status === 'rejected').map(getId);
+    error.results = outcomes.map(outcome => (outcome.status === 'fulfilled' ? outcome.value : null));
+    throw error;
+  };
+
+  /**
+   * Fetch every contact
+   * @returns {Promise<Array>}
+   */
+  const list = async () => {
+    const contacts = await request('/contacts');
+    return Array.isArray(contacts) ? normalizeContacts(contacts) : [];
+  };
+
+  return {
+    name: 'rest',
+
+    list,
+
+    create,
+
+    // The API has no bulk endpoint, so send each contact
+    createMany: (contacts) => settleEach(contacts, create, contact => contact.id),
+
+    update,
+
+    updateMany: (contacts) => settleEach(contacts, update, contact => contact.id),
+
+    remove,
+
+    removeMany: async (contactIds) => {
+      await settleEach(contactIds, remove, contactId => contactId);
+    },
+
+    // The API has no search endpoint, so match against the full list
+    findMatching: async (details) => findContactsSharingDetails(await list(), details),
+
+    // The service has no storage limit the app knows of
+    hasRoomFor: async () => true
+  };
+};
@@ -0,0 +1,41 @@
+import { createRestDataSource } from './restDataSource';
+
+/**
+ * fetch stand-in: DELETE, POST and PUT requests for the listed ids fail with a 500
+ */
+const createFetch = (failingIds = []) => jest.fn(async (url, { method, body }) => {
+  const id = method === 'POST' ? JSON.parse(body).id : Number(url.split('/').pop());
+  if (failingIds.includes(id)) return { ok: false, status: 500 };
+  return { ok: true, text: async () => (method === 'DELETE' ? '' : body) };
+});
+
+const contact = (id) => ({ id, name: `Contact ${id}`, emails: [], phones: [] });
+
+describe('REST data source batches', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('sends every contact and returns each saved copy', async () => {
+    global.fetch = createFetch();
+    const saved = await createRestDataSource('http://api.test').createMany([contact(1), contact(2)]);
+    expect(saved.map(c => c.id)).toEqual([1, 2]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test.each([
+    ['createMany', [contact(1), contact(2), contact(3)], [1, null, 3]],
+    ['updateMany', [contact(1), contact(2), contact(3)], [1, null, 3]],
+    ['removeMany', [1, 2, 3], [undefined, null, undefined]]
+  ])('%s waits for every request and reports only the ones that failed', async (method, items, results) => {
+    global.fetch = createFetch([2]);
+    const error = await createRestDataSource('http://api.test')[method](items).catch(e => e);
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(error.message).toBe('Request failed with status 500');
+    expect(error.failedIds).toEqual([2]);
+    expect(error.results.map(result => result && result.id)).toEqual(results);
+  });
+});
@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jest-axe adds toHaveNoViolations, which fails on any accessibility rule axe reports
+// learn more: https://github.com/nickcolley/jest-axe
+import { toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
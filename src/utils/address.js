@@ -0,0 +1,263 @@
+import { findCountry, findUsState, resolvePlace, US_STATES } from './geocode';
+import { ensureSinglePrimary, getPrimaryEntry } from './labeledValues';
+
+/**
+ * Address
+ *
+ * Contacts hold a list of labeled, structured addresses:
+ *   addresses: [{ label, street, locality, city, state, postalCode, country, primary }]
+ * Exactly one address is primary. Like the primary email and phone, it is
+ * mirrored into flat fields: address (the formatted primary address) and
+ * location ("City, Country", derived from it so the two can't disagree).
+ * Contacts without an address city or country keep a free-text location.
+ */
+
+export const ADDRESS_LABELS = ['home', 'work', 'other'];
+
+// Address parts in display order
+export const ADDRESS_FIELDS = [
+  { key: 'street', label: 'Street' },
+  { key: 'locality', label: 'Area / Locality' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'postalCode', label: 'Postal code' },
+  { key: 'country', label: 'Country' }
+];
+
+// Indian states and union territories, to recognise the state in a pasted address
+const INDIAN_STATES = [
+  'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh', 'Goa', 'Gujarat',
+  'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka', 'Kerala', 'Madhya Pradesh',
+  'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Odisha', 'Punjab', 'Rajasthan',
+  'Sikkim', 'Tamil Nadu', 'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal',
+  'Andaman and Nicobar Islands', 'Chandigarh', 'Dadra and Nagar Haveli and Daman and Diu',
+  'Delhi', 'Jammu and Kashmir', 'Ladakh', 'Lakshadweep', 'Puducherry'
+];
+
+const STATE_COUNTRIES = new Map([
+  ...INDIAN_STATES.map(state => [state.toLowerCase(), 'India']),
+  ...Object.entries(US_STATES).flatMap(([code, name]) => [[code.toLowerCase(), 'USA'], [name.toLowerCase(), 'USA']])
+]);
+
+// A postal code at the end of an address part: Indian PIN ("400001", "400 001"),
+// US ZIP ("94102", "94102-1234") or UK postcode ("SW1A 1AA")
+const TRAILING_POSTAL_CODE = /(?:^|\s)(\d{3}\s?\d{3}|\d{5}(?:-\d{4})?|[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2})$/i;
+
+/**
+ * An address with every part empty
+ * @param {string} label
+ * @returns {Object}
+ */
+export const createEmptyAddress = (label = ADDRESS_LABELS[0]) => ({
+  label,
+  street: '',
+  locality: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: '',
+  primary: false
+});
+
+/**
+ * Whether every part of an address is blank
+ * @param {Object} address
+ * @returns {boolean}
+ */
+export const isEmptyAddress = (address) =>
+  ADDRESS_FIELDS.every(({ key }) => !String(address[key] || '').trim());
+
+/**
+ * Country an address is in, using the state when the country is blank
+ * @param {Object} address
+ * @returns {string|null} Gazetteer country name ("India", "USA"), or null
+ */
+const getAddressCountry = (address) =>
+  findCountry(address.country) || STATE_COUNTRIES.get(String(address.state || '').trim().toLowerCase()) || null;
+
+/**
+ * Name of the postal code field for an address's country
+ * @param {Object} address
+ * @returns {string} "PIN code", "ZIP code" or "Postal code"
+ */
+export const getPostalCodeLabel = (address) => {
+  const country = getAddressCountry(address);
+  if (country === 'India') return 'PIN code';
+  if (country === 'USA') return 'ZIP code';
+  return 'Postal code';
+};
+
+/**
+ * Check a postal code against the format of the address's country
+ * Indian PIN codes are six digits and never start with 0; US ZIP codes are
+ * five digits, optionally ZIP+4. Other countries aren't checked.
+ * @param {Object} address
+ * @returns {string|null} Error message, or null when the code is valid or blank
+ */
+export const validatePostalCode = (address) => {
+  const postalCode = String(address.postalCode || '').trim();
+  if (!postalCode) return null;
+
+  const country = getAddressCountry(address);
+  if (country === 'India' && !/^[1-9]\d{2}\s?\d{3}$/.test(postalCode)) {
+    return 'PIN code must be 6 digits and cannot start with 0';
+  }
+  if (country === 'USA' && !/^\d{5}(-\d{4})?$/.test(postalCode)) {
+    return 'ZIP code must be 5 digits (or ZIP+4)';
+  }
+  return null;
+};
+
+/**
+ * Normalize a valid postal code for storage ("400 001" → "400001", "sw1a 1aa" → "SW1A 1AA")
+ */
+const normalizePostalCode = (postalCode) => {
+  const trimmed = String(postalCode || '').trim().toUpperCase();
+  return /^\d{3}\s\d{3}$/.test(trimmed) ? trimmed.replace(/\s/, '') : trimmed;
+};
+
+/**
+ * Whether the last part of an address is a US state code that is also a
+ * country code ("IN", "CA", "DE"): it is when the city before it is in the
+ * USA, or, for a city the gazetteer doesn't know, when it has a US ZIP code
+ * @param {Array} parts - Address parts
+ * @returns {boolean}
+ */
+const endsWithUsStateCode = (parts) => {
+  const last = parts[parts.length - 1];
+  if (!findUsState(last)) return false;
+  const place = resolvePlace(parts.slice(-2).join(', '));
+  if (place) return place.country !== findCountry(last);
+  return /(?:^|\s)\d{5}(?:-\d{4})?$/.test(parts[parts.length - 2]);
+};
+
+/**
+ * Split a free-text address into parts
+ * Reads from the end: country, then postal code (with the state or city in
+ * front of it), state, city; the first part left is the street and anything
+ * between is the locality. A location ("Mumbai, India") fills a missing city
+ * or country; a state fills a missing country first.
+ *   "123 Marine Drive, Mumbai 400001" + "Mumbai, India"
+ *   → { street: "123 Marine Drive", city: "Mumbai", postalCode: "400001", country: "India" }
+ * @param {string} text - Address, one part per comma or line
+ * @param {string} location - Optional "City, Country" location
+ * @returns {Object} Address parts (see createEmptyAddress), unlabelled
+ */
+export const parseAddress = (text, location = '') => {
+  const parts = String(text || '').split(/[,\n]+/).map(part => part.trim()).filter(Boolean);
+  const address = createEmptyAddress();
+
+  // Country names have no digits; a code like "IN" is India unless it is the state of a US address
+  const last = parts[parts.length - 1];
+  if (parts.length > 1 && !/\d/.test(last) && findCountry(last) && !endsWithUsStateCode(parts)) {
+    address.country = parts.pop();
+  }
+
+  // Postal code, in the last part that ends with one
+  for (let i = parts.length - 1; i >= (parts.length === 1 ? 0 : 1); i--) {
+    const match = TRAILING_POSTAL_CODE.exec(parts[i]);
+    if (!match) continue;
+    address.postalCode = normalizePostalCode(match[1]);
+    const rest = parts[i].slice(0, match.index).trim();
+    if (rest && STATE_COUNTRIES.has(rest.toLowerCase()) && parts.length > 1) {
+      address.state = rest;
+      parts.splice(i, 1);
+    } else if (rest) {
+      parts[i] = rest;
+    } else {
+      parts.splice(i, 1);
+    }
+    break;
+  }
+
+  if (!address.state && parts.length > 1 && STATE_COUNTRIES.has(parts[parts.length - 1].toLowerCase())) {
+    address.state = parts.pop();
+  }
+  if (parts.length > 1 || (parts.length === 1 && resolvePlace(parts[0]))) {
+    address.city = parts.pop();
+  }
+  address.street = parts.shift() || '';
+  address.locality = parts.join(', ');
+
+  if (!address.country && address.state) {
+    address.country = STATE_COUNTRIES.get(address.state.toLowerCase());
+  }
+
+  // Fill gaps from the location ("New Delhi 110001" with "Delhi, India" is in India)
+  const locationParts = String(location || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (locationParts.length > 0) {
+    const locationCountry = locationParts.length > 1 ? locationParts[locationParts.length - 1] : '';
+    if (!address.city) address.city = locationParts.length > 1 ? locationParts.slice(0, -1).join(', ') : locationParts[0];
+    if (!address.country) address.country = locationCountry;
+  }
+  return address;
+};
+
+/**
+ * Format an address on one line
+ *   "123 Marine Drive, Colaba, Mumbai, Maharashtra 400001, India"
+ * @param {Object} address
+ * @returns {string}
+ */
+export const formatAddress = (address) => {
+  const region = [address.state, address.postalCode].map(part => String(part || '').trim()).filter(Boolean).join(' ');
+  const city = String(address.city || '').trim();
+  const cityParts = address.state ? [city, region] : [[city, region].filter(Boolean).join(' ')];
+  return [address.street, address.locality, ...cityParts, address.country]
+    .map(part => String(part || '').trim())
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * "City, Country" for an address
+ * @param {Object} address
+ * @returns {string|null} null when the address has neither
+ */
+export const deriveLocation = (address) => {
+  const location = [address.city, address.country].map(part => String(part || '').trim()).filter(Boolean).join(', ');
+  return location || null;
+};
+
+/**
+ * All addresses of a contact
+ * Falls back to parsing the flat address field for records without a list
+ * @param {Object} contact
+ * @returns {Array} [{ label, street, locality, city, state, postalCode, country, primary }]
+ */
+export const getContactAddresses = (contact) => {
+  if (Array.isArray(contact.addresses)) return contact.addresses;
+  if (!contact.address || !String(contact.address).trim()) return [];
+  return [{ ...parseAddress(contact.address, contact.location), primary: true }];
+};
+
+/**
+ * Drop blank addresses, trim every part and keep one primary
+ * @param {Array} addresses - Addresses as entered
+ * @returns {Array}
+ */
+export const normalizeAddresses = (addresses) => ensureSinglePrimary(
+  addresses
+    .filter(address => !isEmptyAddress(address))
+    .map(address => ({
+      label: ADDRESS_LABELS.includes(address.label) ? address.label : ADDRESS_LABELS[0],
+      ...Object.fromEntries(ADDRESS_FIELDS.map(({ key }) => [key, String(address[key] || '').trim()])),
+      postalCode: normalizePostalCode(address.postalCode),
+      primary: Boolean(address.primary)
+    }))
+);
+
+/**
+ * Copy the primary address into the flat address field, and derive the
+ * location from it when it has a city or country
+ * @param {Object} contact - Contact with an addresses list
+ * @returns {Object} Contact with address and location set
+ */
+export const withPrimaryAddress = (contact) => {
+  const primary = getPrimaryEntry(contact.addresses);
+  return {
+    ...contact,
+    address: primary ? formatAddress(primary) || null : null,
+    location: (primary && deriveLocation(primary)) || contact.location || null
+  };
+};
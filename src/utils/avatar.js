@@ -0,0 +1,70 @@
+/**
+ * Avatar
+ *
+ * Fallback avatars for contacts without a photo: two-letter initials on a
+ * gradient picked from the contact id, so a contact keeps its colour across
+ * renames, reloads and devices.
+ */
+
+// Gradients dark enough for white initials (listed in full so Tailwind keeps them)
+export const AVATAR_GRADIENTS = [
+  'from-cyan-600 to-blue-700',
+  'from-purple-600 to-indigo-700',
+  'from-pink-600 to-rose-700',
+  'from-emerald-600 to-teal-700',
+  'from-orange-600 to-red-700',
+  'from-amber-600 to-orange-700',
+  'from-sky-600 to-cyan-700',
+  'from-fuchsia-600 to-purple-700',
+  'from-lime-700 to-green-700',
+  'from-violet-600 to-fuchsia-700'
+];
+
+/**
+ * First letter of a word, skipping leading punctuation ("(Ravi)" → "R")
+ * @param {string} word
+ * @returns {string}
+ */
+const firstLetter = (word) => {
+  const match = word.match(/[\p{L}\p{N}]/u);
+  return match ? match[0] : '';
+};
+
+/**
+ * Two-letter initials for a name
+ * First and last word ("Aarav Kumar Sharma" → "AS"); a single word gives
+ * its first two letters ("Madonna" → "MA")
+ * @param {string} name
+ * @returns {string} Uppercase initials, or "?" when the name has no letters
+ */
+export const getInitials = (name) => {
+  const words = String(name || '').trim().split(/\s+/).filter(word => firstLetter(word));
+  if (words.length === 0) return '?';
+  if (words.length === 1) {
+    const letters = Array.from(words[0]).filter(char => /[\p{L}\p{N}]/u.test(char));
+    return letters.slice(0, 2).join('').toUpperCase();
+  }
+  return (firstLetter(words[0]) + firstLetter(words[words.length - 1])).toUpperCase();
+};
+
+/**
+ * Deterministic 32-bit hash of a string (FNV-1a)
+ * @param {string} value
+ * @returns {number}
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Gradient classes for a contact's fallback avatar
+ * @param {number|string} id - Contact id (falls back to the name for unsaved contacts)
+ * @returns {string} Tailwind gradient classes
+ */
+export const getAvatarGradient = (id) =>
+  AVATAR_GRADIENTS[hashString(String(id ?? '')) % AVATAR_GRADIENTS.length];
@@ -0,0 +1,109 @@
+/**
+ * Birthdays
+ *
+ * Birthdays are stored as "YYYY-MM-DD" strings and read field by field,
+ * never through new Date("YYYY-MM-DD"), which parses as UTC midnight and
+ * can land on the previous day in timezones west of Greenwich.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a "YYYY-MM-DD" birthday
+ * @param {string} birthday
+ * @returns {Object|null} { year, month, day } with a 1-based month
+ */
+export const splitBirthday = (birthday) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(birthday || '');
+  if (!match) return null;
+  return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+};
+
+/**
+ * Check for a leap year
+ * @param {number} year
+ * @returns {boolean}
+ */
+export const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/**
+ * Date a birthday falls on in a given year
+ * Feb 29 birthdays are celebrated on Feb 28 in non-leap years
+ * @param {Object} parts - Result of splitBirthday
+ * @param {number} year
+ * @returns {Date} Local midnight
+ */
+export const getBirthdayInYear = (parts, year) => {
+  const day = parts.month === 2 && parts.day === 29 && !isLeapYear(year) ? 28 : parts.day;
+  return new Date(year, parts.month - 1, day);
+};
+
+/**
+ * Days from today until the next birthday (0 when it is today)
+ * @param {string} birthday - "YYYY-MM-DD"
+ * @param {Date} today - Defaults to now
+ * @returns {number|null} null when there is no valid birthday
+ */
+export const getDaysUntilBirthday = (birthday, today = new Date()) => {
+  const parts = splitBirthday(birthday);
+  if (!parts) return null;
+
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  let next = getBirthdayInYear(parts, start.getFullYear());
+  if (next < start) next = getBirthdayInYear(parts, start.getFullYear() + 1);
+  // Round to absorb daylight-saving shifts between the two midnights
+  return Math.round((next - start) / MS_PER_DAY);
+};
+
+/**
+ * Format a birthday for display without shifting it a day
+ * @param {string} birthday - "YYYY-MM-DD"
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date, or the raw value if it can't be read
+ */
+export const formatBirthday = (birthday, options = { year: 'numeric', month: 'long', day: 'numeric' }) => {
+  const parts = splitBirthday(birthday);
+  if (!parts) return birthday || '';
+  return new Date(parts.year, parts.month - 1, parts.day).toLocaleDateString('en-US', options);
+};
+
+/**
+ * Age a contact turns on their next birthday (today's, if it is today)
+ * @param {string} birthday - "YYYY-MM-DD"
+ * @param {Date} today - Defaults to now
+ * @returns {number|null}
+ */
+export const getAgeTurning = (birthday, today = new Date()) => {
+  const parts = splitBirthday(birthday);
+  const daysUntil = getDaysUntilBirthday(birthday, today);
+  if (!parts || daysUntil === null) return null;
+
+  const next = new Date(today.getFullYear(), today.getMonth(), today.getDate() + daysUntil);
+  return next.getFullYear() - parts.year;
+};
+
+/**
+ * Whether a contact wants a reminder on their birthday (on unless turned off)
+ * @param {Object} contact
+ * @returns {boolean}
+ */
+export const wantsBirthdayReminder = (contact) => contact.birthdayReminders !== false;
+
+/**
+ * Contacts with a birthday in the next few days, soonest first
+ * @param {Array} contacts
+ * @param {number} withinDays - Window length; 0 means today only
+ * @param {Date} today - Defaults to now
+ * @returns {Array} [{ contact, daysUntil, turning, date }] where date is local midnight
+ */
+export const getUpcomingBirthdays = (contacts, withinDays, today = new Date()) =>
+  contacts
+    .map(contact => ({ contact, daysUntil: getDaysUntilBirthday(contact.birthday, today) }))
+    .filter(({ daysUntil }) => daysUntil !== null && daysUntil <= withinDays)
+    .map(({ contact, daysUntil }) => ({
+      contact,
+      daysUntil,
+      turning: getAgeTurning(contact.birthday, today),
+      date: new Date(today.getFullYear(), today.getMonth(), today.getDate() + daysUntil)
+    }))
+    .sort((a, b) => a.daysUntil - b.daysUntil || a.contact.name.localeCompare(b.contact.name));
@@ -0,0 +1,216 @@
+import { getInitialValues, toRecord, validateValues } from './formEngine';
+import {
+  normalizeAddressFields,
+  normalizeEmailRows,
+  normalizePhoneRows,
+  checkEmailRowsTaken,
+  checkPhoneRowsTaken,
+  validateAddressRows,
+  validateBirthday,
+  validateEmailRows,
+  validatePhoneRows
+} from './contactValidation';
+import { EMAIL_LABELS, PHONE_LABELS, getContactEmails, getContactPhones, getPrimaryEntry, withPrimaryFields } from './labeledValues';
+import { createEmptyAddress, deriveLocation, getContactAddresses, isEmptyAddress, normalizeAddresses } from './address';
+import { getContactTags, normalizeTags } from './tags';
+import { getCustomValues, normalizeCustomValue, validateCustomValue } from './customFields';
+
+/**
+ * Contact Form Schema
+ *
+ * The contact form's fields, declared once for the add and edit forms and
+ * for file imports (see formEngine for the field shape). Rules get a context
+ * of { originalPhones, originalEmails } on top of the form values; the async
+ * checks also get { dataSource, contactId } to look for taken emails and phones.
+ * The user's custom fields follow the built-in ones, keyed 'custom.<key>'.
+ */
+
+/**
+ * Form rows for a stored list, with one empty primary row when the list is empty
+ */
+const toFormRows = (entries, labels) =>
+  entries.length > 0
+    ? entries.map(({ label, value, primary }) => ({ label, value: String(value || ''), primary: Boolean(primary) }))
+    : [{ label: labels[0], value: '', primary: true }];
+
+/**
+ * Form rows for the stored addresses, with one empty primary address when there are none
+ */
+const toAddressRows = (addresses) =>
+  addresses.length > 0
+    ? addresses.map(address => ({ ...createEmptyAddress(address.label), ...address, primary: Boolean(address.primary) }))
+    : [{ ...createEmptyAddress(), primary: true }];
+
+/**
+ * Location derived from the primary address in the form
+ * @param {Object} values - Form values
+ * @returns {string|null} null when the primary address has no city or country
+ */
+export const getDerivedLocation = (values) => {
+  const primary = getPrimaryEntry(normalizeAddresses(values.addresses || []));
+  return primary ? deriveLocation(primary) : null;
+};
+
+export const CONTACT_FORM_FIELDS = [
+  {
+    key: 'name',
+    label: 'Name',
+    type: 'text',
+    required: true,
+    placeholder: 'Enter full name',
+    fromRecord: (contact) => String(contact.name || ''),
+    toRecord: (name) => ({ name: name.trim() })
+  },
+  {
+    key: 'photo',
+    label: 'Photo',
+    type: 'photo',
+    initial: null,
+    fromRecord: (contact) => contact.photo || null,
+    toRecord: (photo) => ({ photo: photo || null })
+  },
+  {
+    key: 'emails',
+    label: 'Email',
+    type: 'labeledList',
+    required: true,
+    requiredKey: 'emails.0',
+    labelOptions: EMAIL_LABELS,
+    inputType: 'email',
+    placeholder: 'email@example.com',
+    addLabel: 'Add email',
+    initial: () => toFormRows([], EMAIL_LABELS),
+    fromRecord: (contact) => toFormRows(getContactEmails(contact), EMAIL_LABELS),
+    isEmpty: (rows) => rows.every(entry => !entry.value.trim()),
+    validate: [validateEmailRows],
+    validateAsync: checkEmailRowsTaken,
+    toRecord: (rows) => ({ emails: normalizeEmailRows(rows) })
+  },
+  {
+    key: 'phones',
+    label: 'Phone',
+    type: 'labeledList',
+    required: true,
+    requiredKey: 'phones.0',
+    labelOptions: PHONE_LABELS,
+    inputType: 'tel',
+    placeholder: '+91 98765 43210',
+    addLabel: 'Add phone',
+    hint: 'Numbers without a country code are saved as Indian (+91)',
+    initial: () => toFormRows([], PHONE_LABELS),
+    fromRecord: (contact) => toFormRows(getContactPhones(contact), PHONE_LABELS),
+    isEmpty: (rows) => rows.every(entry => !entry.value.trim()),
+    validate: [validatePhoneRows],
+    validateAsync: checkPhoneRowsTaken,
+    toRecord: (rows) => ({ phones: normalizePhoneRows(rows) })
+  },
+  {
+    key: 'addresses',
+    label: 'Address',
+    type: 'addresses',
+    initial: () => toAddressRows([]),
+    fromRecord: (contact) => toAddressRows(getContactAddresses(contact)),
+    isEmpty: (rows = []) => rows.every(isEmptyAddress),
+    validate: [validateAddressRows],
+    // Also stores the location, derived from the primary address when it can be
+    toRecord: (rows, values) => normalizeAddressFields(rows, values.location)
+  },
+  {
+    key: 'location',
+    label: 'Location',
+    type: 'text',
+    placeholder: 'City, Country',
+    derive: getDerivedLocation,
+    derivedHint: 'From the primary address',
+    fromRecord: (contact) => String(contact.location || ''),
+    // Stored with the addresses
+    toRecord: () => ({})
+  },
+  {
+    key: 'birthday',
+    label: 'Birthday',
+    type: 'date',
+    fromRecord: (contact) => String(contact.birthday || ''),
+    validate: [validateBirthday]
+  },
+  {
+    key: 'tags',
+    label: 'Tags',
+    type: 'tags',
+    initial: () => [],
+    fromRecord: (contact) => normalizeTags(getContactTags(contact)),
+    toRecord: (tags) => ({ tags: normalizeTags(tags) })
+  }
+];
+
+/**
+ * Form field for a custom field definition
+ * @param {Object} definition - See customFields
+ * @returns {Object} Field stored in the contact's customFields
+ */
+const toCustomFormField = (definition) => ({
+  key: `custom.${definition.key}`,
+  label: definition.label,
+  type: definition.type,
+  required: definition.required,
+  options: definition.options,
+  min: definition.min,
+  max: definition.max,
+  fromRecord: (contact) => String(getCustomValues(contact)[definition.key] ?? ''),
+  validate: [(value) => validateCustomValue(definition, value)],
+  toRecord: (value, values, record) => {
+    const { [definition.key]: previous, ...others } = getCustomValues(record);
+    const stored = normalizeCustomValue(definition, value);
+    return { customFields: stored ? { ...others, [definition.key]: stored } : others };
+  }
+});
+
+/**
+ * The form's fields: the built-in ones, then the custom fields
+ * @param {Array} customFields - Custom field definitions
+ * @returns {Array}
+ */
+export const getContactFormFields = (customFields = []) => [
+  ...CONTACT_FORM_FIELDS,
+  ...customFields.map(toCustomFormField)
+];
+
+/**
+ * Form values for a contact, or a blank form
+ * Also reads import rows, which may have single email/phone values or a
+ * one-line address instead of lists
+ * @param {Object} contact - Contact or import row; null for a blank form
+ * @param {Array} customFields - Custom field definitions
+ * @returns {Object}
+ */
+export const getContactFormValues = (contact = null, customFields = []) =>
+  getInitialValues(getContactFormFields(customFields), contact);
+
+/**
+ * Validate contact form values (without async checks, so taken emails and
+ * phones aren't looked for)
+ * Errors for list entries are keyed by position: 'emails.0', 'phones.1',
+ * 'addresses.0.postalCode', ...
+ * @param {Object} values - Form values
+ * @param {Object} options - { originalPhones } phones the contact already had;
+ *                           left as-is they are not re-validated;
+ *                           { customFields } custom field definitions
+ * @returns {Object} Map of field name to error message (empty when valid)
+ */
+export const validateContactForm = (values, { originalPhones = [], customFields = [] } = {}) =>
+  validateValues(getContactFormFields(customFields), values, { originalPhones });
+
+/**
+ * Contact fields to store for validated form values
+ * @param {Object} values - Form values
+ * @param {Object} base - Contact the values are written over (id, favorite, timestamps, ...);
+ *                        a new contact starts out not a favorite
+ * @param {Array} customFields - Custom field definitions
+ * @returns {Object} Contact with the primary email and phone mirrored
+ */
+export const formValuesToContact = (values, base = {}, customFields = []) =>
+  withPrimaryFields(toRecord(getContactFormFields(customFields), values, {
+    isFavorite: false,
+    ...base,
+    customFields: getCustomValues(base)
+  }));
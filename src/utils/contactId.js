@@ -0,0 +1,22 @@
+/**
+ * Contact IDs
+ *
+ * New contacts get a numeric id from the clock. Ids are never handed out
+ * twice in a session and skip ids already in the list, so contacts added in
+ * the same millisecond (an import, a quick second add) can't collide.
+ */
+
+let lastId = 0;
+
+/**
+ * Id for a new contact
+ * @param {Set|Array} takenIds - Ids already in use
+ * @returns {number}
+ */
+export const createContactId = (takenIds = []) => {
+  const taken = takenIds instanceof Set ? takenIds : new Set(takenIds);
+  let id = Math.max(Date.now(), lastId + 1);
+  while (taken.has(id)) id++;
+  lastId = id;
+  return id;
+};
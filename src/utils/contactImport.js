@@ -0,0 +1,77 @@
+import { formValuesToContact, getContactFormValues, validateContactForm } from './contactFormSchema';
+import { getPhoneKey, getContactPhoneKeys } from './phone';
+import { getPrimaryEntry } from './labeledValues';
+import { createContactId } from './contactId';
+
+/**
+ * Contact Import
+ *
+ * Shared preview and conversion steps for file imports (vCard, CSV).
+ */
+
+/**
+ * Check imported rows before they are added
+ * Runs the form validation rules and looks for phones that already exist,
+ * either in the contact list or earlier in the same file
+ * @param {Array} rows - Parsed rows with name, location, birthday, an optional photo, either
+ *                       emails/phones lists or single email/phone values, and either an
+ *                       addresses list or a one-line address, and any customFields values
+ * @param {Array} existingContacts - Current contacts
+ * @param {Array} customFields - Custom field definitions
+ * @returns {Array} Preview rows of { index, values, errors, collision, duplicateOf }
+ *   - values: form values, with the primary email and phone also in email/phone
+ *   - errors: validation errors by field (empty when valid)
+ *   - collision: existing contact sharing a phone, or null
+ *   - duplicateOf: index of an earlier row sharing a phone, or null
+ */
+export const buildImportPreview = (rows, existingContacts, customFields = []) => {
+  const existingByKey = new Map();
+  existingContacts.forEach(contact => {
+    getContactPhoneKeys(contact).forEach(key => {
+      if (!existingByKey.has(key)) existingByKey.set(key, contact);
+    });
+  });
+  const seenPhones = new Map();
+
+  return rows.map((row, index) => {
+    const values = getContactFormValues(row, customFields);
+    values.email = getPrimaryEntry(values.emails).value;
+    values.phone = getPrimaryEntry(values.phones).value;
+
+    // Collisions are reported separately, so validate without the duplicate check
+    const errors = validateContactForm(values, { customFields });
+    const phoneKeys = values.phones
+      .filter(entry => entry.value.trim())
+      .map(entry => getPhoneKey(entry.value))
+      .filter(Boolean);
+    const collisionKey = phoneKeys.find(key => existingByKey.has(key));
+    const collision = collisionKey ? existingByKey.get(collisionKey) : null;
+    const duplicateKey = phoneKeys.find(key => seenPhones.has(key));
+    const duplicateOf = duplicateKey ? seenPhones.get(duplicateKey) : null;
+    phoneKeys.forEach(key => {
+      if (!seenPhones.has(key)) seenPhones.set(key, index);
+    });
+
+    return { index, values, errors, collision, duplicateOf };
+  });
+};
+
+/**
+ * Whether a preview row can be imported without further review
+ * @param {Object} row - Preview row from buildImportPreview
+ * @returns {boolean}
+ */
+export const isCleanImportRow = (row) =>
+  Object.keys(row.errors).length === 0 && !row.collision && row.duplicateOf === null;
+
+/**
+ * Turn validated import values into new contacts
+ * @param {Array} valuesList - Values from preview rows
+ * @param {Array} customFields - Custom field definitions
+ * @param {Array} existingContacts - Contacts already in the list, whose ids are taken
+ * @returns {Array} Contacts ready to add
+ */
+export const toImportedContacts = (valuesList, customFields = [], existingContacts = []) => {
+  const takenIds = new Set(existingContacts.map(contact => contact.id));
+  return valuesList.map(values => formValuesToContact(values, { id: createContactId(takenIds) }, customFields));
+};
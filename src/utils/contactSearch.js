@@ -0,0 +1,435 @@
+import { getContactEmails, getContactPhones } from './labeledValues';
+import { getContactTags } from './tags';
+import { splitBirthday } from './birthdays';
+import { getEmailDomain, getWeekKey, hasProfileField, parseLocation } from './contactStats';
+import { geocodeContact } from './geocode';
+import { formatAddress, getContactAddresses } from './address';
+
+/**
+ * Contact Search
+ *
+ * Parses search queries and matches contacts against them.
+ *
+ * Plain words match any field (name, email, phone, location, address, birthday, tags,
+ * custom fields).
+ * Email and phone match any of the contact's emails or phones.
+ * Field filters narrow a single field:
+ *   name:aarav  email:@example.com  phone:98765  location:Mumbai
+ *   address:"Marine Drive"  birthday:march  fav:true  tag:client
+ *   country:india  domain:example.com  missing:birthday  has:photo
+ *   added:2026-w42 (ISO week)  added:2026-10 (month)  added:2026-10-19 (day)
+ *   place:"Mumbai, India" or place:mumbai (the map city a contact resolves to)
+ *   job_title:engineer (a custom field, by its key)  has:job_title
+ * Values containing spaces can be wrapped in double quotes.
+ *
+ * Matching runs on a search index (createSearchIndex) that prepares every
+ * contact's values when the contacts change, not on every keystroke.
+ */
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Query keys mapped to the field they filter
+const FIELD_ALIASES = {
+  name: 'name',
+  email: 'email',
+  mail: 'email',
+  phone: 'phone',
+  tel: 'phone',
+  location: 'location',
+  loc: 'location',
+  city: 'location',
+  address: 'address',
+  addr: 'address',
+  birthday: 'birthday',
+  bday: 'birthday',
+  tag: 'tags',
+  tags: 'tags',
+  group: 'tags',
+  fav: 'favorite',
+  favorite: 'favorite',
+  favourite: 'favorite',
+  country: 'country',
+  domain: 'domain',
+  missing: 'missing',
+  has: 'has',
+  added: 'added',
+  place: 'place'
+};
+
+// Built-in filter keys (custom field keys must not clash with them)
+export const FILTER_KEYS = Object.keys(FIELD_ALIASES);
+
+// Fields searched by plain (unprefixed) words
+export const SEARCHABLE_FIELDS = ['name', 'email', 'phone', 'location', 'address', 'birthday', 'tags', 'custom'];
+
+// Matches key:value, key:"quoted value", "quoted words" or a bare word
+const TOKEN_PATTERN = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+/**
+ * Parse a search query into free-text terms and field filters
+ * @param {string} query - Raw search input
+ * @param {Array} customFields - Custom field definitions; their keys filter
+ *                               the field as 'custom.<key>'
+ * @returns {Object} { terms: string[], filters: Array<{ field, value }> }
+ */
+export const parseSearchQuery = (query = '', customFields = []) => {
+  const terms = [];
+  const filters = [];
+  const customKeys = customFields.map(definition => definition.key);
+  const getField = (rawKey) => FIELD_ALIASES[rawKey] || (customKeys.includes(rawKey) ? `custom.${rawKey}` : undefined);
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(query)) !== null) {
+    const [, quotedKey, quotedValue, key, value, quotedTerm, word] = match;
+    const rawKey = (quotedKey || key || '').toLowerCase();
+    const field = getField(rawKey);
+    // An unclosed quote ("location:\"New") is still being typed, so drop it
+    const fieldValue = (quotedValue !== undefined ? quotedValue : (value || '').replace(/"/g, '')).trim();
+
+    if (field && fieldValue) {
+      filters.push({ field, value: fieldValue.toLowerCase() });
+    } else if (rawKey && !field) {
+      // Unknown key: treat the whole token as plain text
+      terms.push(match[0].replace(/"/g, '').toLowerCase());
+    } else if (word && /^\w+:"?$/.test(word) && getField(word.toLowerCase().replace(/:"?$/, ''))) {
+      // A filter key still being typed ("location:") matches everything
+      continue;
+    } else if (quotedTerm !== undefined || word) {
+      const term = (quotedTerm !== undefined ? quotedTerm : word).trim();
+      if (term) terms.push(term.toLowerCase());
+    }
+  }
+
+  return { terms, filters };
+};
+
+/**
+ * Check whether a parsed query has anything to filter on
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @returns {boolean}
+ */
+export const isEmptyQuery = (parsedQuery) =>
+  parsedQuery.terms.length === 0 && parsedQuery.filters.length === 0;
+
+/**
+ * Strip everything except digits
+ * @param {string} value
+ * @returns {string}
+ */
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text
+ * @returns {Array} Tokens
+ */
+export const tokenize = (text) =>
+  String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * Local "YYYY-MM-DD" date of a timestamp
+ */
+const toLocalDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+// Joins a contact's values into one searchable string; search values never contain it
+const SEPARATOR = '\u0000';
+
+// Prepared fields per contact object, so rebuilding the index after an edit
+// only prepares the contacts that changed (contacts are replaced, never mutated)
+const searchFieldsCache = new WeakMap();
+
+/**
+ * Field values of a contact prepared for matching
+ * @param {Object} contact
+ * @returns {Object} Lowercase name, name tokens, location, addresses (one per line),
+ *                   emails, email domains and tags; phone text and digits; birthday
+ *                   as { text, month }; custom field values, as a list and by key;
+ *                   country, map place { name, city } and added { date, week };
+ *                   and text, every value a plain word matches joined together
+ */
+const getSearchFields = (contact) => {
+  let fields = searchFieldsCache.get(contact);
+  if (!fields) {
+    const birthdayParts = splitBirthday(contact.birthday);
+    const customFields = Object.fromEntries(
+      Object.entries(contact.customFields || {})
+        .filter(([, value]) => String(value ?? '').trim())
+        .map(([key, value]) => [key, String(value).toLowerCase()])
+    );
+    const phones = getContactPhones(contact).filter(phone => phone.value);
+    const place = geocodeContact(contact);
+    const createdAt = contact.createdAt ? new Date(contact.createdAt) : null;
+    fields = {
+      name: String(contact.name || '').toLowerCase(),
+      nameTokens: tokenize(contact.name),
+      emails: getContactEmails(contact).map(email => email.value.toLowerCase()),
+      phoneText: phones.map(phone => phone.value.toLowerCase()).join(SEPARATOR),
+      phoneDigits: phones.map(phone => digitsOnly(phone.value)).join(SEPARATOR),
+      location: String(contact.location || '').toLowerCase(),
+      address: getContactAddresses(contact).map(formatAddress).join('\n').toLowerCase(),
+      birthday: birthdayParts && { text: contact.birthday, month: birthdayParts.month },
+      tags: getContactTags(contact).map(tag => tag.toLowerCase()),
+      custom: Object.values(customFields),
+      customFields,
+      place: place && { name: place.name.toLowerCase(), city: place.city.toLowerCase() },
+      added: createdAt && { date: toLocalDate(createdAt), week: getWeekKey(createdAt) }
+    };
+    fields.domains = fields.emails.map(getEmailDomain);
+    fields.country = parseLocation(fields.location).country;
+    // Birthdays match by month, so they stay out of the plain-word text
+    fields.text = [
+      fields.name, ...fields.emails, fields.phoneText, fields.location,
+      fields.address, ...fields.tags, ...fields.custom
+    ].join(SEPARATOR);
+    searchFieldsCache.set(contact, fields);
+  }
+  return fields;
+};
+
+/**
+ * Build the search index of a contact list
+ * Each contact's fields are lowercased, tokenized and resolved here, once per
+ * change of the contacts, so a keystroke only runs the query's matchers.
+ * @param {Array} contacts
+ * @returns {function} (contact) => prepared search fields; contacts outside the
+ *                     list are prepared on demand
+ */
+export const createSearchIndex = (contacts) => {
+  const fieldsByContact = new Map(contacts.map(contact => [contact, getSearchFields(contact)]));
+  return (contact) => fieldsByContact.get(contact) || getSearchFields(contact);
+};
+
+/**
+ * Phone matcher: by digits, ignoring spaces and punctuation, when the value has any
+ */
+const createPhoneMatcher = (value) => {
+  const digits = digitsOnly(value);
+  if (digits) return ({ phoneDigits }) => phoneDigits.includes(digits);
+  return ({ phoneText }) => phoneText.includes(value);
+};
+
+/**
+ * Birthday matcher for a month name ("march", "mar"), a month number
+ * ("03") or any part of the ISO date ("1995", "03-15")
+ */
+const createBirthdayMatcher = (value) => {
+  if (/^[a-z]+$/.test(value)) {
+    const month = MONTHS.findIndex(name => name.startsWith(value)) + 1;
+    if (value.length < 3 || month === 0) return () => false;
+    return ({ birthday }) => Boolean(birthday) && birthday.month === month;
+  }
+  if (/^\d{1,2}$/.test(value)) {
+    const month = Number(value);
+    return ({ birthday }) => Boolean(birthday) && birthday.month === month;
+  }
+  return ({ birthday }) => Boolean(birthday) && birthday.text.includes(value);
+};
+
+/**
+ * Favorite matcher for true/yes/1 or false/no/0
+ */
+const createFavoriteMatcher = (value) => {
+  if (['true', 'yes', '1', 'y'].includes(value)) return (fields, contact) => Boolean(contact.isFavorite);
+  if (['false', 'no', '0', 'n'].includes(value)) return (fields, contact) => !contact.isFavorite;
+  return () => false;
+};
+
+/**
+ * Matcher for missing:field or has:field ("missing:bday", "has:photo", "has:job_title")
+ * @param {string} value - Field name, alias or custom field key
+ * @param {boolean} present - true for has:, false for missing:
+ */
+const createPresenceMatcher = (value, present) => {
+  const field = FIELD_ALIASES[value] || value;
+  return (fields, contact) =>
+    (hasProfileField(contact, field) || Object.prototype.hasOwnProperty.call(fields.customFields, field)) === present;
+};
+
+/**
+ * Matcher for when a contact was added: an ISO week ("2026-w42")
+ * or the start of a local date ("2026", "2026-10", "2026-10-19")
+ * Contacts without createdAt never match
+ */
+const createAddedMatcher = (value) => {
+  if (/^\d{4}-w\d{1,2}$/.test(value)) {
+    const [year, week] = value.split('-w');
+    const weekKey = `${year}-w${week.padStart(2, '0')}`;
+    return ({ added }) => Boolean(added) && added.week === weekKey;
+  }
+  return ({ added }) => Boolean(added) && added.date.startsWith(value);
+};
+
+/**
+ * Matcher for one field and value, run on a contact's prepared fields
+ * @returns {function} (fields, contact) => boolean
+ */
+const createFieldsMatcher = (field, value) => {
+  if (field.startsWith('custom.')) {
+    const key = field.slice('custom.'.length);
+    return ({ customFields }) => (customFields[key] || '').includes(value);
+  }
+  switch (field) {
+    case 'email':
+      return ({ emails }) => emails.some(email => email.includes(value));
+    case 'phone':
+      return createPhoneMatcher(value);
+    case 'birthday':
+      return createBirthdayMatcher(value);
+    case 'tags':
+      return ({ tags }) => tags.some(tag => tag.includes(value));
+    case 'custom':
+      return ({ custom }) => custom.some(text => text.includes(value));
+    case 'favorite':
+      return createFavoriteMatcher(value);
+    case 'country':
+      return ({ country }) => country === value;
+    case 'domain': {
+      const domain = value.replace(/^@/, '');
+      return ({ domains }) => domains.includes(domain);
+    }
+    case 'missing':
+    case 'has':
+      return createPresenceMatcher(value, field === 'has');
+    case 'added':
+      return createAddedMatcher(value);
+    case 'place':
+      return ({ place }) => Boolean(place) && (place.name === value || place.city === value);
+    case 'name':
+    case 'location':
+    case 'address':
+      return (fields) => fields[field].includes(value);
+    default:
+      return (fields, contact) => String(contact[field] || '').toLowerCase().includes(value);
+  }
+};
+
+/**
+ * Matcher for a plain term, run on a contact's prepared fields
+ * One search of the joined text covers every text field; phones also match
+ * by digits and birthdays by month
+ * @returns {function} (fields) => boolean
+ */
+const createTermFieldsMatcher = (term) => {
+  const matchPhone = createPhoneMatcher(term);
+  const matchBirthday = createBirthdayMatcher(term);
+  return (fields) => fields.text.includes(term) || matchPhone(fields) || matchBirthday(fields);
+};
+
+/**
+ * Build a matcher for one field and value
+ * The value is analysed once, so the matcher is cheap to run on every contact
+ * @param {string} field - Field name (see SEARCHABLE_FIELDS, plus favorite, country,
+ *                         domain, missing, has, added, place and custom.<key>)
+ * @param {string} value - Lowercase search value
+ * @param {function} index - Search index of the contacts (see createSearchIndex)
+ * @returns {function} (contact) => boolean
+ */
+export const createFieldMatcher = (field, value, index = getSearchFields) => {
+  const match = createFieldsMatcher(field, value);
+  return (contact) => match(index(contact), contact);
+};
+
+/**
+ * Build a matcher for a plain term, which may match any searchable field
+ * @param {string} term - Lowercase search term
+ * @param {function} index - Search index of the contacts (see createSearchIndex)
+ * @returns {function} (contact) => boolean
+ */
+export const createTermMatcher = (term, index = getSearchFields) => {
+  const match = createTermFieldsMatcher(term);
+  return (contact) => match(index(contact));
+};
+
+/**
+ * Match a single field of a contact against a lowercase value
+ * @param {Object} contact - Contact to test
+ * @param {string} field - Field name (see SEARCHABLE_FIELDS, plus favorite)
+ * @param {string} value - Lowercase search value
+ * @returns {boolean}
+ */
+export const matchField = (contact, field, value) => createFieldMatcher(field, value)(contact);
+
+/**
+ * Build a matcher for a whole parsed query
+ * Every plain term must match some field and every filter must match its field
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @param {function} index - Search index of the contacts (see createSearchIndex)
+ * @returns {function} (contact) => boolean
+ */
+export const createQueryMatcher = (parsedQuery, index = getSearchFields) => {
+  const matchers = [
+    ...parsedQuery.filters.map(({ field, value }) => createFieldsMatcher(field, value)),
+    ...parsedQuery.terms.map(createTermFieldsMatcher)
+  ];
+  return (contact) => {
+    const fields = index(contact);
+    return matchers.every(match => match(fields, contact));
+  };
+};
+
+/**
+ * Check a contact against a parsed query
+ * Use createQueryMatcher when testing many contacts against the same query
+ * @param {Object} contact - Contact to test
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @returns {boolean}
+ */
+export const matchesQuery = (contact, parsedQuery) => createQueryMatcher(parsedQuery)(contact);
+
+/**
+ * Collect the values to highlight in each field of a card
+ * Plain terms highlight every field; filters only their own field
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @returns {Object} Map of field name to array of lowercase values
+ */
+export const getHighlightTerms = (parsedQuery) => {
+  const highlights = {};
+  SEARCHABLE_FIELDS.forEach(field => {
+    highlights[field] = [...parsedQuery.terms];
+  });
+  parsedQuery.filters.forEach(({ field, value }) => {
+    if (highlights[field]) highlights[field].push(value);
+  });
+  return highlights;
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a RegExp that finds any of the terms in a field's text
+ * Phone terms match digits across separators ("98765" finds "98765 43210" and "9 8765")
+ * @param {string} field - Field the text belongs to
+ * @param {Array} terms - Lowercase terms to find
+ * @returns {RegExp|null} Case-insensitive global pattern, or null if nothing to highlight
+ */
+export const buildHighlightPattern = (field, terms = []) => {
+  const sources = terms
+    .map(term => {
+      if (field === 'phone' && digitsOnly(term)) {
+        return digitsOnly(term).split('').join('\\D*');
+      }
+      return escapeRegExp(term);
+    })
+    .filter(Boolean);
+
+  if (sources.length === 0) return null;
+  // Longest first so overlapping terms prefer the bigger match
+  sources.sort((a, b) => b.length - a.length);
+  return new RegExp(`(${sources.join('|')})`, 'gi');
+};
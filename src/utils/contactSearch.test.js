@@ -0,0 +1,135 @@
+import seed from '../data/contacts.json';
+import { normalizeContacts } from '../services/contactStorage';
+import * as geocode from './geocode';
+import { createQueryMatcher, createSearchIndex, matchesQuery, parseSearchQuery } from './contactSearch';
+import { createContactScorer } from './fuzzyMatch';
+
+const CONTACT_COUNT = 20000;
+// Target per keystroke, with room for a slow or busy test machine
+const TIME_LIMIT_MS = 50;
+const TIME_MARGIN = 5;
+
+const EXACT_QUERIES = [
+  'a',
+  'mumbai',
+  'aarav sharma',
+  '98765',
+  'place:mumbai',
+  'email:@example.com fav:true',
+  'tag:client priya',
+  'added:2026-w10'
+];
+const FUZZY_QUERIES = ['arav', 'ishan iyer', 'priya mumbai', 'tag:client kavya'];
+
+// The sample contacts repeated up to 20k, each copy with its own name and id
+const contacts = normalizeContacts(Array.from({ length: CONTACT_COUNT }, (_, i) => {
+  const contact = seed[i % seed.length];
+  return {
+    ...contact,
+    id: i + 1,
+    name: `${contact.name} ${Math.floor(i / seed.length)}`,
+    tags: i % 7 ? [] : ['Client'],
+    isFavorite: i % 11 === 0,
+    createdAt: Date.UTC(2026, 0, 1) + i * 3600000
+  };
+}));
+
+/**
+ * Fastest of a few runs, in milliseconds
+ */
+const timeFastest = (run, runs = 3) => {
+  let fastest = Infinity;
+  for (let i = 0; i < runs; i++) {
+    const start = performance.now();
+    run();
+    fastest = Math.min(fastest, performance.now() - start);
+  }
+  return fastest;
+};
+
+describe('createSearchIndex', () => {
+  const contact = {
+    id: 1,
+    name: 'Aarav Sharma',
+    emails: [{ label: 'work', value: 'aarav@acme.in', primary: true }],
+    phones: [{ label: 'mobile', value: '+91 98765 43210', primary: true }],
+    location: 'Mumbai, India',
+    birthday: '1995-03-15',
+    tags: ['Client'],
+    customFields: { company: 'Acme' }
+  };
+  const index = createSearchIndex([contact]);
+  const matches = (query) => createQueryMatcher(parseSearchQuery(query, [{ key: 'company' }]), index)(contact);
+
+  test('plain words match any field', () => {
+    ['aarav', 'acme.in', 'mumbai', 'client', 'acme', '98765 432', '9876543210', 'march'].forEach(query => {
+      expect(matches(query)).toBe(true);
+    });
+    expect(matches('15')).toBe(false);
+  });
+
+  test('filters match their own field', () => {
+    expect(matches('domain:acme.in country:india place:mumbai company:acme')).toBe(true);
+    expect(matches('name:acme')).toBe(false);
+  });
+
+  test('agrees with matching without an index', () => {
+    ['sharma client', 'phone:43210', 'birthday:1995', 'tag:cli fav:false'].forEach(query => {
+      expect(matches(query)).toBe(matchesQuery(contact, parseSearchQuery(query)));
+    });
+  });
+
+  test('prepares contacts outside the list on demand', () => {
+    const other = { ...contact, id: 2, name: 'Ishaan Iyer' };
+    expect(createQueryMatcher(parseSearchQuery('ishaan'), index)(other)).toBe(true);
+  });
+});
+
+describe(`search over ${CONTACT_COUNT} contacts`, () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('prepares each contact once, not on every keystroke', () => {
+    const prepare = jest.spyOn(geocode, 'geocodeContact');
+    // Copies, so nothing is prepared yet
+    const fresh = contacts.map(contact => ({ ...contact }));
+    const index = createSearchIndex(fresh);
+    expect(prepare).toHaveBeenCalledTimes(CONTACT_COUNT);
+
+    // Type each query a character at a time, in both modes
+    [...EXACT_QUERIES, ...FUZZY_QUERIES].forEach(query => {
+      for (let length = 1; length <= query.length; length++) {
+        const parsedQuery = parseSearchQuery(query.slice(0, length));
+        fresh.filter(createQueryMatcher(parsedQuery, index));
+        fresh.map(createContactScorer(parsedQuery, index));
+      }
+    });
+    expect(prepare).toHaveBeenCalledTimes(CONTACT_COUNT);
+  });
+
+  test('rebuilding the index after an edit prepares only the edited contact', () => {
+    const index = createSearchIndex(contacts);
+    const prepare = jest.spyOn(geocode, 'geocodeContact');
+    const edited = [{ ...contacts[0], name: 'Meera Nair' }, ...contacts.slice(1)];
+
+    const rebuilt = createSearchIndex(edited);
+    expect(prepare).toHaveBeenCalledTimes(1);
+    expect(rebuilt(edited[1])).toBe(index(contacts[1]));
+    expect(createQueryMatcher(parseSearchQuery('meera'), rebuilt)(edited[0])).toBe(true);
+  });
+
+  describe('timing', () => {
+    const index = createSearchIndex(contacts);
+
+    test.each(EXACT_QUERIES)('exact "%s" filters within the time limit', (query) => {
+      const matcher = createQueryMatcher(parseSearchQuery(query), index);
+      expect(timeFastest(() => contacts.filter(matcher))).toBeLessThan(TIME_LIMIT_MS * TIME_MARGIN);
+    });
+
+    test.each(FUZZY_QUERIES)('fuzzy "%s" scores within the time limit', (query) => {
+      const score = createContactScorer(parseSearchQuery(query), index);
+      expect(timeFastest(() => contacts.map(score).filter(value => value > 0))).toBeLessThan(TIME_LIMIT_MS * TIME_MARGIN);
+    });
+  });
+});
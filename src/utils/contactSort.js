@@ -0,0 +1,153 @@
+import { getDaysUntilBirthday } from './birthdays';
+
+/**
+ * Contact Sort
+ *
+ * Sort orders and groupings for the contact grid. Each sort has a natural
+ * direction ("asc") and its reverse ("desc"); contacts missing the sort value
+ * (no birthday, no location, never edited) always go last.
+ */
+
+export const SORT_OPTIONS = [
+  { value: 'firstName', label: 'First name', directions: ['A → Z', 'Z → A'] },
+  { value: 'lastName', label: 'Last name', directions: ['A → Z', 'Z → A'] },
+  { value: 'recentlyAdded', label: 'Recently added', directions: ['Newest first', 'Oldest first'] },
+  { value: 'recentlyEdited', label: 'Recently edited', directions: ['Newest first', 'Oldest first'] },
+  { value: 'birthday', label: 'Upcoming birthday', directions: ['Soonest first', 'Latest first'] },
+  { value: 'location', label: 'Location', directions: ['A → Z', 'Z → A'] }
+];
+
+export const GROUP_OPTIONS = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'letter', label: 'First letter' },
+  { value: 'location', label: 'Location' }
+];
+
+export const DEFAULT_SORT = { sortBy: 'firstName', direction: 'asc', groupBy: 'none', favoritesFirst: true };
+
+// Section key for contacts whose name doesn't start with a letter
+export const OTHER_LETTER = '#';
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Last word of a contact's name ("Aarav Sharma" → "Sharma")
+ * @param {Object} contact
+ * @returns {string}
+ */
+export const getLastName = (contact) => {
+  const words = String(contact.name || '').trim().split(/\s+/);
+  return words[words.length - 1] || '';
+};
+
+/**
+ * Value a contact is sorted on, or null when it has none
+ * Text values compare alphabetically, numbers ascending
+ * @param {Object} contact
+ * @param {string} sortBy - One of SORT_OPTIONS
+ * @param {Date} today - Reference date for upcoming birthdays
+ * @returns {string|number|null}
+ */
+const getSortValue = (contact, sortBy, today) => {
+  switch (sortBy) {
+    case 'lastName':
+      return getLastName(contact);
+    case 'recentlyAdded':
+      // Newest first is the natural order, so negate the timestamp
+      return contact.createdAt ? -contact.createdAt : null;
+    case 'recentlyEdited':
+      return contact.updatedAt ? -contact.updatedAt : null;
+    case 'birthday':
+      return getDaysUntilBirthday(contact.birthday, today);
+    case 'location':
+      return contact.location ? contact.location.trim() : null;
+    default:
+      return String(contact.name || '');
+  }
+};
+
+/**
+ * Compare two sort values in ascending order
+ */
+const compareValues = (a, b) => (
+  typeof a === 'number' && typeof b === 'number' ? a - b : collator.compare(String(a), String(b))
+);
+
+/**
+ * Sort contacts
+ * @param {Array} contacts
+ * @param {Object} options - { sortBy, direction: 'asc'|'desc', favoritesFirst }
+ * @param {Date} today - Reference date for upcoming birthdays
+ * @returns {Array} New sorted array
+ */
+export const sortContacts = (contacts, { sortBy, direction, favoritesFirst }, today = new Date()) => {
+  const sign = direction === 'desc' ? -1 : 1;
+  return contacts
+    .map(contact => ({ contact, value: getSortValue(contact, sortBy, today) }))
+    .sort((a, b) => {
+      if (favoritesFirst && Boolean(a.contact.isFavorite) !== Boolean(b.contact.isFavorite)) {
+        return a.contact.isFavorite ? -1 : 1;
+      }
+      if (a.value === null || b.value === null) {
+        if (a.value !== b.value) return a.value === null ? 1 : -1;
+      } else {
+        const order = compareValues(a.value, b.value);
+        if (order !== 0) return sign * order;
+      }
+      return collator.compare(a.contact.name, b.contact.name);
+    })
+    .map(({ contact }) => contact);
+};
+
+/**
+ * Index letter of a contact: first letter of the name sorted on
+ * @param {Object} contact
+ * @param {string} sortBy - Last-name sorts use the last name, everything else the first
+ * @returns {string} Uppercase A–Z, or OTHER_LETTER
+ */
+export const getIndexLetter = (contact, sortBy) => {
+  const name = sortBy === 'lastName' ? getLastName(contact) : String(contact.name || '').trim();
+  // Fold accents so "Élodie" files under E
+  const letter = name.charAt(0).normalize('NFD').charAt(0).toUpperCase();
+  return /^[A-Z]$/.test(letter) ? letter : OTHER_LETTER;
+};
+
+/**
+ * Split sorted contacts into titled sections
+ * Contacts keep their sorted order within a section. With favoritesFirst,
+ * favorites get their own section at the top.
+ * @param {Array} contacts - Sorted contacts
+ * @param {Object} options - { groupBy, sortBy, direction, favoritesFirst }
+ * @returns {Array|null} [{ key, title, items }], or null when not grouping
+ */
+export const groupContacts = (contacts, { groupBy, sortBy, direction, favoritesFirst }) => {
+  if (groupBy !== 'letter' && groupBy !== 'location') return null;
+
+  const favorites = favoritesFirst ? contacts.filter(contact => contact.isFavorite) : [];
+  const rest = favoritesFirst ? contacts.filter(contact => !contact.isFavorite) : contacts;
+
+  const groups = new Map();
+  rest.forEach(contact => {
+    const key = groupBy === 'letter'
+      ? getIndexLetter(contact, sortBy)
+      : (contact.location || '').trim() || null;
+    const groupKey = key === null ? '' : key.toLowerCase();
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { key: groupKey, title: key === null ? 'No location' : key, items: [] });
+    }
+    groups.get(groupKey).items.push(contact);
+  });
+
+  // Section order follows the direction of alphabetical sorts; "#" and "No location" go last
+  const alphabetical = ['firstName', 'lastName', 'location'].includes(sortBy);
+  const sign = direction === 'desc' && alphabetical ? -1 : 1;
+  const isLast = section => section.key === '' || section.key === OTHER_LETTER;
+  const sections = [...groups.values()].sort((a, b) => {
+    if (isLast(a) !== isLast(b)) return isLast(a) ? 1 : -1;
+    return sign * collator.compare(a.title, b.title);
+  });
+
+  return favorites.length > 0
+    ? [{ key: '★', title: '★ Favorites', items: favorites }, ...sections]
+    : sections;
+};
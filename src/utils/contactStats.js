@@ -0,0 +1,226 @@
+import { getContactEmails } from './labeledValues';
+import { splitBirthday } from './birthdays';
+
+/**
+ * Contact Stats
+ *
+ * Aggregations behind the Insights charts. Every bucket carries the search
+ * filter that narrows the list to its contacts (see contactSearch), so a
+ * click on a bar can apply it:
+ *   location:"Mumbai, India"  country:india  domain:example.com
+ *   birthday:march  missing:address  added:2026-w42
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Optional fields tracked by the completeness chart
+export const PROFILE_FIELDS = [
+  { key: 'location', label: 'Location' },
+  { key: 'address', label: 'Address' },
+  { key: 'birthday', label: 'Birthday' },
+  { key: 'photo', label: 'Photo' },
+  { key: 'tags', label: 'Tags' }
+];
+
+/**
+ * Split a "City, Country" location
+ * The country is the part after the last comma; a location without a comma is a city
+ * @param {string} location
+ * @returns {Object} { city, country } (either may be null)
+ */
+export const parseLocation = (location) => {
+  const parts = String(location || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return { city: null, country: null };
+  if (parts.length === 1) return { city: parts[0], country: null };
+  return { city: parts.slice(0, -1).join(', '), country: parts[parts.length - 1] };
+};
+
+/**
+ * Domain of an email address, lowercase
+ * @param {string} email
+ * @returns {string|null}
+ */
+export const getEmailDomain = (email) => {
+  const at = String(email || '').lastIndexOf('@');
+  const domain = at === -1 ? '' : email.slice(at + 1).trim().toLowerCase();
+  return domain || null;
+};
+
+/**
+ * Whether a contact has a value for an optional field
+ * @param {Object} contact
+ * @param {string} field - A PROFILE_FIELDS key
+ * @returns {boolean}
+ */
+export const hasProfileField = (contact, field) => {
+  const value = contact[field];
+  return Array.isArray(value) ? value.length > 0 : Boolean(value && String(value).trim());
+};
+
+/**
+ * ISO 8601 week of a date ("2026-w42"); weeks start on Monday
+ * and belong to the year that holds their Thursday
+ * @param {Date} date
+ * @returns {string} Lowercase key, matching how search values are stored
+ */
+export const getWeekKey = (date) => {
+  const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.floor((thursday - yearStart) / MS_PER_DAY / 7) + 1;
+  return `${thursday.getUTCFullYear()}-w${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Count values into buckets, ignoring case, largest first
+ * @param {Array} values - One entry per occurrence (nulls are skipped)
+ * @returns {Array} [{ key, value, count }] with a lowercase key; value is the first spelling seen
+ */
+const countValues = (values) => {
+  const buckets = new Map();
+  values.forEach(value => {
+    if (!value) return;
+    const key = value.toLowerCase();
+    const bucket = buckets.get(key) || { key, value, count: 0 };
+    bucket.count += 1;
+    buckets.set(key, bucket);
+  });
+  return [...buckets.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+/**
+ * Keep the largest buckets and fold the rest into one "Other" bucket (without a filter)
+ * @param {Array} buckets - Sorted chart buckets
+ * @param {number} limit - Buckets to keep
+ * @returns {Array}
+ */
+const limitBuckets = (buckets, limit) => {
+  if (buckets.length <= limit) return buckets;
+  const rest = buckets.slice(limit);
+  return [
+    ...buckets.slice(0, limit),
+    {
+      key: 'other',
+      label: `${rest.length} more`,
+      count: rest.reduce((sum, bucket) => sum + bucket.count, 0),
+      filter: null
+    }
+  ];
+};
+
+/**
+ * Quote a filter value when it contains spaces
+ */
+const filterValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * Contacts per city
+ * @param {Array} contacts
+ * @param {number} limit - Cities to show before "N more"
+ * @returns {Array} [{ key, label, detail, count, filter }]
+ */
+export const getCityCounts = (contacts, limit = 8) =>
+  limitBuckets(
+    countValues(contacts.map(contact => contact.location && contact.location.trim())).map(({ key, value, count }) => {
+      const { city, country } = parseLocation(value);
+      return { key, label: city, detail: country, count, filter: `location:${filterValue(value)}` };
+    }),
+    limit
+  );
+
+/**
+ * Contacts per country
+ * @param {Array} contacts
+ * @param {number} limit
+ * @returns {Array} [{ key, label, count, filter }]
+ */
+export const getCountryCounts = (contacts, limit = 8) =>
+  limitBuckets(
+    countValues(contacts.map(contact => parseLocation(contact.location).country)).map(({ key, value, count }) => ({
+      key,
+      label: value,
+      count,
+      filter: `country:${filterValue(value)}`
+    })),
+    limit
+  );
+
+/**
+ * Contacts per email domain (a contact counts once per domain, across all its emails)
+ * @param {Array} contacts
+ * @param {number} limit
+ * @returns {Array} [{ key, label, count, filter }]
+ */
+export const getEmailDomainCounts = (contacts, limit = 8) =>
+  limitBuckets(
+    countValues(contacts.flatMap(contact => [
+      ...new Set(getContactEmails(contact).map(email => getEmailDomain(email.value)).filter(Boolean))
+    ])).map(({ key, count }) => ({ key, label: key, count, filter: `domain:${key}` })),
+    limit
+  );
+
+/**
+ * Birthdays per month, January to December (empty months included)
+ * @param {Array} contacts
+ * @returns {Array} [{ key, label, count, filter }]
+ */
+export const getBirthdayMonthCounts = (contacts) => {
+  const counts = new Array(12).fill(0);
+  contacts.forEach(contact => {
+    const parts = splitBirthday(contact.birthday);
+    if (parts) counts[parts.month - 1] += 1;
+  });
+  return counts.map((count, index) => {
+    const month = new Date(2000, index, 1);
+    return {
+      key: String(index + 1),
+      label: month.toLocaleDateString(undefined, { month: 'short' }),
+      count,
+      filter: `birthday:${month.toLocaleDateString('en', { month: 'long' }).toLowerCase()}`
+    };
+  });
+};
+
+/**
+ * Contacts missing each optional field
+ * @param {Array} contacts
+ * @returns {Array} [{ key, label, count, filter }] in PROFILE_FIELDS order
+ */
+export const getMissingFieldCounts = (contacts) =>
+  PROFILE_FIELDS.map(({ key, label }) => ({
+    key,
+    label,
+    count: contacts.filter(contact => !hasProfileField(contact, key)).length,
+    filter: `missing:${key}`
+  }));
+
+/**
+ * Contacts added in each of the last few weeks, oldest first
+ * Contacts created before the app recorded createdAt aren't counted
+ * @param {Array} contacts
+ * @param {number} weeks - Number of weeks, including the current one
+ * @param {Date} today
+ * @returns {Array} [{ key, label, count, filter }] labelled with each week's Monday
+ */
+export const getWeeklyAdditions = (contacts, weeks = 12, today = new Date()) => {
+  const monday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - ((today.getDay() + 6) % 7));
+  const buckets = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const start = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - i * 7);
+    const key = getWeekKey(start);
+    buckets.push({
+      key,
+      label: start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      count: 0,
+      filter: `added:${key}`
+    });
+  }
+
+  const byKey = new Map(buckets.map(bucket => [bucket.key, bucket]));
+  contacts.forEach(contact => {
+    if (!contact.createdAt) return;
+    const bucket = byKey.get(getWeekKey(new Date(contact.createdAt)));
+    if (bucket) bucket.count += 1;
+  });
+  return buckets;
+};
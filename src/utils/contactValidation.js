@@ -0,0 +1,202 @@
+import { parsePhoneNumber, getPhoneKey, getContactPhoneKeys } from './phone';
+import { ensureSinglePrimary, getContactEmails } from './labeledValues';
+import { normalizeAddresses, validatePostalCode, withPrimaryAddress } from './address';
+
+/**
+ * Contact Validation
+ *
+ * Validation rules for the contact form fields, and the steps that turn
+ * validated form values into stored contact fields. The fields themselves
+ * are declared in contactFormSchema. Whether an email or phone is already
+ * taken is an async check against the data source.
+ */
+
+/**
+ * Check a YYYY-MM-DD birthday is a real calendar date that isn't in the future
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidBirthday = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  const date = new Date(year, month - 1, day);
+  const isRealDate = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  return isRealDate && date <= new Date();
+};
+
+/**
+ * Birthday rule: a real calendar date that isn't in the future
+ * @param {string} value - YYYY-MM-DD
+ * @returns {string|null} Error message
+ */
+export const validateBirthday = (value) =>
+  (isValidBirthday(value.trim()) ? null : 'Birthday must be a valid past date (YYYY-MM-DD)');
+
+/**
+ * Email rule: every filled-in row is a valid address, listed once
+ * @param {Array} rows - Form email rows ({ label, value, primary })
+ * @returns {Object} Errors keyed 'emails.<index>'
+ */
+export const validateEmailRows = (rows) => {
+  const errors = {};
+  const emails = rows.map(entry => entry.value.trim());
+  emails.forEach((email, index) => {
+    if (!email) return;
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      errors[`emails.${index}`] = 'Email is invalid';
+    } else if (emails.slice(0, index).some(other => other.toLowerCase() === email.toLowerCase())) {
+      errors[`emails.${index}`] = 'Email is listed twice';
+    }
+  });
+  return errors;
+};
+
+/**
+ * Phone rule: every filled-in row is a valid number that isn't listed twice
+ * @param {Array} rows - Form phone rows ({ label, value, primary })
+ * @param {Object} context - { originalPhones }: phones the contact already had,
+ *                           which are not re-validated
+ * @returns {Object} Errors keyed 'phones.<index>'
+ */
+export const validatePhoneRows = (rows, { originalPhones = [] } = {}) => {
+  const errors = {};
+  const seenKeys = new Set();
+  rows.map(entry => entry.value.trim()).forEach((phone, index) => {
+    if (!phone) return;
+    const parsed = parsePhoneNumber(phone);
+    const unchanged = originalPhones.includes(phone);
+    // Check for duplicate phone numbers using the canonical form
+    const phoneKey = parsed.valid ? parsed.e164 : getPhoneKey(phone);
+
+    if (!parsed.valid && !unchanged) {
+      errors[`phones.${index}`] = parsed.error;
+    } else if (seenKeys.has(phoneKey)) {
+      errors[`phones.${index}`] = 'Phone number is listed twice';
+    }
+    seenKeys.add(phoneKey);
+  });
+  return errors;
+};
+
+/**
+ * Async email rule: no other stored contact has the address
+ * Emails the contact already had are not checked again
+ * @param {Array} rows - Form email rows ({ label, value, primary })
+ * @param {Object} context - { dataSource, contactId, originalEmails }: where contacts
+ *                           are stored, the id of the contact being edited (or added)
+ *                           and the emails it already had
+ * @returns {Promise<Object>} Errors keyed 'emails.<index>'
+ */
+export const checkEmailRowsTaken = async (rows, { dataSource, contactId, originalEmails = [] } = {}) => {
+  const emails = rows.map(entry => entry.value.trim());
+  const toCheck = emails.filter(email => email && !originalEmails.includes(email));
+  if (!dataSource || toCheck.length === 0) return {};
+
+  const matches = await dataSource.findMatching({ emails: toCheck });
+  const taken = new Set(matches
+    .filter(contact => contact.id !== contactId)
+    .flatMap(contact => getContactEmails(contact).map(email => email.value.trim().toLowerCase())));
+  const errors = {};
+  emails.forEach((email, index) => {
+    if (toCheck.includes(email) && taken.has(email.toLowerCase())) {
+      errors[`emails.${index}`] = 'Email already exists';
+    }
+  });
+  return errors;
+};
+
+/**
+ * Async phone rule: no other stored contact has the number
+ * Phones the contact already had are not checked again
+ * @param {Array} rows - Form phone rows ({ label, value, primary })
+ * @param {Object} context - { dataSource, contactId, originalPhones }: where contacts
+ *                           are stored, the id of the contact being edited (or added)
+ *                           and the phones it already had
+ * @returns {Promise<Object>} Errors keyed 'phones.<index>'
+ */
+export const checkPhoneRowsTaken = async (rows, { dataSource, contactId, originalPhones = [] } = {}) => {
+  const phones = rows.map(entry => entry.value.trim());
+  const toCheck = phones.filter(phone => phone && !originalPhones.includes(phone));
+  if (!dataSource || toCheck.length === 0) return {};
+
+  const matches = await dataSource.findMatching({ phones: toCheck });
+  const taken = new Set(matches
+    .filter(contact => contact.id !== contactId)
+    .flatMap(getContactPhoneKeys));
+  const errors = {};
+  phones.forEach((phone, index) => {
+    if (toCheck.includes(phone) && taken.has(getPhoneKey(phone))) {
+      errors[`phones.${index}`] = 'Phone number already exists';
+    }
+  });
+  return errors;
+};
+
+/**
+ * Address rule: postal codes match the format of the address's country
+ * @param {Array} rows - Form address rows
+ * @returns {Object} Errors keyed 'addresses.<index>.postalCode'
+ */
+export const validateAddressRows = (rows) => {
+  const errors = {};
+  rows.forEach((address, index) => {
+    const error = validatePostalCode(address);
+    if (error) errors[`addresses.${index}.postalCode`] = error;
+  });
+  return errors;
+};
+
+/**
+ * Phone fields to store for a validated form phone
+ * Valid numbers are stored in display format with their E.164 value
+ * @param {string} phone - Phone as entered
+ * @returns {Object} { phone, phoneE164 }
+ */
+const normalizePhoneFields = (phone) => {
+  const parsed = parsePhoneNumber(phone);
+  return parsed.valid
+    ? { phone: parsed.display, phoneE164: parsed.e164 }
+    : { phone: phone.trim(), phoneE164: null };
+};
+
+/**
+ * Stored emails for validated form rows
+ * Drops blank rows and keeps one primary entry
+ * @param {Array} rows - Form email rows ({ label, value, primary })
+ * @returns {Array}
+ */
+export const normalizeEmailRows = (rows) => ensureSinglePrimary(
+  rows
+    .filter(entry => entry.value.trim())
+    .map(entry => ({ label: entry.label, value: entry.value.trim(), primary: Boolean(entry.primary) }))
+);
+
+/**
+ * Stored phones for validated form rows
+ * Drops blank rows, keeps one primary entry and normalizes every number
+ * @param {Array} rows - Form phone rows ({ label, value, primary })
+ * @returns {Array}
+ */
+export const normalizePhoneRows = (rows) => ensureSinglePrimary(
+  rows
+    .filter(entry => entry.value.trim())
+    .map(entry => {
+      const { phone, phoneE164 } = normalizePhoneFields(entry.value);
+      return { label: entry.label, value: phone, e164: phoneE164, primary: Boolean(entry.primary) };
+    })
+);
+
+/**
+ * Stored address fields for validated form addresses
+ * Drops blank addresses and keeps one primary; its city and country become
+ * the location, otherwise the location as entered is kept
+ * @param {Array} addresses - Form address rows
+ * @param {string} location - Location as entered
+ * @returns {Object} { addresses, address, location }
+ */
+export const normalizeAddressFields = (addresses, location) => withPrimaryAddress({
+  addresses: normalizeAddresses(addresses),
+  location: String(location || '').trim() || null
+});
@@ -0,0 +1,138 @@
+import {
+  checkEmailRowsTaken,
+  checkPhoneRowsTaken,
+  validateAddressRows,
+  validateBirthday,
+  validateEmailRows,
+  validatePhoneRows
+} from './contactValidation';
+import { findContactsSharingDetails } from './duplicates';
+
+const rows = (...values) => values.map((value, index) => ({ label: 'other', value, primary: index === 0 }));
+
+// Data source over an in-memory list, recording what it was asked for
+const createDataSource = (contacts) => ({
+  calls: [],
+  async findMatching(details) {
+    this.calls.push(details);
+    return findContactsSharingDetails(contacts, details);
+  }
+});
+
+const stored = [
+  {
+    id: 1,
+    name: 'Aarav Sharma',
+    emails: [{ label: 'work', value: 'Aarav@Example.com', primary: true }],
+    phones: [{ label: 'mobile', value: '+91 98765 43210', e164: '+919876543210', primary: true }]
+  }
+];
+
+describe('validateBirthday', () => {
+  test('accepts a past calendar date', () => {
+    expect(validateBirthday('1990-02-28')).toBeNull();
+    expect(validateBirthday(' 2000-02-29 ')).toBeNull();
+  });
+
+  test('rejects impossible, future and badly formatted dates', () => {
+    const nextYear = new Date().getFullYear() + 1;
+    expect(validateBirthday('1990-02-30')).toMatch(/valid past date/);
+    expect(validateBirthday('1999-02-29')).toMatch(/valid past date/);
+    expect(validateBirthday(`${nextYear}-01-01`)).toMatch(/valid past date/);
+    expect(validateBirthday('28/02/1990')).toMatch(/valid past date/);
+  });
+});
+
+describe('validateEmailRows', () => {
+  test('skips blank rows', () => {
+    expect(validateEmailRows(rows('a@example.com', ''))).toEqual({});
+  });
+
+  test('flags invalid addresses by row', () => {
+    expect(validateEmailRows(rows('a@example.com', 'not-an-email'))).toEqual({ 'emails.1': 'Email is invalid' });
+  });
+
+  test('flags an address listed twice, ignoring case', () => {
+    expect(validateEmailRows(rows('a@example.com', 'A@Example.com'))).toEqual({ 'emails.1': 'Email is listed twice' });
+  });
+});
+
+describe('validatePhoneRows', () => {
+  test('accepts valid numbers', () => {
+    expect(validatePhoneRows(rows('9876543210', '+1 415 555 2671'))).toEqual({});
+  });
+
+  test('flags numbers that do not parse', () => {
+    expect(validatePhoneRows(rows('12345'))).toEqual({ 'phones.0': expect.any(String) });
+  });
+
+  test('flags the same number written two ways', () => {
+    expect(validatePhoneRows(rows('9876543210', '+91 98765 43210'))).toEqual({
+      'phones.1': 'Phone number is listed twice'
+    });
+  });
+
+  test('leaves numbers the contact already had as they are', () => {
+    expect(validatePhoneRows(rows('12345'), { originalPhones: ['12345'] })).toEqual({});
+  });
+});
+
+describe('validateAddressRows', () => {
+  const address = (fields) => ({ label: 'home', street: '', city: '', state: '', postalCode: '', country: '', ...fields });
+
+  test('checks Indian PIN codes and US ZIP codes', () => {
+    expect(validateAddressRows([
+      address({ country: 'India', postalCode: '400001' }),
+      address({ country: 'India', postalCode: '012345' }),
+      address({ country: 'USA', postalCode: '9410' })
+    ])).toEqual({
+      'addresses.1.postalCode': 'PIN code must be 6 digits and cannot start with 0',
+      'addresses.2.postalCode': 'ZIP code must be 5 digits (or ZIP+4)'
+    });
+  });
+
+  test('reads country codes as countries and US state codes in the state', () => {
+    expect(validateAddressRows([address({ country: 'IN', postalCode: '400001' })])).toEqual({});
+    expect(validateAddressRows([address({ state: 'IN', postalCode: '46204' })])).toEqual({});
+  });
+
+  test('leaves other countries and blank codes alone', () => {
+    expect(validateAddressRows([address({ country: 'UK', postalCode: 'SW1A 1AA' }), address({ country: 'India' })])).toEqual({});
+  });
+});
+
+describe('checkEmailRowsTaken', () => {
+  test('flags an address another stored contact has', async () => {
+    const dataSource = createDataSource(stored);
+    await expect(checkEmailRowsTaken(rows('new@example.com', 'aarav@example.com'), { dataSource, contactId: 2 }))
+      .resolves.toEqual({ 'emails.1': 'Email already exists' });
+    expect(dataSource.calls).toEqual([{ emails: ['new@example.com', 'aarav@example.com'] }]);
+  });
+
+  test('does not count the contact being edited or its own addresses', async () => {
+    const dataSource = createDataSource(stored);
+    await expect(checkEmailRowsTaken(rows('aarav@example.com'), { dataSource, contactId: 1 })).resolves.toEqual({});
+    await expect(checkEmailRowsTaken(rows('aarav@example.com'), { dataSource, contactId: 2, originalEmails: ['aarav@example.com'] }))
+      .resolves.toEqual({});
+    expect(dataSource.calls).toHaveLength(1);
+  });
+
+  test('passes without a data source', async () => {
+    await expect(checkEmailRowsTaken(rows('aarav@example.com'))).resolves.toEqual({});
+  });
+});
+
+describe('checkPhoneRowsTaken', () => {
+  test('flags a number another stored contact has, in any format', async () => {
+    const dataSource = createDataSource(stored);
+    await expect(checkPhoneRowsTaken(rows('98765 43210'), { dataSource, contactId: 2 }))
+      .resolves.toEqual({ 'phones.0': 'Phone number already exists' });
+  });
+
+  test('does not count the contact being edited or numbers it already had', async () => {
+    const dataSource = createDataSource(stored);
+    await expect(checkPhoneRowsTaken(rows('9876543210'), { dataSource, contactId: 1 })).resolves.toEqual({});
+    await expect(checkPhoneRowsTaken(rows('9876543210'), { dataSource, contactId: 2, originalPhones: ['9876543210'] }))
+      .resolves.toEqual({});
+  });
+});
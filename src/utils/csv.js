@@ -0,0 +1,281 @@
+import { EMAIL_LABELS, PHONE_LABELS, getContactEmails, getContactPhones } from './labeledValues';
+import { ADDRESS_LABELS, getContactAddresses, formatAddress, parseAddress } from './address';
+import { getContactTags, normalizeTags } from './tags';
+
+/**
+ * CSV
+ *
+ * RFC 4180 style CSV reading and writing, plus the column mapping used
+ * to turn spreadsheet rows into contacts. The primary email, phone and
+ * address have their own columns; further ones are numbered ("Email 2").
+ */
+
+// Contact fields a CSV column can be mapped to
+export const CSV_FIELDS = [
+  { key: 'name', label: 'Name', aliases: ['name', 'full name', 'fullname', 'contact', 'contact name'] },
+  { key: 'email', label: 'Email', aliases: ['email', 'e-mail', 'email address', 'mail'] },
+  { key: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'mobile', 'mobile number', 'tel', 'telephone', 'cell'] },
+  { key: 'location', label: 'Location', aliases: ['location', 'city', 'place'] },
+  { key: 'address', label: 'Address', aliases: ['address', 'street address', 'full address'] },
+  { key: 'birthday', label: 'Birthday', aliases: ['birthday', 'birth date', 'birthdate', 'date of birth', 'dob'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'labels', 'categories', 'groups'] }
+];
+
+// Fields with numbered columns for their extra entries: the contact list they
+// fill on import and its labels (the primary gets the first, extras the last)
+const LIST_FIELDS = [
+  { key: 'email', label: 'Email', listKey: 'emails', labels: EMAIL_LABELS },
+  { key: 'phone', label: 'Phone', listKey: 'phones', labels: PHONE_LABELS },
+  { key: 'address', label: 'Address', listKey: 'addresses', labels: ADDRESS_LABELS }
+];
+
+/**
+ * Numbered field for an extra entry ("Email 2" is keyed email2)
+ */
+const getExtraField = ({ key, label }, number) => ({
+  key: `${key}${number}`,
+  label: `${label} ${number}`,
+  aliases: [`${label.toLowerCase()} ${number}`, `${key}${number}`],
+  list: key,
+  number
+});
+
+/**
+ * Highest numbered column of each list field in a header row
+ * @param {Array} headers - Header cells
+ * @returns {Object} Map of list field key to count (at least 2, so "Email 2" can always be mapped)
+ */
+const countListColumns = (headers) => {
+  const counts = Object.fromEntries(LIST_FIELDS.map(({ key }) => [key, 2]));
+  headers.forEach(header => {
+    const match = /^(email|phone|address)\s*(\d+)$/.exec(String(header).trim().toLowerCase().replace(/[_.]/g, ' '));
+    if (match) counts[match[1]] = Math.max(counts[match[1]], Number(match[2]));
+  });
+  return counts;
+};
+
+/**
+ * Fields a CSV column can be mapped to, including the custom fields
+ * Each email, phone and address column is followed by its numbered ones,
+ * as many as the header row has. Custom fields are keyed 'custom.<key>'
+ * and matched by their name or key
+ * @param {Array} customFields - Custom field definitions
+ * @param {Array} headers - Header cells of the file, if it has them
+ * @returns {Array} [{ key, label, aliases, type, list, number }]
+ */
+export const getCsvFields = (customFields = [], headers = []) => [
+  ...CSV_FIELDS.flatMap(field => {
+    const listField = LIST_FIELDS.find(({ key }) => key === field.key);
+    if (!listField) return [field];
+    const count = countListColumns(headers)[field.key];
+    return [field, ...Array.from({ length: count - 1 }, (_, i) => getExtraField(listField, i + 2))];
+  }),
+  ...customFields.map(definition => ({
+    key: `custom.${definition.key}`,
+    label: definition.label,
+    aliases: [...new Set([definition.label.toLowerCase().replace(/[_.]/g, ' '), definition.key.replace(/_/g, ' ')])],
+    type: definition.type
+  }))
+];
+
+/**
+ * Pick the delimiter used in the first line (comma, semicolon or tab)
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ',';
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with embedded delimiters, quotes ("") and newlines
+ * @param {string} text - File contents
+ * @returns {Array} Array of rows, each an array of strings (blank lines skipped)
+ */
+export const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Quote a cell when it contains a delimiter, quote or newline
+ */
+const escapeCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows of cells as CSV
+ * @param {Array} rows - Array of arrays
+ * @returns {string}
+ */
+export const toCsv = (rows) =>
+  rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Entries with the primary one first
+ */
+const primaryFirst = (entries) => [...entries.filter(entry => entry.primary), ...entries.filter(entry => !entry.primary)];
+
+/**
+ * Extra (non-primary) email, phone and address values of a contact, as text
+ * @param {Object} contact
+ * @returns {Object} Map of list field key to values
+ */
+const getExtraValues = (contact) => ({
+  email: primaryFirst(getContactEmails(contact)).slice(1).map(entry => entry.value),
+  phone: primaryFirst(getContactPhones(contact)).slice(1).map(entry => entry.value),
+  address: primaryFirst(getContactAddresses(contact)).slice(1).map(formatAddress)
+});
+
+/**
+ * Serialize contacts as CSV with a header row
+ * Extra emails, phones and addresses get numbered columns after the
+ * built-in ones (only as many as some contact needs), then the custom fields
+ * @param {Array} contacts
+ * @param {Array} customFields - Custom field definitions
+ * @returns {string}
+ */
+export const contactsToCsv = (contacts, customFields = []) => {
+  const extras = contacts.map(getExtraValues);
+  const extraFields = LIST_FIELDS.flatMap(listField => {
+    const count = Math.max(0, ...extras.map(values => values[listField.key].length));
+    return Array.from({ length: count }, (_, i) => getExtraField(listField, i + 2));
+  });
+
+  return toCsv([
+    [
+      'Name', 'Email', 'Phone', 'Location', 'Address', 'Birthday', 'Favorite', 'Tags',
+      ...extraFields.map(field => field.label),
+      ...customFields.map(field => field.label)
+    ],
+    ...contacts.map((contact, index) => [
+      contact.name,
+      contact.email,
+      contact.phone,
+      contact.location || '',
+      contact.address || '',
+      contact.birthday || '',
+      contact.isFavorite ? 'Yes' : 'No',
+      getContactTags(contact).join(', '),
+      ...extraFields.map(field => extras[index][field.list][field.number - 2] || ''),
+      ...customFields.map(field => (contact.customFields || {})[field.key] ?? '')
+    ])
+  ]);
+};
+
+/**
+ * Guess which column holds each contact field from the header names
+ * @param {Array} headers - Header cells
+ * @param {Array} fields - Fields to map (see getCsvFields)
+ * @returns {Object} Map of field key to column index (-1 when not found)
+ */
+export const guessColumnMapping = (headers, fields = CSV_FIELDS) => {
+  const normalized = headers.map(header => String(header).trim().toLowerCase().replace(/[_.]/g, ' '));
+  const mapping = {};
+  fields.forEach(({ key, aliases }) => {
+    mapping[key] = normalized.findIndex(header => aliases.includes(header));
+  });
+  return mapping;
+};
+
+/**
+ * Normalize common spreadsheet date formats to YYYY-MM-DD
+ * Accepts 1995-03-15, 1995/03/15 and day-first 15/03/1995 or 15-03-1995
+ * @param {string} value
+ * @returns {string} Normalized date, or the trimmed input if unrecognized
+ */
+export const normalizeCsvDate = (value) => {
+  const text = String(value || '').trim();
+  let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(text);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  }
+  match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+  if (match) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  return text;
+};
+
+/**
+ * Turn CSV data rows into contact values using a column mapping
+ * When numbered columns hold extra emails, phones or addresses the row gets
+ * emails, phones or addresses lists, with the first column as the primary
+ * @param {Array} rows - Data rows (header excluded)
+ * @param {Object} mapping - Map of field key to column index (-1 for unmapped)
+ * @param {Array} fields - Fields to map (see getCsvFields)
+ * @returns {Array} Values with name, email, phone, location, address, birthday,
+ *                  tags, any emails/phones/addresses lists and customFields
+ *                  (by custom field key)
+ */
+export const applyColumnMapping = (rows, mapping, fields = CSV_FIELDS) =>
+  rows.map(row => {
+    const values = { customFields: {} };
+    const extras = Object.fromEntries(LIST_FIELDS.map(({ key }) => [key, []]));
+    fields.forEach(({ key, type, list }) => {
+      const index = mapping[key];
+      const cell = index >= 0 && index < row.length ? row[index].trim() : '';
+      if (key.startsWith('custom.')) {
+        if (cell) values.customFields[key.slice('custom.'.length)] = type === 'date' ? normalizeCsvDate(cell) : cell;
+      } else if (list) {
+        if (cell) extras[list].push(cell);
+      } else {
+        values[key] = cell;
+      }
+    });
+    values.birthday = normalizeCsvDate(values.birthday);
+    values.tags = normalizeTags(String(values.tags || '').split(/[,;]/));
+
+    LIST_FIELDS.forEach(({ key, listKey, labels }) => {
+      if (extras[key].length === 0) return;
+      values[listKey] = [values[key], ...extras[key]].filter(Boolean).map((text, i) => ({
+        ...(key === 'address' ? parseAddress(text, i === 0 ? values.location : '') : { value: text }),
+        label: i === 0 ? labels[0] : labels[labels.length - 1],
+        primary: i === 0
+      }));
+    });
+    return values;
+  });
@@ -0,0 +1,241 @@
+import { FILTER_KEYS } from './contactSearch';
+
+/**
+ * Custom Fields
+ *
+ * User-defined contact fields (company, job title, employee ID, ...).
+ * A definition is:
+ *   { key, label, type, required, options, min, max, pattern, patternMessage }
+ * - key: lowercase id made from the label ("job_title"); also the search filter
+ *   key (job_title:engineer) and the vCard property (X-TRIA-JOB-TITLE)
+ * - options: choices of a select field
+ * - min/max: bounds of a number field
+ * - pattern/patternMessage: regular expression a text field must match
+ * Values live on the contact as customFields: { [key]: string }.
+ */
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'textarea', label: 'Multi-line text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'url', label: 'URL' },
+  { value: 'select', label: 'Choice list' }
+];
+
+// Keys custom fields can't take: contact properties and the built-in search filters
+const RESERVED_KEYS = new Set([
+  ...FILTER_KEYS,
+  'id', 'emails', 'phones', 'addresses', 'photo', 'custom', 'customfields', 'createdat', 'updatedat', 'isfavorite'
+]);
+
+/**
+ * Key for a new field, unique among the existing keys
+ * @param {string} label
+ * @param {Array} existingKeys
+ * @returns {string} e.g. "job_title", "notes_2"
+ */
+export const createFieldKey = (label, existingKeys = []) => {
+  const base = String(label || '')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[_\d]+|_+$/g, '') || 'field';
+  const taken = new Set(existingKeys);
+  let key = RESERVED_KEYS.has(base) ? `${base}_field` : base;
+  for (let n = 2; taken.has(key); n++) {
+    key = `${base}_${n}`;
+  }
+  return key;
+};
+
+/**
+ * A new definition with defaults
+ * @param {Array} existingKeys - Keys already in use
+ * @returns {Object}
+ */
+export const createFieldDefinition = (existingKeys = []) => ({
+  key: createFieldKey('field', existingKeys),
+  label: '',
+  type: 'text',
+  required: false,
+  options: [],
+  min: '',
+  max: '',
+  pattern: '',
+  patternMessage: ''
+});
+
+/**
+ * Clean up stored or edited definitions: known types only, valid keys,
+ * no repeated keys, trimmed labels and options
+ * @param {Array} definitions
+ * @returns {Array}
+ */
+export const normalizeFieldDefinitions = (definitions) => {
+  if (!Array.isArray(definitions)) return [];
+  const keys = [];
+  return definitions
+    .filter(definition => definition && String(definition.label || '').trim())
+    .map(definition => {
+      const validKey = /^[a-z][a-z0-9_]*$/.test(definition.key) && !keys.includes(definition.key) && !RESERVED_KEYS.has(definition.key);
+      const key = validKey ? definition.key : createFieldKey(definition.label, keys);
+      keys.push(key);
+      const type = CUSTOM_FIELD_TYPES.some(option => option.value === definition.type) ? definition.type : 'text';
+      return {
+        key,
+        label: String(definition.label).trim(),
+        type,
+        required: Boolean(definition.required),
+        options: type === 'select'
+          ? [...new Set((definition.options || []).map(option => String(option).trim()).filter(Boolean))]
+          : [],
+        min: type === 'number' ? String(definition.min ?? '').trim() : '',
+        max: type === 'number' ? String(definition.max ?? '').trim() : '',
+        pattern: type === 'text' ? String(definition.pattern || '').trim() : '',
+        patternMessage: type === 'text' ? String(definition.patternMessage || '').trim() : ''
+      };
+    });
+};
+
+/**
+ * Check definitions before they are saved
+ * @param {Array} definitions - Definitions as edited
+ * @returns {Object} Errors keyed '<index>.<setting>' (empty when valid)
+ */
+export const validateFieldDefinitions = (definitions) => {
+  const errors = {};
+  const labels = definitions.map(definition => String(definition.label || '').trim().toLowerCase());
+  definitions.forEach((definition, index) => {
+    if (!labels[index]) {
+      errors[`${index}.label`] = 'Name is required';
+    } else if (labels.indexOf(labels[index]) !== index) {
+      errors[`${index}.label`] = 'Another field has this name';
+    }
+    if (definition.type === 'select' && !(definition.options || []).some(option => String(option).trim())) {
+      errors[`${index}.options`] = 'Add at least one choice';
+    }
+    if (definition.type === 'number') {
+      const [min, max] = [definition.min, definition.max].map(value => String(value ?? '').trim());
+      if (min && !Number.isFinite(Number(min))) errors[`${index}.min`] = 'Minimum must be a number';
+      if (max && !Number.isFinite(Number(max))) errors[`${index}.max`] = 'Maximum must be a number';
+      if (min && max && Number(min) > Number(max)) errors[`${index}.max`] = 'Maximum is below the minimum';
+    }
+    if (definition.type === 'text' && definition.pattern) {
+      try {
+        RegExp(definition.pattern);
+      } catch (error) {
+        errors[`${index}.pattern`] = 'Pattern is not a valid regular expression';
+      }
+    }
+  });
+  return errors;
+};
+
+/**
+ * Whether a date is a real YYYY-MM-DD calendar date
+ */
+const isCalendarDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getFullYear() === Number(match[1]) && date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]);
+};
+
+/**
+ * Link for a URL value, adding https:// when it has no scheme
+ * @param {string} value
+ * @returns {string|null} null when it isn't a web address
+ */
+export const toHref = (value) => {
+  const text = String(value || '').trim();
+  try {
+    const url = new URL(/^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`);
+    return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.') ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a filled-in value against its field's type and settings
+ * @param {Object} definition
+ * @param {string} value - Non-blank value
+ * @returns {string|null} Error message
+ */
+export const validateCustomValue = (definition, value) => {
+  const text = String(value).trim();
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(text);
+      if (!Number.isFinite(number)) return `${definition.label} must be a number`;
+      if (definition.min !== '' && number < Number(definition.min)) return `${definition.label} must be at least ${definition.min}`;
+      if (definition.max !== '' && number > Number(definition.max)) return `${definition.label} must be at most ${definition.max}`;
+      return null;
+    }
+    case 'date':
+      return isCalendarDate(text) ? null : `${definition.label} must be a valid date (YYYY-MM-DD)`;
+    case 'url':
+      return toHref(text) ? null : `${definition.label} must be a web address`;
+    case 'select':
+      return definition.options.includes(text) ? null : `${definition.label} must be one of the choices`;
+    case 'text':
+      if (definition.pattern && !new RegExp(`^(?:${definition.pattern})$`).test(text)) {
+        return definition.patternMessage || `${definition.label} is not in the expected format`;
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Value to store for a valid entry (numbers in plain form, text trimmed)
+ * @param {Object} definition
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeCustomValue = (definition, value) => {
+  const text = String(value ?? '').trim();
+  if (definition.type === 'number' && text && Number.isFinite(Number(text))) return String(Number(text));
+  return definition.type === 'textarea' ? String(value ?? '').replace(/\s+$/, '').replace(/^\s*\n/, '') : text;
+};
+
+/**
+ * Custom values of a contact
+ * @param {Object} contact
+ * @returns {Object} Map of field key to value
+ */
+export const getCustomValues = (contact) =>
+  (contact.customFields && typeof contact.customFields === 'object' && !Array.isArray(contact.customFields)
+    ? contact.customFields
+    : {});
+
+/**
+ * Display text for a stored value
+ * @param {Object} definition
+ * @param {string} value
+ * @returns {string}
+ */
+export const formatCustomValue = (definition, value) => {
+  if (definition.type === 'date' && isCalendarDate(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+  return String(value);
+};
+
+/**
+ * Filled-in custom fields of a contact, in the order the fields are defined
+ * Values of fields that are no longer defined are left out
+ * @param {Object} contact
+ * @param {Array} definitions
+ * @returns {Array} [{ definition, value }]
+ */
+export const getCustomFieldEntries = (contact, definitions) => {
+  const values = getCustomValues(contact);
+  return definitions
+    .filter(definition => String(values[definition.key] ?? '').trim())
+    .map(definition => ({ definition, value: String(values[definition.key]) }));
+};
@@ -0,0 +1,279 @@
+import { getPhoneKey, getContactPhoneKeys } from './phone';
+import { getContactEmails, getContactPhones, ensureSinglePrimary, withPrimaryFields } from './labeledValues';
+import { levenshtein, phoneticKey } from './fuzzyMatch';
+import { tokenize } from './contactSearch';
+import { getContactTags, normalizeTags } from './tags';
+import { formatAddress, getContactAddresses, withPrimaryAddress } from './address';
+import { getCustomValues } from './customFields';
+
+/**
+ * Duplicate Detection
+ *
+ * Clusters contacts that look like the same person:
+ * - a shared email (case-insensitive)
+ * - a shared normalized phone number
+ * - similar name (spelling variants such as Aarav Sharma / Arav Sharma)
+ * and merges a cluster into a single record.
+ */
+
+// Minimum name similarity (0-1) for two names to count as duplicates
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+// Fields the merge dialog lets the user pick a winner for
+// (the location has no row: it follows the primary address)
+export const MERGE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Primary email' },
+  { key: 'phone', label: 'Primary phone' },
+  { key: 'address', label: 'Primary address' },
+  { key: 'birthday', label: 'Birthday' },
+  { key: 'photo', label: 'Photo' },
+  { key: 'isFavorite', label: 'Favorite' }
+];
+
+/**
+ * Similarity between two name words
+ * Stricter than search scoring: prefixes don't count ("Ram" is not "Ramesh")
+ * @param {string} a - Lowercase word
+ * @param {string} b - Lowercase word
+ * @returns {number} 1 identical, 0.9 same sound, 0.8 one or two typos, else 0
+ */
+const wordSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (phoneticKey(a) === phoneticKey(b)) return 0.9;
+
+  const shorter = Math.min(a.length, b.length);
+  const allowed = shorter <= 4 ? 0 : shorter <= 7 ? 1 : 2;
+  if (allowed === 0 || Math.abs(a.length - b.length) > allowed) return 0;
+  return levenshtein(a, b) <= allowed ? 0.8 : 0;
+};
+
+/**
+ * Similarity between two full names
+ * Names need the same number of words and every word must closely match
+ * @param {string} nameA
+ * @param {string} nameB
+ * @returns {number} 0 to 1
+ */
+export const nameSimilarity = (nameA, nameB) => {
+  const tokensA = tokenize(nameA);
+  const tokensB = tokenize(nameB);
+  if (tokensA.length === 0 || tokensA.length !== tokensB.length) return 0;
+
+  let total = 0;
+  for (const token of tokensA) {
+    const best = Math.max(...tokensB.map(other => wordSimilarity(token, other)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / tokensA.length;
+};
+
+/**
+ * Minimal union-find over array indexes
+ */
+const createUnionFind = (size) => {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[rootB] = rootA;
+  };
+  return { find, union };
+};
+
+/**
+ * Group contact indexes by their keys, ignoring empty keys
+ * A contact with several keys (e.g. phones) joins several groups
+ * @returns {Map} key -> array of indexes
+ */
+const groupBy = (contacts, getKeys) => {
+  const groups = new Map();
+  contacts.forEach((contact, index) => {
+    new Set(getKeys(contact)).forEach(key => {
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    });
+  });
+  return groups;
+};
+
+/**
+ * Find clusters of likely duplicate contacts
+ * @param {Array} contacts - All contacts
+ * @returns {Array} Clusters of { contacts, reasons } where reasons lists
+ *                  'email', 'phone' and/or 'name'; largest clusters first
+ */
+export const findDuplicateClusters = (contacts) => {
+  const { find, union } = createUnionFind(contacts.length);
+  const reasons = new Map();
+
+  const link = (a, b, reason) => {
+    union(a, b);
+    const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+    if (!reasons.has(key)) reasons.set(key, new Set());
+    reasons.get(key).add(reason);
+  };
+
+  const linkGroups = (groups, reason) => {
+    groups.forEach(indexes => {
+      for (let i = 1; i < indexes.length; i++) link(indexes[0], indexes[i], reason);
+    });
+  };
+
+  linkGroups(groupBy(contacts, c => getContactEmails(c).map(email => email.value.trim().toLowerCase())), 'email');
+  linkGroups(groupBy(contacts, getContactPhoneKeys), 'phone');
+
+  // Only compare names that share a phonetic first or last word
+  const nameBlocks = new Map();
+  contacts.forEach((contact, index) => {
+    const tokens = tokenize(contact.name);
+    if (tokens.length === 0) return;
+    [`f:${phoneticKey(tokens[0])}`, `l:${phoneticKey(tokens[tokens.length - 1])}`].forEach(key => {
+      if (!nameBlocks.has(key)) nameBlocks.set(key, []);
+      nameBlocks.get(key).push(index);
+    });
+  });
+
+  const compared = new Set();
+  nameBlocks.forEach(indexes => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const pair = `${indexes[i]}:${indexes[j]}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+        if (nameSimilarity(contacts[indexes[i]].name, contacts[indexes[j]].name) >= NAME_SIMILARITY_THRESHOLD) {
+          link(indexes[i], indexes[j], 'name');
+        }
+      }
+    }
+  });
+
+  // Collect clusters by root
+  const clusters = new Map();
+  contacts.forEach((contact, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, { indexes: [], reasons: new Set() });
+    clusters.get(root).indexes.push(index);
+  });
+  reasons.forEach((pairReasons, pair) => {
+    const root = find(Number(pair.split(':')[0]));
+    pairReasons.forEach(reason => clusters.get(root).reasons.add(reason));
+  });
+
+  return [...clusters.values()]
+    .filter(cluster => cluster.indexes.length > 1)
+    .map(cluster => ({
+      contacts: cluster.indexes.map(index => contacts[index]),
+      reasons: [...cluster.reasons]
+    }))
+    .sort((a, b) => b.contacts.length - a.contacts.length);
+};
+
+/**
+ * Contacts that share an email address or a phone number with the given ones
+ * Emails compare case-insensitively, phones by their canonical key
+ * @param {Array} contacts - Contacts to search
+ * @param {Object} details - { emails, phones } values to look for
+ * @returns {Array} Matching contacts
+ */
+export const findContactsSharingDetails = (contacts, { emails = [], phones = [] } = {}) => {
+  const emailKeys = new Set(emails.map(email => email.trim().toLowerCase()).filter(Boolean));
+  const phoneKeys = new Set(phones.map(getPhoneKey).filter(Boolean));
+  return contacts.filter(contact =>
+    getContactEmails(contact).some(email => emailKeys.has(email.value.trim().toLowerCase())) ||
+    getContactPhoneKeys(contact).some(key => phoneKeys.has(key))
+  );
+};
+
+/**
+ * Combine labeled values from several contacts, dropping repeats
+ * The winning contact's primary entry stays primary
+ * @param {Array} lists - One list per contact, winner first
+ * @param {function} getKey - Key that identifies a repeated value
+ * @returns {Array}
+ */
+const combineLabeled = (lists, getKey) => {
+  const seen = new Set();
+  const combined = [];
+  lists.forEach((entries, listIndex) => {
+    entries.forEach(entry => {
+      const key = getKey(entry);
+      if (seen.has(key)) return;
+      seen.add(key);
+      combined.push({ ...entry, primary: listIndex === 0 && Boolean(entry.primary) });
+    });
+  });
+  return ensureSinglePrimary(combined);
+};
+
+/**
+ * Merge a cluster of contacts into one record
+ * Every email, phone, address and tag is kept; the winners decide which ones are primary
+ * Each custom field takes the first contact's value, or the next one that has it
+ * @param {Array} contacts - Contacts being merged (the first one keeps its id)
+ * @param {Object} winners - Map of field key to the id of the contact whose value wins
+ * @returns {Object} { merged, removedIds }
+ */
+export const mergeContacts = (contacts, winners = {}) => {
+  const [primary] = contacts;
+  const merged = { ...primary };
+  const getSource = (key) => contacts.find(c => c.id === winners[key]) || primary;
+
+  MERGE_FIELDS.forEach(({ key }) => {
+    merged[key] = getSource(key)[key];
+  });
+
+  // Winner's lists first so its primary entries stay primary
+  const ordered = (key) => [getSource(key), ...contacts.filter(c => c !== getSource(key))];
+  merged.emails = combineLabeled(
+    ordered('email').map(getContactEmails),
+    email => email.value.trim().toLowerCase()
+  );
+  merged.phones = combineLabeled(
+    ordered('phone').map(getContactPhones),
+    phone => phone.e164 || getPhoneKey(phone.value)
+  );
+  merged.addresses = combineLabeled(
+    ordered('address').map(getContactAddresses),
+    address => formatAddress(address).toLowerCase()
+  );
+  // Derived from the primary address below; kept from the address winner
+  // (or the next contact with one) when that address has no city or country
+  merged.location = ordered('address').map(c => c.location).find(Boolean) || null;
+
+  merged.tags = normalizeTags(contacts.flatMap(getContactTags));
+  merged.customFields = contacts
+    .map(getCustomValues)
+    .reduceRight((combined, values) => ({ ...combined, ...values }), {});
+
+  return {
+    merged: withPrimaryAddress(withPrimaryFields(merged)),
+    removedIds: contacts.filter(c => c.id !== primary.id).map(c => c.id)
+  };
+};
+
+/**
+ * Default winners for a cluster: the first non-empty value of each field,
+ * and favorite if any of the contacts is a favorite
+ * @param {Array} contacts - Contacts being merged
+ * @returns {Object} Map of field key to contact id
+ */
+export const getDefaultWinners = (contacts) => {
+  const winners = {};
+  MERGE_FIELDS.forEach(({ key }) => {
+    const source = key === 'isFavorite'
+      ? contacts.find(c => c.isFavorite)
+      : contacts.find(c => c[key]);
+    winners[key] = (source || contacts[0]).id;
+  });
+  return winners;
+};
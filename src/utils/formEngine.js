@@ -0,0 +1,195 @@
+/**
+ * Form Engine
+ *
+ * Schema-driven form state: fields are declared once and the initial values,
+ * validation and the record saved from the form all come from the schema.
+ * A field is:
+ *   {
+ *     key,            // Value key in the form (and usually in the record)
+ *     label,          // Shown above the input and in the required message
+ *     type,           // Input the form renders ('text', 'date', ...)
+ *     required,       // Blank values fail with requiredMessage
+ *     initial,        // Blank value, or a function returning one
+ *     fromRecord,     // (record) => form value, when editing
+ *     isEmpty,        // (value) => boolean, for values that aren't plain strings
+ *     validate,       // [(value, context) => error], run in order
+ *     validateAsync,  // Optional (value, context) => Promise<error>, run once the rules pass
+ *     toRecord        // (value, values, record) => fields to store over the record built so far
+ *   }
+ * An error is a message for the field, an object of messages keyed by part
+ * ('emails.1', 'addresses.0.postalCode') or null. The first error for a key wins.
+ * Async checks that are started again before they finish are cancelled (see
+ * createAsyncChecks); a check that fails to run doesn't block the form.
+ */
+
+/**
+ * Whether a value counts as not filled in
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isBlank = (value) => {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === null || value === undefined || String(value).trim() === '';
+};
+
+/**
+ * Form values for a schema
+ * @param {Array} fields - Field definitions
+ * @param {Object} record - Record being edited, or null for a blank form
+ * @returns {Object} Map of field key to value
+ */
+export const getInitialValues = (fields, record = null) => Object.fromEntries(fields.map(field => {
+  if (record && field.fromRecord) return [field.key, field.fromRecord(record)];
+  if (record) return [field.key, record[field.key] ?? ''];
+  return [field.key, typeof field.initial === 'function' ? field.initial() : field.initial ?? ''];
+}));
+
+/**
+ * Add a rule's result to the errors, keeping earlier messages
+ */
+const addErrors = (errors, key, result) => {
+  if (!result) return errors;
+  const entries = typeof result === 'string' ? [[key, result]] : Object.entries(result);
+  entries.forEach(([errorKey, message]) => {
+    if (message && !errors[errorKey]) errors[errorKey] = message;
+  });
+  return errors;
+};
+
+/**
+ * Whether a field's value is blank
+ */
+const isFieldEmpty = (field, value) => (field.isEmpty ? field.isEmpty(value) : isBlank(value));
+
+/**
+ * Run a field's required check and rules
+ * Blank optional fields skip the rules
+ * @param {Object} field - Field definition
+ * @param {Object} values - All form values (rules can compare fields)
+ * @param {Object} context - Extra data for the rules (e.g. other records)
+ * @returns {Object} Map of error key to message (empty when valid)
+ */
+export const validateField = (field, values, context = {}) => {
+  const value = values[field.key];
+  if (isFieldEmpty(field, value)) {
+    return field.required
+      ? { [field.requiredKey || field.key]: field.requiredMessage || `${field.label} is required` }
+      : {};
+  }
+  return (field.validate || []).reduce(
+    (errors, rule) => addErrors(errors, field.key, rule(value, { ...context, values, field })),
+    {}
+  );
+};
+
+/**
+ * Validate every field without the async checks
+ * @param {Array} fields
+ * @param {Object} values
+ * @param {Object} context
+ * @returns {Object} Map of error key to message (empty when valid)
+ */
+export const validateValues = (fields, values, context = {}) =>
+  Object.assign({}, ...fields.map(field => validateField(field, values, context)));
+
+/**
+ * Run a field's rules, then its async check when the rules pass
+ * An async check that throws is logged and counts as passed
+ * @returns {Promise<Object>} Map of error key to message
+ */
+export const validateFieldAsync = async (field, values, context = {}) => {
+  const errors = validateField(field, values, context);
+  const value = values[field.key];
+  if (Object.keys(errors).length > 0 || !field.validateAsync || isFieldEmpty(field, value)) {
+    return errors;
+  }
+  try {
+    const result = await field.validateAsync(value, { ...context, values, field });
+    return addErrors({}, field.key, result);
+  } catch (error) {
+    if (!(context.signal && context.signal.aborted)) console.error(`Could not check ${field.label}:`, error);
+    return {};
+  }
+};
+
+/**
+ * Validate every field, including the async checks
+ * @returns {Promise<Object>} Map of error key to message
+ */
+export const validateValuesAsync = async (fields, values, context = {}) => {
+  const results = await Promise.all(fields.map(field => validateFieldAsync(field, values, context)));
+  return Object.assign({}, ...results);
+};
+
+/**
+ * Field checks where only the latest check of each field counts
+ * Starting a check aborts the field's previous one: its validateAsync sees
+ * context.signal fire and its promise resolves to null right away, without
+ * waiting for the data source to answer. cancel() aborts the checks of one field, or of every field.
+ * @returns {Object} { check(field, values, context) -> Promise<Object|null>, cancel(fieldKey) }
+ */
+export const createAsyncChecks = () => {
+  const controllers = new Map();
+
+  const cancel = (fieldKey) => {
+    const keys = fieldKey === undefined ? [...controllers.keys()] : [fieldKey];
+    keys.forEach(key => {
+      if (controllers.has(key)) controllers.get(key).abort();
+      controllers.delete(key);
+    });
+  };
+
+  const check = async (field, values, context = {}) => {
+    cancel(field.key);
+    const controller = new AbortController();
+    controllers.set(field.key, controller);
+    const aborted = new Promise(resolve => {
+      controller.signal.addEventListener('abort', () => resolve(null), { once: true });
+    });
+    const errors = await Promise.race([
+      validateFieldAsync(field, values, { ...context, signal: controller.signal }),
+      aborted
+    ]);
+    if (controller.signal.aborted) return null;
+    controllers.delete(field.key);
+    return errors;
+  };
+
+  return { check, cancel };
+};
+
+/**
+ * Whether an error key belongs to a field ('phones' owns 'phones.1')
+ * @param {string} errorKey
+ * @param {string} fieldKey
+ * @returns {boolean}
+ */
+export const isFieldErrorKey = (errorKey, fieldKey) =>
+  errorKey === fieldKey || errorKey.startsWith(`${fieldKey}.`);
+
+/**
+ * Replace one field's errors
+ * @param {Object} errors - Current form errors
+ * @param {string} fieldKey
+ * @param {Object} fieldErrors - New errors for the field ({} clears them)
+ * @returns {Object}
+ */
+export const setFieldErrors = (errors, fieldKey, fieldErrors = {}) => ({
+  ...Object.fromEntries(Object.entries(errors).filter(([key]) => !isFieldErrorKey(key, fieldKey))),
+  ...fieldErrors
+});
+
+/**
+ * Build the record to save from validated values
+ * Fields without toRecord store their trimmed value (null when blank)
+ * @param {Array} fields
+ * @param {Object} values
+ * @param {Object} base - Record the fields are written over (e.g. the one being edited)
+ * @returns {Object}
+ */
+export const toRecord = (fields, values, base = {}) => fields.reduce((record, field) => {
+  const value = values[field.key];
+  if (field.toRecord) return { ...record, ...field.toRecord(value, values, record) };
+  const text = typeof value === 'string' ? value.trim() : value;
+  return { ...record, [field.key]: isBlank(text) ? null : text };
+}, { ...base });
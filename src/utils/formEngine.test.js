@@ -0,0 +1,137 @@
+import {
+  createAsyncChecks,
+  getInitialValues,
+  setFieldErrors,
+  toRecord,
+  validateFieldAsync,
+  validateValues,
+  validateValuesAsync
+} from './formEngine';
+
+const nameField = { key: 'name', label: 'Name', required: true, toRecord: (name) => ({ name: name.trim() }) };
+const codeField = {
+  key: 'code',
+  label: 'Code',
+  validate: [(value) => (/^\d+$/.test(value) ? null : 'Code must be digits')]
+};
+
+/**
+ * Promise resolved from outside, to control when an async check finishes
+ */
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('getInitialValues', () => {
+  test('uses the initial values for a blank form and the record when editing', () => {
+    const fields = [nameField, { key: 'tags', initial: () => [], fromRecord: (record) => record.tags || [] }];
+    expect(getInitialValues(fields)).toEqual({ name: '', tags: [] });
+    expect(getInitialValues(fields, { name: 'Ravi', tags: ['Team'] })).toEqual({ name: 'Ravi', tags: ['Team'] });
+  });
+});
+
+describe('validateValues', () => {
+  test('reports required fields and skips rules for blank optional ones', () => {
+    expect(validateValues([nameField, codeField], { name: ' ', code: '' })).toEqual({ name: 'Name is required' });
+  });
+
+  test('runs the rules of filled-in fields', () => {
+    expect(validateValues([nameField, codeField], { name: 'Ravi', code: 'abc' })).toEqual({ code: 'Code must be digits' });
+  });
+});
+
+describe('validateFieldAsync', () => {
+  test('runs the async check once the rules pass', async () => {
+    const validateAsync = jest.fn(async (value, { taken }) => (taken.includes(value) ? 'Code is taken' : null));
+    const field = { ...codeField, validateAsync };
+
+    await expect(validateFieldAsync(field, { code: 'abc' }, { taken: [] })).resolves.toEqual({ code: 'Code must be digits' });
+    expect(validateAsync).not.toHaveBeenCalled();
+    await expect(validateFieldAsync(field, { code: '42' }, { taken: ['42'] })).resolves.toEqual({ code: 'Code is taken' });
+  });
+
+  test('treats a check that fails to run as passed', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const field = { ...codeField, validateAsync: async () => { throw new Error('offline'); } };
+    await expect(validateFieldAsync(field, { code: '42' })).resolves.toEqual({});
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  test('validateValuesAsync combines every field', async () => {
+    const field = { ...codeField, validateAsync: async () => ({ 'code.0': 'Code is taken' }) };
+    await expect(validateValuesAsync([nameField, field], { name: '', code: '42' })).resolves.toEqual({
+      name: 'Name is required',
+      'code.0': 'Code is taken'
+    });
+  });
+});
+
+describe('createAsyncChecks', () => {
+  test('a newer check of a field cancels the older one', async () => {
+    const pending = [];
+    const signals = [];
+    const field = {
+      ...codeField,
+      validateAsync: (value, { signal }) => {
+        signals.push(signal);
+        const check = deferred();
+        pending.push(check);
+        return check.promise.then(() => `${value} is taken`);
+      }
+    };
+    const checks = createAsyncChecks();
+
+    const first = checks.check(field, { code: '1' });
+    const second = checks.check(field, { code: '2' });
+    await Promise.resolve();
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+
+    pending.forEach(check => check.resolve());
+    await expect(first).resolves.toBeNull();
+    await expect(second).resolves.toEqual({ code: '2 is taken' });
+  });
+
+  test('cancel stops one field or all of them', async () => {
+    const checks = createAsyncChecks();
+    const slow = { ...codeField, validateAsync: () => deferred().promise };
+    const other = { ...slow, key: 'other' };
+
+    const code = checks.check(slow, { code: '1' });
+    const otherCheck = checks.check(other, { other: '2' });
+    checks.cancel('code');
+    await expect(code).resolves.toBeNull();
+
+    checks.cancel();
+    await expect(otherCheck).resolves.toBeNull();
+  });
+
+  test('checks of different fields run side by side', async () => {
+    const checks = createAsyncChecks();
+    const field = { ...codeField, validateAsync: async () => null };
+    const results = await Promise.all([
+      checks.check(field, { code: '1' }),
+      checks.check({ ...field, key: 'other' }, { other: '2' })
+    ]);
+    expect(results).toEqual([{}, {}]);
+  });
+});
+
+describe('setFieldErrors', () => {
+  test('replaces only the errors a field owns', () => {
+    const errors = { phones: 'Phone is required', 'phones.1': 'Phone number is invalid', name: 'Name is required' };
+    expect(setFieldErrors(errors, 'phones', { 'phones.0': 'Phone number already exists' })).toEqual({
+      name: 'Name is required',
+      'phones.0': 'Phone number already exists'
+    });
+  });
+});
+
+describe('toRecord', () => {
+  test('writes each field over the base record', () => {
+    expect(toRecord([nameField, codeField], { name: ' Ravi ', code: '' }, { id: 7 })).toEqual({ id: 7, name: 'Ravi', code: null });
+  });
+});
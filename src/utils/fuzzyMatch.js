@@ -0,0 +1,199 @@
+import { createQueryMatcher, createSearchIndex, createTermMatcher, tokenize } from './contactSearch';
+
+/**
+ * Fuzzy Match
+ *
+ * Ranked name matching that tolerates spelling variants common in
+ * transliterated Indian names (Aarav/Arav, Ishaan/Ishan, Iyer/Iyyer).
+ * Combines an edit distance with a phonetic key and returns a relevance
+ * score between 0 (no match) and 1 (exact match).
+ */
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Minimum number of single-character edits
+ */
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Spelling variants that sound the same, applied in order
+const PHONETIC_RULES = [
+  [/ph/g, 'f'],
+  [/([bdgjkt])h/g, '$1'],   // aspirated consonants: bh, dh, gh, jh, kh, th
+  [/sh/g, 's'],
+  [/ch/g, 'c'],
+  [/ck/g, 'k'],
+  [/q/g, 'k'],
+  [/x/g, 'ks'],
+  [/z/g, 'j'],
+  [/w/g, 'v'],
+  [/ee|ie|ey/g, 'i'],
+  [/oo|ou/g, 'u'],
+  [/([a-z])\1+/g, '$1'],    // doubled letters: aa, nn, yy
+  [/([aeiou])y([aeiou])/g, '$1i$2'],
+  [/h$/g, ''],              // trailing h: Krishnah, Shah
+  [/([^aeiou])a$/g, '$1']   // trailing schwa: Rama/Ram, Krishna/Krishn
+];
+
+// Keys are recomputed for every comparison, so remember recent ones
+const phoneticKeyCache = new Map();
+const PHONETIC_KEY_CACHE_LIMIT = 20000;
+
+/**
+ * Build a phonetic key for a name token
+ * Names that sound alike share a key: "Aarav" and "Arav" both give "arav"
+ * @param {string} word - Single name token
+ * @returns {string} Phonetic key
+ */
+export const phoneticKey = (word) => {
+  const input = String(word || '').toLowerCase();
+  if (phoneticKeyCache.has(input)) return phoneticKeyCache.get(input);
+
+  let key = input.replace(/[^a-z]/g, '');
+  PHONETIC_RULES.forEach(([pattern, replacement]) => {
+    key = key.replace(pattern, replacement);
+  });
+
+  if (phoneticKeyCache.size >= PHONETIC_KEY_CACHE_LIMIT) phoneticKeyCache.clear();
+  phoneticKeyCache.set(input, key);
+  return key;
+};
+
+/**
+ * Number of typos tolerated for a query token of the given length
+ */
+const allowedDistance = (length) => {
+  if (length <= 3) return 0;
+  if (length <= 5) return 1;
+  return 2;
+};
+
+/**
+ * Score how well a query token matches a candidate token
+ * @param {string} query - Lowercase query token
+ * @param {string} candidate - Lowercase candidate token
+ * @returns {number} 0 (no match) to 1 (exact)
+ */
+export const scoreToken = (query, candidate) => {
+  if (!query || !candidate) return 0;
+  if (candidate === query) return 1;
+  if (candidate.startsWith(query)) return 0.9 + 0.05 * (query.length / candidate.length);
+
+  const queryKey = phoneticKey(query);
+  const candidateKey = phoneticKey(candidate);
+  if (queryKey && queryKey === candidateKey) return 0.85;
+  if (query.length >= 3 && queryKey && candidateKey.startsWith(queryKey)) return 0.75;
+
+  // Compare with the whole token and with a same-length prefix (partially typed names)
+  const distance = Math.min(
+    levenshtein(query, candidate),
+    levenshtein(query, candidate.slice(0, query.length))
+  );
+  const allowed = allowedDistance(query.length);
+  if (distance <= allowed && allowed > 0) {
+    return 0.7 - 0.1 * distance;
+  }
+
+  if (query.length >= 4 && levenshtein(queryKey, candidateKey) <= 1) return 0.55;
+
+  return 0;
+};
+
+/**
+ * Build a scorer for a search term against the tokens of a name
+ * Multi-word terms ("aarav sharma") need every word to match some token.
+ * Names share most of their tokens, so each word/token pair is scored once.
+ * @param {string} term - Lowercase search term
+ * @returns {function} (nameTokens) => average word score, 0 when any word misses
+ */
+const createTermScorer = (term) => {
+  const words = tokenize(term).map(word => ({ word, scores: new Map() }));
+
+  return (nameTokens) => {
+    if (words.length === 0) return 0;
+
+    let total = 0;
+    for (const { word, scores } of words) {
+      let best = 0;
+      for (const nameToken of nameTokens) {
+        let score = scores.get(nameToken);
+        if (score === undefined) {
+          score = scoreToken(word, nameToken);
+          scores.set(nameToken, score);
+        }
+        if (score > best) best = score;
+      }
+      if (best === 0) return 0;
+      total += best;
+    }
+    return total / words.length;
+  };
+};
+
+/**
+ * Score free text (a command name, say) against a typed query
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to match
+ * @returns {number} 0 (no match) to 1 (exact), every query word must match some word
+ */
+export const scoreText = (query, text) => createTermScorer(String(query || '').toLowerCase())(tokenize(text));
+
+/**
+ * Build a fuzzy scorer for a parsed query
+ * Field filters must still match exactly; each plain term is scored against
+ * the name tokens in the search index, falling back to an exact match in any
+ * other field.
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @param {function} index - Search index of the contacts (see createSearchIndex)
+ * @returns {function} (contact) => average term score, 0 when any term or filter misses
+ */
+export const createContactScorer = (parsedQuery, index = createSearchIndex([])) => {
+  const matchFilters = createQueryMatcher({ terms: [], filters: parsedQuery.filters }, index);
+  const terms = parsedQuery.terms.map(term => ({
+    scoreName: createTermScorer(term),
+    matchFields: createTermMatcher(term, index)
+  }));
+
+  return (contact) => {
+    if (!matchFilters(contact)) return 0;
+    if (terms.length === 0) return 1;
+
+    const { nameTokens } = index(contact);
+    let total = 0;
+
+    for (const { scoreName, matchFields } of terms) {
+      const nameScore = scoreName(nameTokens);
+      const score = nameScore > 0.6 ? nameScore : (matchFields(contact) ? 0.6 : nameScore);
+
+      if (score === 0) return 0;
+      total += score;
+    }
+
+    return total / terms.length;
+  };
+};
+
+/**
+ * Score a contact against a parsed query in fuzzy mode
+ * Use createContactScorer when scoring many contacts against the same query
+ * @param {Object} contact - Contact to score
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @returns {number} Average term score, 0 when any term or filter misses
+ */
+export const scoreContact = (contact, parsedQuery) => createContactScorer(parsedQuery)(contact);
@@ -0,0 +1,209 @@
+import GAZETTEER from '../data/gazetteer.json';
+
+/**
+ * Geocode
+ *
+ * Resolves free-text locations ("Mumbai, India", "Portland, OR") and
+ * addresses ("123 Marine Drive, Mumbai 400001") to a city in the bundled
+ * gazetteer (src/data/gazetteer.json), so the map works offline.
+ * Cities sharing a name are listed most likely first; a country or US state
+ * in the text picks between them.
+ */
+
+// US states and their codes, so "Austin, TX" and "Paris, Texas" are read as US places
+export const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+// Other ways of writing the gazetteer's country names
+// (US states are looked up separately: several state codes are also country codes)
+const COUNTRY_ALIASES = {
+  USA: ['us', 'united states', 'united states of america', 'america'],
+  UK: ['united kingdom', 'great britain', 'britain', 'gb', 'england', 'scotland', 'wales', 'northern ireland'],
+  UAE: ['united arab emirates'],
+  'South Korea': ['korea', 'republic of korea'],
+  Czechia: ['czech republic'],
+  Netherlands: ['the netherlands', 'holland']
+};
+
+// ISO 3166 codes of the gazetteer's countries ("Mumbai, IN")
+const COUNTRY_CODES = {
+  USA: 'US', UK: 'GB', India: 'IN', Ireland: 'IE', France: 'FR', Germany: 'DE', Netherlands: 'NL',
+  Belgium: 'BE', Spain: 'ES', Portugal: 'PT', Italy: 'IT', Switzerland: 'CH', Austria: 'AT',
+  Sweden: 'SE', Norway: 'NO', Denmark: 'DK', Finland: 'FI', Poland: 'PL', Czechia: 'CZ',
+  Hungary: 'HU', Greece: 'GR', Turkey: 'TR', Russia: 'RU', Ukraine: 'UA', UAE: 'AE', Qatar: 'QA',
+  'Saudi Arabia': 'SA', Israel: 'IL', Egypt: 'EG', Nigeria: 'NG', Kenya: 'KE', 'South Africa': 'ZA',
+  Pakistan: 'PK', Bangladesh: 'BD', 'Sri Lanka': 'LK', Nepal: 'NP', Singapore: 'SG', Malaysia: 'MY',
+  Thailand: 'TH', Indonesia: 'ID', Philippines: 'PH', Vietnam: 'VN', 'Hong Kong': 'HK', China: 'CN',
+  Taiwan: 'TW', 'South Korea': 'KR', Japan: 'JP', Australia: 'AU', 'New Zealand': 'NZ', Canada: 'CA',
+  Mexico: 'MX', Brazil: 'BR', Argentina: 'AR', Chile: 'CL', Peru: 'PE', Colombia: 'CO'
+};
+
+/**
+ * Normalize a place name for lookup: lowercase, without accents, dots or
+ * punctuation, "Saint" as "St" ("St. Louis" = "saint louis" = "st louis")
+ * Words containing digits (house numbers, postal codes) are dropped
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizePlaceName = (name) =>
+  String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !/\d/.test(word))
+    .map(word => (word === 'saint' ? 'st' : word))
+    .join(' ');
+
+const countriesByName = new Map();
+const statesByName = new Map();
+const citiesByName = new Map();
+
+GAZETTEER.forEach((entry) => {
+  const place = { ...entry, name: `${entry.city}, ${entry.country}` };
+  countriesByName.set(normalizePlaceName(entry.country), entry.country);
+  [entry.city, ...(entry.aliases || [])].forEach((name) => {
+    const key = normalizePlaceName(name);
+    citiesByName.set(key, [...(citiesByName.get(key) || []), place]);
+  });
+});
+Object.entries(COUNTRY_ALIASES).forEach(([country, aliases]) => {
+  aliases.forEach(alias => countriesByName.set(normalizePlaceName(alias), country));
+});
+Object.entries(COUNTRY_CODES).forEach(([country, code]) => {
+  countriesByName.set(normalizePlaceName(code), country);
+});
+Object.entries(US_STATES).forEach(([code, name]) => {
+  statesByName.set(normalizePlaceName(code), name);
+  statesByName.set(normalizePlaceName(name), name);
+});
+
+// Number of cities the map can place
+export const GAZETTEER_SIZE = GAZETTEER.length;
+
+/**
+ * Gazetteer name of a country ("United States" → "USA")
+ * @param {string} name
+ * @returns {string|null}
+ */
+export const findCountry = (name) => countriesByName.get(normalizePlaceName(name)) || null;
+
+/**
+ * Full name of a US state ("TX" → "Texas")
+ * @param {string} name - State code or name
+ * @returns {string|null}
+ */
+export const findUsState = (name) => statesByName.get(normalizePlaceName(name)) || null;
+
+// Resolved texts, so filtering and re-rendering don't repeat the lookup
+const cache = new Map();
+const MAX_CACHE_SIZE = 5000;
+
+/**
+ * First city named by one of the parts, optionally only in one country
+ * @param {Array} parts - Normalized place names
+ * @param {string|null} country - Gazetteer country name
+ * @returns {Object|null}
+ */
+const findCity = (parts, country) => {
+  for (const part of parts) {
+    const candidates = citiesByName.get(part) || [];
+    const place = country ? candidates.find(candidate => candidate.country === country) : candidates[0];
+    if (place) return place;
+  }
+  return null;
+};
+
+/**
+ * Find the city a piece of text refers to
+ * Each comma-separated part is tried in turn; a last part naming a country
+ * or a US state narrows the match to that country. Codes that are both
+ * ("IN", "CA", "DE") are tried as the country first, then as the state.
+ * @param {string} text - A location or an address
+ * @returns {Object|null} { city, country, lat, lon, name } or null if no city matches
+ */
+export const resolvePlace = (text) => {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return null;
+  if (cache.has(trimmed)) return cache.get(trimmed);
+
+  const parts = trimmed.split(',').map(normalizePlaceName).filter(Boolean);
+  const last = parts.length > 1 ? parts[parts.length - 1] : null;
+  const countries = [findCountry(last), findUsState(last) && 'USA'].filter(Boolean);
+
+  let place = null;
+  if (countries.length === 0) {
+    place = findCity(parts, null);
+  } else {
+    for (const country of countries) {
+      place = findCity(parts.slice(0, -1), country);
+      if (place) break;
+    }
+  }
+
+  if (cache.size >= MAX_CACHE_SIZE) cache.clear();
+  cache.set(trimmed, place);
+  return place;
+};
+
+/**
+ * Place a contact from its location, or from its address when the location doesn't resolve
+ * @param {Object} contact
+ * @returns {Object|null} Place (see resolvePlace) with source 'location' or 'address'
+ */
+export const geocodeContact = (contact) => {
+  const fromLocation = resolvePlace(contact.location);
+  if (fromLocation) return { ...fromLocation, source: 'location' };
+  const fromAddress = resolvePlace(contact.address);
+  return fromAddress ? { ...fromAddress, source: 'address' } : null;
+};
+
+/**
+ * Group contacts by the city they resolve to
+ * @param {Array} contacts
+ * @returns {Object} { places: [{ place, contacts }] largest first,
+ *                     unresolved: [{ text, contacts }] for locations no city matched,
+ *                     missing: contacts with neither a location nor an address }
+ */
+export const groupContactsByPlace = (contacts) => {
+  const places = new Map();
+  const unresolved = new Map();
+  const missing = [];
+
+  contacts.forEach((contact) => {
+    const place = geocodeContact(contact);
+    if (place) {
+      const group = places.get(place.name) || { place, contacts: [] };
+      group.contacts.push(contact);
+      places.set(place.name, group);
+      return;
+    }
+
+    const text = String(contact.location || contact.address || '').trim();
+    if (!text) {
+      missing.push(contact);
+      return;
+    }
+    const group = unresolved.get(text.toLowerCase()) || { text, contacts: [] };
+    group.contacts.push(contact);
+    unresolved.set(text.toLowerCase(), group);
+  });
+
+  const bySize = (a, b) => b.contacts.length - a.contacts.length;
+  return {
+    places: [...places.values()].sort(bySize),
+    unresolved: [...unresolved.values()].sort(bySize),
+    missing
+  };
+};
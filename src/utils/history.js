@@ -0,0 +1,136 @@
+/**
+ * Undo/Redo History
+ *
+ * Every contact mutation is recorded as an entry holding the affected
+ * contacts before and after the change:
+ *   { id, label, timestamp, changes: [{ id, before, after }], fields }
+ * before is null for added contacts, after is null for deleted ones.
+ * fields is { before, after } custom field definitions when the change also
+ * edited them (deleting a field removes its values), otherwise null.
+ * Undo applies the "before" side, redo the "after" side.
+ */
+
+// Oldest entries are dropped beyond this many
+export const HISTORY_LIMIT = 50;
+
+let nextEntryId = 1;
+
+/**
+ * Build a history entry
+ * @param {string} label - Description shown in the history panel ("Edited Aarav Sharma")
+ * @param {Array} changes - [{ id, before, after }]
+ * @param {Object} fields - Custom field definitions { before, after }, if they changed too
+ * @returns {Object}
+ */
+export const createHistoryEntry = (label, changes, fields = null) => ({
+  id: nextEntryId++,
+  label,
+  timestamp: Date.now(),
+  changes,
+  fields
+});
+
+/**
+ * Describe one contact changing from before to after
+ * @param {Object|null} before - Contact before the change (null when added)
+ * @param {Object|null} after - Contact after the change (null when deleted)
+ * @returns {Object} { id, before, after }
+ */
+export const describeChange = (before, after) => ({
+  id: (after || before).id,
+  before,
+  after
+});
+
+/**
+ * Apply one side of a set of changes to a contact list
+ * @param {Array} contacts - Current contacts
+ * @param {Array} changes - [{ id, before, after }]
+ * @param {string} side - 'after' to apply (do/redo), 'before' to revert (undo)
+ * @returns {Array} New contact list
+ */
+export const applyChanges = (contacts, changes, side = 'after') => {
+  const targets = new Map(changes.map(change => [change.id, change[side]]));
+  const kept = contacts
+    .filter(contact => !targets.has(contact.id) || targets.get(contact.id))
+    .map(contact => (targets.has(contact.id) ? targets.get(contact.id) : contact));
+  const existingIds = new Set(contacts.map(contact => contact.id));
+  const added = changes
+    .filter(change => change[side] && !existingIds.has(change.id))
+    .map(change => change[side]);
+  return [...added, ...kept];
+};
+
+/**
+ * Group changes by the data source call that persists them
+ * @param {Array} changes - [{ id, before, after }]
+ * @param {string} side - Side being applied ('after' or 'before')
+ * @returns {Object} { created, updated, removedIds }
+ */
+export const splitChanges = (changes, side = 'after') => {
+  const from = side === 'after' ? 'before' : 'after';
+  return {
+    created: changes.filter(change => !change[from] && change[side]).map(change => change[side]),
+    updated: changes.filter(change => change[from] && change[side]).map(change => change[side]),
+    removedIds: changes.filter(change => change[from] && !change[side]).map(change => change.id)
+  };
+};
+
+/**
+ * Record a new entry; a new change discards anything that could be redone
+ * @param {Object} history - { past, future }
+ * @param {Object} entry - History entry
+ * @returns {Object} New history
+ */
+export const pushHistory = (history, entry) => ({
+  past: [...history.past, entry].slice(-HISTORY_LIMIT),
+  future: []
+});
+
+/**
+ * Drop an entry from both stacks (used when its change failed to save)
+ * @param {Object} history - { past, future }
+ * @param {number} entryId
+ * @returns {Object} New history
+ */
+export const dropHistoryEntry = (history, entryId) => ({
+  past: history.past.filter(entry => entry.id !== entryId),
+  future: history.future.filter(entry => entry.id !== entryId)
+});
+
+/**
+ * Drop some changes from an entry (used when only those failed to save)
+ * @param {Object} history - { past, future }
+ * @param {number} entryId
+ * @param {Array} contactIds - Ids of the contacts whose changes to drop
+ * @param {string} label - New description for the entry (defaults to its own)
+ * @returns {Object} New history
+ */
+export const dropHistoryChanges = (history, entryId, contactIds, label = null) => {
+  const dropped = new Set(contactIds);
+  const narrow = entry => (entry.id !== entryId ? entry : {
+    ...entry,
+    label: label || entry.label,
+    changes: entry.changes.filter(change => !dropped.has(change.id))
+  });
+  return { past: history.past.map(narrow), future: history.future.map(narrow) };
+};
+
+/**
+ * Point history at a contact's new id (the server may assign its own on create)
+ * @param {Object} history - { past, future }
+ * @param {*} oldId - Id the contact was created with
+ * @param {Object} savedContact - Contact as saved, with its new id
+ * @returns {Object} New history
+ */
+export const replaceContactId = (history, oldId, savedContact) => {
+  const remap = entry => ({
+    ...entry,
+    changes: entry.changes.map(change => (change.id !== oldId ? change : {
+      id: savedContact.id,
+      before: change.before && { ...change.before, id: savedContact.id },
+      after: change.after && { ...change.after, id: savedContact.id }
+    }))
+  });
+  return { past: history.past.map(remap), future: history.future.map(remap) };
+};
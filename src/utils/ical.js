@@ -0,0 +1,104 @@
+import { escapeValue, foldLine } from './vcard';
+import { splitBirthday } from './birthdays';
+
+/**
+ * iCalendar
+ *
+ * Writes contact birthdays as an RFC 5545 .ics file: one all-day event per
+ * contact with a birthday, repeating every year. Each event's UID comes from
+ * the contact id, so importing the file again updates the events instead of
+ * adding duplicates.
+ */
+
+const PRODUCT_ID = '-//Tria//Contact List//EN';
+const UID_DOMAIN = 'tria-contacts';
+
+/**
+ * Format a date as an iCalendar DATE ("19950315")
+ * @param {number} year
+ * @param {number} month - 1-based
+ * @param {number} day
+ * @returns {string}
+ */
+const formatDate = (year, month, day) =>
+  `${String(year).padStart(4, '0')}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+
+/**
+ * Format a moment as an iCalendar UTC DATE-TIME ("20260315T093000Z")
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Stable event UID for a contact's birthday
+ * @param {Object} contact
+ * @returns {string}
+ */
+export const getBirthdayUid = (contact) => `birthday-${contact.id}@${UID_DOMAIN}`;
+
+/**
+ * Serialize one contact's birthday as a VEVENT
+ * @param {Object} contact - Contact with a "YYYY-MM-DD" birthday
+ * @param {Date} now - Timestamp for DTSTAMP
+ * @returns {string|null} Event lines, or null without a valid birthday
+ */
+export const birthdayToVEvent = (contact, now = new Date()) => {
+  const parts = splitBirthday(contact.birthday);
+  if (!parts) return null;
+
+  // All-day events end on the following day (DTEND is exclusive)
+  const end = new Date(parts.year, parts.month - 1, parts.day + 1);
+  // Feb 29 repeats on the last day of February, so it shows up every year
+  const rule = parts.month === 2 && parts.day === 29
+    ? 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1'
+    : 'RRULE:FREQ=YEARLY';
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getBirthdayUid(contact)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(parts.year, parts.month, parts.day)}`,
+    `DTEND;VALUE=DATE:${formatDate(end.getFullYear(), end.getMonth() + 1, end.getDate())}`,
+    rule,
+    `SUMMARY:${escapeValue(`🎂 ${contact.name}'s birthday`)}`,
+    `DESCRIPTION:${escapeValue(`Born ${contact.birthday}`)}`,
+    'CATEGORIES:BIRTHDAY',
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+  if (contact.updatedAt) {
+    lines.splice(3, 0, `LAST-MODIFIED:${formatDateTime(new Date(contact.updatedAt))}`);
+  }
+
+  return lines.map(foldLine).join('\r\n');
+};
+
+/**
+ * Serialize the birthdays of contacts as an .ics calendar
+ * Contacts without a birthday are skipped
+ * @param {Array} contacts
+ * @param {Date} now - Timestamp for DTSTAMP
+ * @returns {string}
+ */
+export const contactsToICalendar = (contacts, now = new Date()) => {
+  const events = contacts.map(contact => birthdayToVEvent(contact, now)).filter(Boolean);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Contact Birthdays',
+    ...events,
+    'END:VCALENDAR'
+  ];
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Count the contacts that would get a birthday event
+ * @param {Array} contacts
+ * @returns {number}
+ */
+export const countBirthdays = (contacts) => contacts.filter(contact => splitBirthday(contact.birthday)).length;
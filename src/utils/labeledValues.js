@@ -0,0 +1,71 @@
+/**
+ * Labeled Values
+ *
+ * Contacts hold lists of labeled emails and phones:
+ *   emails: [{ label, value, primary }]
+ *   phones: [{ label, value, e164, primary }]
+ * Exactly one entry of each list is primary. The primary values are also
+ * kept in the flat email / phone / phoneE164 fields so list views, sorting
+ * and exports can keep reading a single value.
+ */
+
+export const EMAIL_LABELS = ['personal', 'work', 'other'];
+export const PHONE_LABELS = ['mobile', 'work', 'home', 'other'];
+
+/**
+ * Pick the primary entry of a list, or the first one
+ * @param {Array} entries
+ * @returns {Object|null}
+ */
+export const getPrimaryEntry = (entries = []) =>
+  entries.find(entry => entry.primary) || entries[0] || null;
+
+/**
+ * All emails of a contact
+ * Falls back to the flat email field for records without a list
+ * @param {Object} contact
+ * @returns {Array} [{ label, value, primary }]
+ */
+export const getContactEmails = (contact) => {
+  if (Array.isArray(contact.emails) && contact.emails.length > 0) return contact.emails;
+  return contact.email ? [{ label: EMAIL_LABELS[0], value: contact.email, primary: true }] : [];
+};
+
+/**
+ * All phones of a contact
+ * Falls back to the flat phone fields for records without a list
+ * @param {Object} contact
+ * @returns {Array} [{ label, value, e164, primary }]
+ */
+export const getContactPhones = (contact) => {
+  if (Array.isArray(contact.phones) && contact.phones.length > 0) return contact.phones;
+  return contact.phone
+    ? [{ label: PHONE_LABELS[0], value: contact.phone, e164: contact.phoneE164 || null, primary: true }]
+    : [];
+};
+
+/**
+ * Mark exactly one entry as primary (the first flagged one, else the first)
+ * @param {Array} entries
+ * @returns {Array}
+ */
+export const ensureSinglePrimary = (entries) => {
+  const primaryIndex = Math.max(0, entries.findIndex(entry => entry.primary));
+  return entries.map((entry, index) => ({ ...entry, primary: index === primaryIndex }));
+};
+
+/**
+ * Copy the primary email and phone into the flat fields
+ * @param {Object} contact - Contact with emails and phones lists
+ * @returns {Object} Contact with email, phone and phoneE164 set
+ */
+export const withPrimaryFields = (contact) => {
+  const email = getPrimaryEntry(contact.emails);
+  const phone = getPrimaryEntry(contact.phones);
+  return {
+    ...contact,
+    email: email ? email.value : '',
+    phone: phone ? phone.value : '',
+    phoneE164: phone ? phone.e164 || null : null
+  };
+};
@@ -0,0 +1,156 @@
+/**
+ * Map Projection
+ *
+ * Geometry behind the contact map. Points are projected with Web Mercator
+ * onto a unit square (x and y from 0 to 1, north at the top); the visible
+ * part of the map is a viewport { x, y, span } centred on (x, y) and span
+ * units wide, drawn into a box MAP_ASPECT times wider than it is tall.
+ */
+
+export const MAP_ASPECT = 2;
+
+// Narrowest viewport (a few km across) and widest (the whole world)
+const MIN_SPAN = 0.0005;
+const MAX_SPAN = 1;
+const MAX_LATITUDE = 85;
+
+// Candidate grid spacings in degrees, smallest first
+const GRID_STEPS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Project a latitude/longitude onto the unit square
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Object} { x, y }
+ */
+export const projectPoint = (lat, lon) => {
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sin = Math.sin(toRadians(clampedLat));
+  return {
+    x: (lon + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  };
+};
+
+/**
+ * Latitude at a projected y
+ * @param {number} y
+ * @returns {number} Degrees
+ */
+const latitudeAt = (y) => (Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180) / Math.PI;
+
+/**
+ * Keep a viewport's zoom within limits and its centre on the map
+ * @param {Object} viewport - { x, y, span }
+ * @returns {Object}
+ */
+export const clampViewport = ({ x, y, span }) => {
+  const clampedSpan = Math.max(MIN_SPAN, Math.min(MAX_SPAN, span));
+  return {
+    x: Math.max(0, Math.min(1, x)),
+    y: Math.max(0, Math.min(1, y)),
+    span: clampedSpan
+  };
+};
+
+/**
+ * Smallest viewport showing every point, with a margin
+ * @param {Array} points - Projected points { x, y }
+ * @returns {Object} { x, y, span }; the whole world when there are no points
+ */
+export const fitViewport = (points) => {
+  if (points.length === 0) return { x: 0.5, y: 0.5, span: MAX_SPAN };
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  return clampViewport({
+    x: (minX + maxX) / 2,
+    y: (minY + maxY) / 2,
+    span: Math.max(maxX - minX, (maxY - minY) * MAP_ASPECT) * 1.3
+  });
+};
+
+/**
+ * Position of a projected point within the viewport
+ * @param {Object} point - { x, y }
+ * @param {Object} viewport - { x, y, span }
+ * @returns {Object} { left, top } as fractions of the map box (0-1 when visible)
+ */
+export const toScreen = (point, viewport) => ({
+  left: (point.x - viewport.x) / viewport.span + 0.5,
+  top: ((point.y - viewport.y) / viewport.span) * MAP_ASPECT + 0.5
+});
+
+/**
+ * Merge points that would overlap on screen into clusters
+ * Points are taken largest first; each joins the first cluster within radius
+ * of it, or starts a new one, so big cities stay where they are
+ * @param {Array} points - Projected points { x, y, weight, ... }, largest weight first
+ * @param {Object} viewport
+ * @param {number} radius - Merge distance as a fraction of the map width
+ * @returns {Array} Visible clusters as { left, top, weight, points }
+ */
+export const clusterPoints = (points, viewport, radius) => {
+  const clusters = [];
+  points.forEach((point) => {
+    const { left, top } = toScreen(point, viewport);
+    if (left < -radius || left > 1 + radius || top < -radius || top > 1 + radius) return;
+
+    const cluster = clusters.find(candidate =>
+      Math.hypot(candidate.left - left, (candidate.top - top) / MAP_ASPECT) < radius
+    );
+    if (cluster) {
+      cluster.points.push(point);
+      cluster.weight += point.weight;
+    } else {
+      clusters.push({ left, top, weight: point.weight, points: [point] });
+    }
+  });
+  return clusters;
+};
+
+/**
+ * Latitude and longitude lines to draw behind the markers
+ * The spacing is picked so a handful of lines are visible at any zoom
+ * @param {Object} viewport
+ * @returns {Array} [{ axis: 'lat'|'lon', degrees, position }] with position
+ *                  as a fraction of the map height (lat) or width (lon)
+ */
+export const getGridLines = (viewport) => {
+  const step = GRID_STEPS.find(candidate => (viewport.span * 360) / candidate <= 8) || GRID_STEPS[GRID_STEPS.length - 1];
+  const lines = [];
+
+  const westLon = (viewport.x - viewport.span / 2) * 360 - 180;
+  const eastLon = (viewport.x + viewport.span / 2) * 360 - 180;
+  for (let lon = Math.ceil(westLon / step) * step; lon <= eastLon; lon += step) {
+    if (lon >= -180 && lon <= 180) {
+      lines.push({ axis: 'lon', degrees: lon, position: toScreen(projectPoint(0, lon), viewport).left });
+    }
+  }
+
+  const halfHeight = viewport.span / MAP_ASPECT / 2;
+  const northLat = Math.min(MAX_LATITUDE, latitudeAt(Math.max(0, viewport.y - halfHeight)));
+  const southLat = Math.max(-MAX_LATITUDE, latitudeAt(Math.min(1, viewport.y + halfHeight)));
+  for (let lat = Math.ceil(southLat / step) * step; lat <= northLat; lat += step) {
+    lines.push({ axis: 'lat', degrees: lat, position: toScreen(projectPoint(lat, 0), viewport).top });
+  }
+  return lines;
+};
+
+/**
+ * Label for a grid line ("30°N", "75°W", "0°")
+ * @param {string} axis - 'lat' or 'lon'
+ * @param {number} degrees
+ * @returns {string}
+ */
+export const formatDegrees = (axis, degrees) => {
+  const rounded = Math.round(Math.abs(degrees) * 10) / 10;
+  if (rounded === 0) return '0°';
+  const hemisphere = axis === 'lat' ? (degrees > 0 ? 'N' : 'S') : (degrees > 0 ? 'E' : 'W');
+  return `${rounded}°${hemisphere}`;
+};
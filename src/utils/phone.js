@@ -0,0 +1,143 @@
+import { getContactPhones } from './labeledValues';
+
+/**
+ * Phone Numbers
+ *
+ * Parses, validates and formats phone numbers.
+ * - Numbers without a country code are read in the default country (India)
+ * - Valid numbers get a canonical E.164 value ("+919876543210")
+ *   and a display format ("+91 98765 43210")
+ * - The canonical value is what duplicate checks compare
+ */
+
+export const DEFAULT_COUNTRY = 'IN';
+
+/**
+ * Supported countries
+ * - callingCode: international dialling code
+ * - pattern: valid national significant number (without trunk prefix)
+ * - trunkPrefix: digit dialled before national numbers (e.g. 0)
+ * - groups: digit group sizes used for display
+ */
+const COUNTRIES = {
+  IN: { callingCode: '91', pattern: /^[6-9]\d{9}$/, trunkPrefix: '0', groups: [5, 5] },
+  US: { callingCode: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, trunkPrefix: '1', groups: [3, 3, 4] },
+  GB: { callingCode: '44', pattern: /^[1-9]\d{9}$/, trunkPrefix: '0', groups: [4, 6] },
+  AE: { callingCode: '971', pattern: /^[1-9]\d{7,8}$/, trunkPrefix: '0', groups: [2, 3, 4] },
+  SG: { callingCode: '65', pattern: /^[3689]\d{7}$/, trunkPrefix: '', groups: [4, 4] },
+  AU: { callingCode: '61', pattern: /^[2-478]\d{8}$/, trunkPrefix: '0', groups: [1, 4, 4] }
+};
+
+// Characters allowed in a phone number besides digits
+const ALLOWED_CHARACTERS = /^[\d\s\-().+]+$/;
+
+/**
+ * Find the supported country for an international number
+ * @param {string} digits - Digits after the + sign
+ * @returns {Array|null} [countryCode, country] with the longest matching calling code
+ */
+const findCountryByDigits = (digits) => {
+  const matches = Object.entries(COUNTRIES)
+    .filter(([, country]) => digits.startsWith(country.callingCode))
+    .sort((a, b) => b[1].callingCode.length - a[1].callingCode.length);
+  return matches[0] || null;
+};
+
+/**
+ * Split digits into display groups, appending any leftover digits to the last group
+ */
+const groupDigits = (digits, groups) => {
+  const parts = [];
+  let index = 0;
+  groups.forEach((size, i) => {
+    const end = i === groups.length - 1 ? digits.length : index + size;
+    parts.push(digits.slice(index, end));
+    index = end;
+  });
+  return parts.filter(Boolean).join(' ');
+};
+
+/**
+ * Parse and validate a phone number
+ * @param {string} input - Raw phone number as typed
+ * @param {string} defaultCountry - Country for numbers without a + prefix
+ * @returns {Object} { valid, e164, display, country, error }
+ */
+export const parsePhoneNumber = (input, defaultCountry = DEFAULT_COUNTRY) => {
+  const raw = String(input || '').trim();
+
+  if (!raw) {
+    return { valid: false, e164: null, display: '', country: null, error: 'Phone is required' };
+  }
+  if (!ALLOWED_CHARACTERS.test(raw)) {
+    return { valid: false, e164: null, display: raw, country: null, error: 'Phone number can only contain digits, spaces and + - ( )' };
+  }
+
+  const invalid = { valid: false, e164: null, display: raw, country: null, error: 'Phone number is invalid' };
+  const international = raw.startsWith('+') || raw.startsWith('00');
+  let digits = raw.replace(/\D/g, '');
+
+  if (international) {
+    if (raw.startsWith('00')) digits = digits.slice(2);
+
+    const match = findCountryByDigits(digits);
+    if (!match) {
+      // Unknown country: accept any E.164-length number as-is
+      if (digits.length < 8 || digits.length > 15) return invalid;
+      return { valid: true, e164: `+${digits}`, display: `+${digits}`, country: null, error: null };
+    }
+
+    const [countryCode, country] = match;
+    const national = digits.slice(country.callingCode.length);
+    if (!country.pattern.test(national)) return invalid;
+    return {
+      valid: true,
+      e164: `+${digits}`,
+      display: `+${country.callingCode} ${groupDigits(national, country.groups)}`,
+      country: countryCode,
+      error: null
+    };
+  }
+
+  const country = COUNTRIES[defaultCountry] || COUNTRIES[DEFAULT_COUNTRY];
+  let national = digits;
+
+  // Country code typed without the + ("919876543210")
+  if (!country.pattern.test(national) && national.startsWith(country.callingCode)) {
+    national = national.slice(country.callingCode.length);
+  }
+  // Trunk prefix ("09876543210")
+  if (!country.pattern.test(national) && country.trunkPrefix && national.startsWith(country.trunkPrefix)) {
+    national = national.slice(country.trunkPrefix.length);
+  }
+  if (!country.pattern.test(national)) return invalid;
+
+  return {
+    valid: true,
+    e164: `+${country.callingCode}${national}`,
+    display: `+${country.callingCode} ${groupDigits(national, country.groups)}`,
+    country: defaultCountry,
+    error: null
+  };
+};
+
+/**
+ * Canonical key used to compare phone numbers for duplicates
+ * Falls back to the bare digits for numbers that don't parse
+ * @param {string} phone - Phone number in any format
+ * @returns {string} E.164 value or digits
+ */
+export const getPhoneKey = (phone) => {
+  const parsed = parsePhoneNumber(phone);
+  return parsed.valid ? parsed.e164 : String(phone || '').replace(/\D/g, '');
+};
+
+/**
+ * Canonical keys for every phone of a stored contact
+ * @param {Object} contact
+ * @returns {Array} Keys in list order (empty numbers skipped)
+ */
+export const getContactPhoneKeys = (contact) =>
+  getContactPhones(contact)
+    .map(phone => phone.e164 || getPhoneKey(phone.value))
+    .filter(Boolean);
@@ -0,0 +1,121 @@
+/**
+ * Photo
+ *
+ * Client-side handling of contact photos. Photos are cropped to a square,
+ * resized and stored on the contact as a small JPEG data URL, so they live in
+ * localStorage with the rest of the contact and travel through vCard files.
+ */
+
+// Stored photos are PHOTO_SIZE × PHOTO_SIZE JPEGs
+export const PHOTO_SIZE = 256;
+const PHOTO_QUALITY = 0.85;
+
+// Largest file accepted for upload (it is shrunk before it is stored)
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Data URLs longer than this are shrunk on import (a stored photo is ~15-25 KB)
+const MAX_STORED_LENGTH = 64 * 1024;
+
+const PHOTO_DATA_URL = /^data:image\/(jpeg|png|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+/**
+ * Whether a value is an inline image we can store
+ * Remote URLs are not accepted: the app works offline and shouldn't call out to third parties
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isPhotoDataUrl = (value) => typeof value === 'string' && PHOTO_DATA_URL.test(value);
+
+/**
+ * Read a file as a data URL
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export const readFileAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Could not read the file'));
+    reader.readAsDataURL(file);
+  });
+
+/**
+ * Load an image element from a URL
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not read the image'));
+    image.src = src;
+  });
+
+/**
+ * Largest centred square of an image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} Crop as { x, y, size } in image pixels
+ */
+export const getCenteredCrop = (width, height) => {
+  const size = Math.min(width, height);
+  return { x: (width - size) / 2, y: (height - size) / 2, size };
+};
+
+/**
+ * Keep a crop inside the image bounds
+ * @param {Object} crop - { x, y, size }
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} Clamped crop
+ */
+export const clampCrop = ({ x, y, size }, width, height) => {
+  const clampedSize = Math.min(size, width, height);
+  return {
+    size: clampedSize,
+    x: Math.min(Math.max(x, 0), width - clampedSize),
+    y: Math.min(Math.max(y, 0), height - clampedSize)
+  };
+};
+
+/**
+ * Draw a square crop of an image, resized, as a JPEG data URL
+ * @param {HTMLImageElement} image
+ * @param {Object} crop - { x, y, size } in image pixels
+ * @param {number} outputSize - Width and height of the result
+ * @returns {string} JPEG data URL
+ */
+export const cropImage = (image, crop, outputSize = PHOTO_SIZE) => {
+  const size = Math.min(outputSize, Math.round(crop.size));
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  if (!context) throw new Error('Image editing is not supported in this browser');
+
+  // JPEG has no transparency: flatten transparent PNGs onto white
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, size, size);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, crop.x, crop.y, crop.size, crop.size, 0, 0, size, size);
+  return canvas.toDataURL('image/jpeg', PHOTO_QUALITY);
+};
+
+/**
+ * Make an imported photo small enough to store
+ * Small photos are kept as they are; large ones are centre-cropped and resized
+ * @param {string} dataUrl
+ * @returns {Promise<string|null>} The photo to store, or null if it can't be used
+ */
+export const shrinkPhoto = async (dataUrl) => {
+  if (!isPhotoDataUrl(dataUrl)) return null;
+  if (dataUrl.length <= MAX_STORED_LENGTH) return dataUrl;
+  try {
+    const image = await loadImage(dataUrl);
+    return cropImage(image, getCenteredCrop(image.naturalWidth, image.naturalHeight));
+  } catch (error) {
+    console.error('Failed to resize photo:', error);
+    return null;
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Tags
+ *
+ * User-defined tags ("Client", "Family", "Team Bangalore") stored on each
+ * contact as an array of names. Tags compare case-insensitively but keep
+ * the spelling they were first entered with.
+ */
+
+// Chip colors, picked per tag name so a tag looks the same everywhere
+const TAG_COLORS = [
+  'bg-cyan-500/20 text-cyan-300 border-cyan-500/30',
+  'bg-purple-500/20 text-purple-300 border-purple-500/30',
+  'bg-pink-500/20 text-pink-300 border-pink-500/30',
+  'bg-green-500/20 text-green-300 border-green-500/30',
+  'bg-orange-500/20 text-orange-300 border-orange-500/30',
+  'bg-blue-500/20 text-blue-300 border-blue-500/30',
+  'bg-yellow-500/20 text-yellow-300 border-yellow-500/30'
+];
+
+/**
+ * Comparison key for a tag name
+ * @param {string} tag
+ * @returns {string}
+ */
+export const tagKey = (tag) => String(tag || '').trim().toLowerCase();
+
+/**
+ * Trim tag names and drop blanks and case-insensitive repeats
+ * @param {Array} tags
+ * @returns {Array}
+ */
+export const normalizeTags = (tags = []) => {
+  const seen = new Set();
+  return tags
+    .map(tag => String(tag || '').trim().replace(/\s+/g, ' '))
+    .filter(tag => {
+      const key = tagKey(tag);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Tags of a contact (empty for records saved before tags existed)
+ * @param {Object} contact
+ * @returns {Array}
+ */
+export const getContactTags = (contact) => (Array.isArray(contact.tags) ? contact.tags : []);
+
+/**
+ * Every tag in use with the number of contacts carrying it
+ * @param {Array} contacts
+ * @returns {Array} [{ name, count }] sorted by name
+ */
+export const getTagCounts = (contacts) => {
+  const counts = new Map();
+  contacts.forEach(contact => {
+    getContactTags(contact).forEach(tag => {
+      const key = tagKey(tag);
+      const entry = counts.get(key) || { name: tag, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+  return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Check a contact against the selected tags
+ * @param {Object} contact
+ * @param {Array} selectedTags - Tag names to filter by
+ * @param {string} mode - 'all' (AND) or 'any' (OR)
+ * @returns {boolean} true when nothing is selected
+ */
+export const matchesTags = (contact, selectedTags, mode = 'any') => {
+  if (selectedTags.length === 0) return true;
+  const contactKeys = new Set(getContactTags(contact).map(tagKey));
+  const hasTag = tag => contactKeys.has(tagKey(tag));
+  return mode === 'all' ? selectedTags.every(hasTag) : selectedTags.some(hasTag);
+};
+
+/**
+ * Chip color classes for a tag
+ * @param {string} tag
+ * @returns {string} Tailwind classes for background, text and border
+ */
+export const getTagColor = (tag) => {
+  const key = tagKey(tag);
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) % 2147483647;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+};
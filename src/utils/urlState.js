@@ -0,0 +1,66 @@
+import { DEFAULT_SORT, GROUP_OPTIONS, SORT_OPTIONS } from './contactSort';
+
+/**
+ * URL State
+ *
+ * Serializes the list view (search, tag filter, sort, grid or map) to and
+ * from the query string, so a filtered view can be bookmarked or shared:
+ *   ?q=aarav&mode=exact&tag=Client&tag=Family&match=all&sort=lastName&dir=desc&group=letter&favs=off&view=map
+ * Defaults are left out, so the plain list has no query string at all.
+ */
+
+export const DEFAULT_LIST_STATE = {
+  query: '',
+  searchMode: 'fuzzy',
+  selectedTags: [],
+  tagMatchMode: 'any',
+  sort: DEFAULT_SORT,
+  view: 'grid'
+};
+
+/**
+ * Read the list state from a query string
+ * Unknown or invalid values fall back to the defaults
+ * @param {string} search - location.search ("?q=..." or "")
+ * @returns {Object} { query, searchMode, selectedTags, tagMatchMode, sort, view }
+ */
+export const parseListState = (search) => {
+  const params = new URLSearchParams(search);
+  const sortBy = params.get('sort');
+  const groupBy = params.get('group');
+
+  return {
+    query: params.get('q') || '',
+    searchMode: params.get('mode') === 'exact' ? 'exact' : 'fuzzy',
+    selectedTags: [...new Set(params.getAll('tag').map(tag => tag.trim()).filter(Boolean))],
+    tagMatchMode: params.get('match') === 'all' ? 'all' : 'any',
+    sort: {
+      sortBy: SORT_OPTIONS.some(option => option.value === sortBy) ? sortBy : DEFAULT_SORT.sortBy,
+      direction: params.get('dir') === 'desc' ? 'desc' : 'asc',
+      groupBy: GROUP_OPTIONS.some(option => option.value === groupBy) ? groupBy : DEFAULT_SORT.groupBy,
+      favoritesFirst: params.get('favs') !== 'off'
+    },
+    view: params.get('view') === 'map' ? 'map' : 'grid'
+  };
+};
+
+/**
+ * Write the list state as a query string
+ * @param {Object} state - { query, searchMode, selectedTags, tagMatchMode, sort, view }
+ * @returns {string} "?q=..." or "" when everything is at its default
+ */
+export const serializeListState = ({ query, searchMode, selectedTags, tagMatchMode, sort, view }) => {
+  const params = new URLSearchParams();
+  if (query.trim()) params.set('q', query.trim());
+  if (searchMode !== DEFAULT_LIST_STATE.searchMode) params.set('mode', searchMode);
+  selectedTags.forEach(tag => params.append('tag', tag));
+  if (selectedTags.length > 0 && tagMatchMode !== DEFAULT_LIST_STATE.tagMatchMode) params.set('match', tagMatchMode);
+  if (sort.sortBy !== DEFAULT_SORT.sortBy) params.set('sort', sort.sortBy);
+  if (sort.direction !== DEFAULT_SORT.direction) params.set('dir', sort.direction);
+  if (sort.groupBy !== DEFAULT_SORT.groupBy) params.set('group', sort.groupBy);
+  if (!sort.favoritesFirst) params.set('favs', 'off');
+  if (view !== DEFAULT_LIST_STATE.view) params.set('view', view);
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
@@ -0,0 +1,341 @@
+/**
+ * vCard
+ *
+ * Reads and writes vCard (.vcf) files, versions 3.0 and 4.0.
+ * Maps FN/N, EMAIL, TEL, ADR, BDAY, CATEGORIES, PHOTO and X-TRIA-* to the contact shape:
+ *   { name, emails, phones, addresses, location, address, birthday, tags, photo, customFields }
+ * Custom field values travel as X-TRIA-<KEY> properties (job_title as X-TRIA-JOB-TITLE).
+ * Every EMAIL, TEL and ADR is kept, labeled from its TYPE; the preferred one is primary.
+ * Only inline photos are read (base64 or data: URIs); photo URLs are not fetched.
+ */
+
+import { getContactEmails, getContactPhones, withPrimaryFields, ensureSinglePrimary } from './labeledValues';
+import { getContactTags, normalizeTags } from './tags';
+import { isPhotoDataUrl } from './photo';
+import { formatAddress, getContactAddresses, isEmptyAddress, withPrimaryAddress } from './address';
+import { getCustomValues } from './customFields';
+
+// Contact labels mapped to vCard TYPE values, and back
+const TEL_TYPES = { mobile: 'CELL', work: 'WORK', home: 'HOME', other: 'VOICE' };
+const EMAIL_TYPES = { personal: 'HOME', work: 'WORK', other: 'X-OTHER' };
+const ADR_TYPES = { home: 'HOME', work: 'WORK', other: 'X-OTHER' };
+
+// Prefix of the properties holding custom field values
+const CUSTOM_PREFIX = 'X-TRIA-';
+
+// PHOTO TYPE values mapped to image subtypes
+const PHOTO_TYPES = { jpeg: 'jpeg', jpg: 'jpeg', png: 'png', gif: 'gif', webp: 'webp' };
+
+/**
+ * Undo vCard text escaping (\n, \, \; \\)
+ */
+const unescapeValue = (value) =>
+  value.replace(/\\([nN,;\\])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Apply vCard text escaping (iCalendar TEXT values use the same rules)
+ */
+export const escapeValue = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+
+/**
+ * Split a structured value (N, ADR) on unescaped semicolons,
+ * or a list value (CATEGORIES) on unescaped commas
+ */
+const splitComponents = (value, separator = ';') => {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts.map(part => unescapeValue(part).trim());
+};
+
+/**
+ * Parse one content line ("item1.TEL;TYPE=CELL,pref:+91 98765 43210")
+ * @returns {Object|null} { name, params, value } with an uppercase name
+ */
+const parseLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const name = rawName.replace(/^[^.]+\./, '').toUpperCase();
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    const paramValue = rest.join('=').replace(/"/g, '');
+    // vCard 2.1 style bare types ("TEL;CELL")
+    const paramKey = rest.length ? key.toUpperCase() : 'TYPE';
+    const values = (rest.length ? paramValue : key).toLowerCase().split(',');
+    params[paramKey] = [...(params[paramKey] || []), ...values];
+  });
+
+  return { name, params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Whether a property is marked preferred (TYPE=pref in 3.0, PREF=1 in 4.0)
+ */
+const isPreferred = (property) =>
+  (property.params.TYPE || []).includes('pref') || Boolean(property.params.PREF);
+
+/**
+ * Pick the preferred property of a kind, or the first one
+ */
+const pickPreferred = (properties, name) => {
+  const matches = properties.filter(p => p.name === name && p.value.trim());
+  return matches.find(isPreferred) || matches[0] || null;
+};
+
+/**
+ * Find the contact label for a property from its TYPE values
+ * @param {Object} property - Parsed content line
+ * @param {Object} types - Label to TYPE map (TEL_TYPES or EMAIL_TYPES)
+ * @param {string} fallback - Label used when no TYPE matches
+ */
+const labelFromTypes = (property, types, fallback) => {
+  const propertyTypes = property.params.TYPE || [];
+  const label = Object.keys(types).find(key => propertyTypes.includes(types[key].toLowerCase()));
+  return label || fallback;
+};
+
+/**
+ * Collect every non-empty property of a kind as labeled values
+ * @returns {Array} [{ label, value, primary }]
+ */
+const collectLabeled = (properties, name, types, fallback, clean) => {
+  const entries = properties
+    .filter(p => p.name === name && p.value.trim())
+    .map(p => ({
+      label: labelFromTypes(p, types, fallback),
+      value: clean(unescapeValue(p.value)).trim(),
+      primary: isPreferred(p)
+    }));
+  return ensureSinglePrimary(entries);
+};
+
+/**
+ * Normalize a BDAY value to YYYY-MM-DD
+ * Accepts 1995-03-15, 19950315 and date-times; year-less dates are dropped
+ * @returns {string|null}
+ */
+const parseBirthday = (value) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value.trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Read an inline PHOTO as a data URL
+ * 4.0 uses a data: URI; 3.0 and 2.1 use ENCODING=b (or BASE64) with the image type in TYPE
+ * @returns {string|null} Data URL, or null for linked or unreadable photos
+ */
+const parsePhoto = (property) => {
+  const value = property.value.replace(/\s+/g, '');
+  if (/^data:/i.test(value)) {
+    const dataUrl = value.replace(/^data:image\/jpg;/i, 'data:image/jpeg;');
+    return isPhotoDataUrl(dataUrl) ? dataUrl : null;
+  }
+
+  const encoding = [...(property.params.ENCODING || []), ...(property.params.TYPE || [])];
+  if (!encoding.includes('b') && !encoding.includes('base64')) return null;
+  const type = (property.params.TYPE || [])
+    .map(entry => entry.replace(/^image\//, ''))
+    .find(entry => PHOTO_TYPES[entry]);
+  const dataUrl = `data:image/${PHOTO_TYPES[type] || 'jpeg'};base64,${value}`;
+  return isPhotoDataUrl(dataUrl) ? dataUrl : null;
+};
+
+/**
+ * Collect every ADR as a structured address
+ * ADR components: PO box; extended; street; locality; region; postal code; country
+ * The extended part (apartment, area) becomes the locality, and the ADR
+ * locality the city
+ * @returns {Array} [{ label, street, locality, city, state, postalCode, country, primary }]
+ */
+const collectAddresses = (properties) => {
+  const addresses = properties
+    .filter(p => p.name === 'ADR' && p.value.trim())
+    .map(p => {
+      const [poBox, extended, street, locality, region, postalCode, country] = splitComponents(p.value);
+      return {
+        label: labelFromTypes(p, ADR_TYPES, 'home'),
+        street: [poBox, street].filter(Boolean).join(', '),
+        locality: extended || '',
+        city: locality || '',
+        state: region || '',
+        postalCode: postalCode || '',
+        country: country || '',
+        primary: isPreferred(p)
+      };
+    })
+    .filter(address => !isEmptyAddress(address));
+  return ensureSinglePrimary(addresses);
+};
+
+/**
+ * Build the display name from an N value when FN is missing
+ * N components: family; given; additional; prefixes; suffixes
+ */
+const nameFromStructured = (value) => {
+  const [family, given, additional, prefix, suffix] = splitComponents(value);
+  return [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+};
+
+/**
+ * Custom field values from X-TRIA-* properties, keyed like the fields
+ */
+const collectCustomFields = (properties) => Object.fromEntries(
+  properties
+    .filter(p => p.name.startsWith(CUSTOM_PREFIX) && p.value.trim())
+    .map(p => [p.name.slice(CUSTOM_PREFIX.length).toLowerCase().replace(/-/g, '_'), unescapeValue(p.value)])
+);
+
+/**
+ * Convert the properties of one vCard to a contact
+ * @param {Array} properties - Parsed content lines
+ * @returns {Object} Contact fields (values may be empty)
+ */
+const toContact = (properties) => {
+  const fn = pickPreferred(properties, 'FN');
+  const n = pickPreferred(properties, 'N');
+  const bday = pickPreferred(properties, 'BDAY');
+  const categories = properties.filter(p => p.name === 'CATEGORIES');
+  const photo = pickPreferred(properties, 'PHOTO');
+
+  return withPrimaryAddress(withPrimaryFields({
+    name: fn ? unescapeValue(fn.value).trim() : n ? nameFromStructured(n.value) : '',
+    emails: collectLabeled(properties, 'EMAIL', EMAIL_TYPES, 'personal', value => value.replace(/^mailto:/i, '')),
+    phones: collectLabeled(properties, 'TEL', TEL_TYPES, 'mobile', value => value.replace(/^tel:/i, '')),
+    addresses: collectAddresses(properties),
+    location: null,
+    birthday: bday ? parseBirthday(bday.value) : null,
+    tags: normalizeTags(categories.flatMap(p => splitComponents(p.value, ','))),
+    photo: photo ? parsePhoto(photo) : null,
+    customFields: collectCustomFields(properties)
+  }));
+};
+
+/**
+ * Parse a .vcf file that may contain one or many vCards
+ * @param {string} text - File contents
+ * @returns {Array} Contacts, one per BEGIN:VCARD ... END:VCARD block
+ */
+export const parseVCards = (text) => {
+  // Unfold continuation lines (lines starting with a space or tab)
+  const lines = String(text || '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const contacts = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    if (/^BEGIN:VCARD$/i.test(trimmed)) {
+      current = [];
+    } else if (/^END:VCARD$/i.test(trimmed)) {
+      if (current) contacts.push(toContact(current));
+      current = null;
+    } else if (current) {
+      const property = parseLine(trimmed);
+      if (property) current.push(property);
+    }
+  });
+
+  return contacts;
+};
+
+/**
+ * Fold a content line at 75 octets as required by the spec (iCalendar too)
+ * Never splits a multi-byte character
+ */
+export const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let chunk = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      size = 0;
+    }
+    chunk += char;
+    size += charSize;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Serialize one contact as a vCard 3.0 block
+ * @param {Object} contact
+ * @returns {string}
+ */
+export const contactToVCard = (contact) => {
+  const nameParts = contact.name.trim().split(/\s+/);
+  const family = nameParts.length > 1 ? nameParts.pop() : '';
+  const given = nameParts.join(' ');
+  const [city = '', ...countryParts] = (contact.location || '').split(',').map(part => part.trim());
+  const country = countryParts.join(', ');
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeValue(contact.name)}`,
+    `N:${escapeValue(family)};${escapeValue(given)};;;`
+  ];
+  getContactEmails(contact).forEach(email => {
+    const types = ['INTERNET', EMAIL_TYPES[email.label], email.primary && 'pref'];
+    lines.push(`EMAIL;TYPE=${[...new Set(types.filter(Boolean))].join(',')}:${escapeValue(email.value)}`);
+  });
+  getContactPhones(contact).forEach(phone => {
+    const types = [TEL_TYPES[phone.label] || 'VOICE', phone.primary && 'pref'];
+    lines.push(`TEL;TYPE=${types.filter(Boolean).join(',')}:${escapeValue(phone.e164 || phone.value)}`);
+  });
+  const addresses = getContactAddresses(contact).filter(address => formatAddress(address));
+  addresses.forEach(address => {
+    const types = [ADR_TYPES[address.label] || 'HOME', address.primary && 'pref'];
+    const parts = [address.locality, address.street, address.city, address.state, address.postalCode, address.country];
+    lines.push(`ADR;TYPE=${types.filter(Boolean).join(',')}:;${parts.map(part => escapeValue(part || '')).join(';')}`);
+  });
+  if (addresses.length === 0 && contact.location) {
+    lines.push(`ADR;TYPE=HOME:;;;${escapeValue(city)};;;${escapeValue(country)}`);
+  }
+  if (contact.birthday) lines.push(`BDAY:${contact.birthday}`);
+  const tags = getContactTags(contact);
+  if (tags.length > 0) lines.push(`CATEGORIES:${tags.map(escapeValue).join(',')}`);
+  const photo = /^data:image\/(\w+);base64,(.+)$/.exec(contact.photo || '');
+  if (photo) lines.push(`PHOTO;ENCODING=b;TYPE=${photo[1].toUpperCase()}:${photo[2]}`);
+  Object.entries(getCustomValues(contact)).forEach(([key, value]) => {
+    if (String(value).trim()) lines.push(`${CUSTOM_PREFIX}${key.toUpperCase().replace(/_/g, '-')}:${escapeValue(value)}`);
+  });
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n');
+};
+
+/**
+ * Serialize contacts as a multi-contact .vcf file
+ * @param {Array} contacts
+ * @returns {string}
+ */
+export const contactsToVCards = (contacts) =>
+  contacts.map(contactToVCard).join('\r\n') + '\r\n';